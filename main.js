@@ -12,7 +12,17 @@ const net = require('net');
 const AtrackSocket = require('./src/atrackSocket');
 const InfluxClient = require('./src/influxDB');
 const MinioClient = require('./src/minio');
+const CommandQueue = require('./src/commandQueue');
 const { StartConsoleInput } = require('./src/console_input');
+const { StartHttpApi } = require('./src/http_api');
+const LiveFeed = require('./src/liveFeed');
+const SessionCapture = require('./src/sessionCapture');
+const PatternProfiles = require('./src/patternProfiles');
+const DriverRoster = require('./src/driverRoster');
+const Geofences = require('./src/geofences');
+const SpeedRules = require('./src/speedRules');
+const FuelRules = require('./src/fuelRules');
+const { CreateAnalyzers } = require('./src/analyzers');
 
 // Read .env file
 const dotenv = require('dotenv');
@@ -20,36 +30,136 @@ dotenv.config();
 
 const SERVER_PORT = process.env.PORT || 1221;
 
+// Load report pattern profiles, refuse to start with a broken pattern, it would silently drop fields
+let patternProfiles = undefined;
+try {
+  patternProfiles = new PatternProfiles();
+} catch (err) {
+  console.error(`[Pattern] ❌ ${err.message}`);
+  console.error('[Pattern] ❌ Invalid report pattern. Run npm run lint:pattern for details.');
+  process.exit(1);
+}
+patternProfiles.warnings.forEach(warning => console.log(`[Pattern] Warning ${warning}`));
+// Load the driver names, refuse to start with a broken roster
+let driverRoster = undefined;
+try {
+  driverRoster = new DriverRoster();
+} catch (err) {
+  console.error(`[DriverRoster] ❌ ${err.message}`);
+  process.exit(1);
+}
+// Load the zones, refuse to start with a broken zones file
+let geofences = undefined;
+try {
+  geofences = new Geofences();
+} catch (err) {
+  console.error(`[Geofences] ❌ ${err.message}`);
+  process.exit(1);
+}
+// Load the speed limits, refuse to start with broken rules
+let speedRules = undefined;
+try {
+  speedRules = new SpeedRules();
+} catch (err) {
+  console.error(`[SpeedRules] ❌ ${err.message}`);
+  process.exit(1);
+}
+// Load the tank sizes and fuel thresholds, refuse to start with broken rules
+let fuelRules = undefined;
+try {
+  fuelRules = new FuelRules();
+} catch (err) {
+  console.error(`[FuelRules] ❌ ${err.message}`);
+  process.exit(1);
+}
+// Reload the configuration when a file is saved, a broken file keeps the loaded configuration
+patternProfiles.Watch();
+driverRoster.Watch();
+geofences.Watch();
+speedRules.Watch();
+fuelRules.Watch();
+
+/**
+ * Reloads the configuration files, triggered from the console or the HTTP API.
+ *
+ * @returns {Array<Object>} The result of every reloaded configuration, with fields name, reloaded and error.
+ */
+function ReloadConfig() {
+  return [patternProfiles.Reload(), driverRoster.Reload(), geofences.Reload(), speedRules.Reload(), fuelRules.Reload()];
+}
+
 // Connect to InfluxDB
 const influxClient = new InfluxClient();
 // Connect to Minio
 const minioClinet = new MinioClient();
+// Derive driver, zone, trip, overspeed, idle, fuel, fault and alarm events from the reports of all devices
+const analyzers = CreateAnalyzers(influxClient, { driverRoster: driverRoster, geofences: geofences, speedRules: speedRules, fuelRules: fuelRules });
+
+/**
+ * Saves the pending state of the analyzers, writes the buffered points to InfluxDB (including the records written by
+ * the analyzers on Stop) and exits, on SIGTERM (docker stop) or SIGINT (Ctrl+C).
+ *
+ * @param {string} signal - The received signal.
+ * @returns {Promise<void>}
+ */
+async function Shutdown(signal) {
+  console.log(`${signal} received, saving the analyzer state`);
+  analyzers.filter(analyzer => analyzer.Stop).forEach(analyzer => analyzer.Stop());
+  await influxClient.Close();
+  process.exit(0);
+}
+process.on('SIGTERM', () => Shutdown('SIGTERM'));
+process.on('SIGINT', () => Shutdown('SIGINT'));
 // Prepare connected socket dictionary for storing online client
 const connectedSocket = {};
+// Load commands waiting for offline clients
+const commandQueue = new CommandQueue();
+// Start HTTP API for ops dashboard and scripts
+const httpServer = StartHttpApi(connectedSocket, commandQueue, influxClient, ReloadConfig);
+// Attach WebSocket live feed to HTTP API
+const liveFeed = new LiveFeed(httpServer);
 
 // Create Server
 const server = net.createServer(async (socket) => {
   // Create AtrackSocket
-  const atrackSocket = new AtrackSocket(socket, influxClient, minioClinet);
+  const atrackSocket = new AtrackSocket(socket, influxClient, minioClinet, { patternProfiles: patternProfiles, analyzers: analyzers });
+
+  // Record raw session data if enabled
+  const sessionCapture = SessionCapture.IsEnabled() ? new SessionCapture(atrackSocket) : undefined;
+
+  // Forward decoded reports and pictures to live feed subscribers
+  atrackSocket.on("report", (report) => liveFeed.Publish("report", report));
+  atrackSocket.on("picture", (picture) => liveFeed.Publish("picture", picture));
 
   // Handle Socket Data Events
   socket.on("data", (buffer) => {
     atrackSocket.RecievedData(buffer);
   });
-  // Handle Socket End Events
-  socket.on("end", () => {
+  // Handle Socket Close Events (after end, error or Disconnect)
+  socket.on("close", () => {
     atrackSocket.ClearSocket();
-    if (atrackSocket.GetDeviceID() in connectedSocket) {
-      delete connectedSocket[atrackSocket.GetDeviceID()];
+    if (sessionCapture) {
+      sessionCapture.Close();
+    }
+    const clientID = atrackSocket.deviceID;
+    // A reconnected client may already own the entry
+    if (clientID !== undefined && connectedSocket[clientID] === atrackSocket) {
+      delete connectedSocket[clientID];
     }
-    console.log(`Client disconnected: ${atrackSocket.GetDeviceID()}`);
+    console.log(`Client disconnected: ${clientID}`);
+  });
+  // Handle Socket Error Events
+  socket.on("error", (err) => {
+    console.log(`Client socket error: ${atrackSocket.deviceID}: ${err.message}`);
   });
 
   // Get Device ID
   const clientID = await atrackSocket.GetDeviceID();
-  if (clientID) {
+  if (clientID && !socket.destroyed) {
     connectedSocket[clientID] = atrackSocket;
     console.log(`Client connected: ${clientID}`);
+    // Send commands queued while the client was offline
+    commandQueue.Deliver(atrackSocket);
   } else {
     console.log('Failed to optain device id in 60 seconds. Terminating connection.');
     socket.end();
@@ -62,5 +172,5 @@ server.listen(SERVER_PORT, () => {
 });
 
 // For test sending cmd from console terminal
-StartConsoleInput(server, connectedSocket);
+StartConsoleInput(server, connectedSocket, commandQueue, ReloadConfig);
 
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Report pattern lint
+ *
+ * @description
+ * Checks report pattern files and pattern profiles files against the pattern schema (src/patternSchema.js) and
+ * prints the errors and warnings. Every profile of a profiles file is checked with its resolved pattern.
+ * The code tables the patterns refer to with `table` are checked too.
+ * Exits with code 1 if a file has errors.
+ *
+ * Usage:
+ *   node scripts/lint_pattern.js [pattern.json | profiles.json ...]
+ * Without arguments, src/pattern/atrack_report.json, example/pattern_profiles.json and the
+ * PATTERN_PROFILES_PATH file (if set) are checked.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+dotenv.config();
+const { ValidatePattern } = require('../src/patternSchema');
+const Pattern = require('../src/pattern');
+const PatternProfiles = require('../src/patternProfiles');
+
+const SRC_PATH = path.join(__dirname, '../src');
+const DEFAULT_PATHS = [
+    path.join(SRC_PATH, 'pattern/atrack_report.json'),
+    path.join(__dirname, '../example/pattern_profiles.json'),
+].concat(process.env.PATTERN_PROFILES_PATH ? [path.join(SRC_PATH, process.env.PATTERN_PROFILES_PATH)] : []);
+
+/**
+ * Validates a pattern and the code tables it refers to.
+ * A code table has to be an object of code => description (or an object with the details of the code).
+ *
+ * @param {Object} reportPattern - The parsed pattern.
+ * @returns {Object} The result with fields errors and warnings, see ValidatePattern.
+ */
+function ValidatePatternAndTables(reportPattern) {
+    const result = ValidatePattern(reportPattern);
+    if (result.errors.length > 0) {
+        return result;
+    }
+
+    const pattern = new Pattern(reportPattern);
+    try {
+        pattern.LoadCodeTables().forEach(tablePath => {
+            const table = pattern.codeTables[tablePath];
+            if (table === null || typeof table !== 'object' || Array.isArray(table)) {
+                result.errors.push({ key: '', message: `Code table ${tablePath} must be an object of code => description` });
+                return;
+            }
+            Object.keys(table).filter(code => table[code] === null || !['string', 'object'].includes(typeof table[code])).forEach(code => {
+                result.errors.push({ key: '', message: `Code table ${tablePath}: code ${code} has no description` });
+            });
+        });
+    } catch (err) {
+        result.errors.push({ key: '', message: err.message });
+    }
+    return result;
+}
+
+/**
+ * Prints the errors and warnings of one pattern.
+ *
+ * @param {string} title - The file, and the profile of a profiles file.
+ * @param {Object} result - The result of ValidatePattern.
+ * @returns {boolean} True if the pattern has no errors.
+ */
+function PrintResult(title, result) {
+    console.log(title);
+    result.errors.forEach(issue => console.log(`  error    ${issue.key.padEnd(12)} ${issue.message}`));
+    result.warnings.forEach(issue => console.log(`  warning  ${issue.key.padEnd(12)} ${issue.message}`));
+    console.log(`  ${result.errors.length} errors, ${result.warnings.length} warnings\n`);
+    return result.errors.length === 0;
+}
+
+/**
+ * Lints every profile of a profiles file.
+ *
+ * @param {string} title - The path of the profiles file, for the output.
+ * @param {Object} config - The parsed profiles file.
+ * @returns {boolean} True if no profile has errors.
+ */
+function LintProfiles(title, config) {
+    if (config.profiles === null || typeof config.profiles !== 'object' || Object.keys(config.profiles).length === 0) {
+        return PrintResult(title, { errors: [{ key: '', message: 'profiles must be an object with at least one profile' }], warnings: [] });
+    }
+    if (config.default !== undefined && config.profiles[config.default] === undefined) {
+        return PrintResult(title, { errors: [{ key: '', message: `Unknown default profile "${config.default}"` }], warnings: [] });
+    }
+
+    return Object.keys(config.profiles).map(name => {
+        let result;
+        try {
+            result = ValidatePatternAndTables(PatternProfiles.ResolvePattern(config.profiles, name, [], new Set()));
+        } catch (err) {
+            result = { errors: [{ key: '', message: err.message }], warnings: [] };
+        }
+        return PrintResult(`${title} profile ${name}`, result);
+    }).every(valid => valid);
+}
+
+/**
+ * Lints one pattern or profiles file.
+ *
+ * @param {string} filePath - The path of the file.
+ * @returns {boolean} True if the file has no errors.
+ */
+function LintFile(filePath) {
+    const title = path.relative(process.cwd(), filePath);
+    let content;
+    try {
+        content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        return PrintResult(title, { errors: [{ key: '', message: err.message }], warnings: [] });
+    }
+
+    if (content !== null && typeof content === 'object' && content.profiles !== undefined) {
+        return LintProfiles(title, content);
+    }
+    return PrintResult(title, ValidatePatternAndTables(content));
+}
+
+const filePaths = process.argv.length > 2 ? process.argv.slice(2) : DEFAULT_PATHS;
+const results = filePaths.map(filePath => LintFile(filePath));
+process.exit(results.every(valid => valid) ? 0 : 1);
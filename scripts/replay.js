@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Replay a capture file
+ *
+ * @description
+ * Feeds a capture file recorded with CAPTURE_ENABLED=true back through ClientSocket
+ * and prints what would have been written to InfluxDB and sent to the tracker.
+ *
+ * Usage:
+ *   node scripts/replay.js <capture.jsonl>
+ */
+
+const dotenv = require('dotenv');
+dotenv.config();
+
+const { ReadCapture, ReplayCapture } = require('../src/replay');
+
+const capturePath = process.argv[2];
+if (!capturePath) {
+    console.log('Usage: node scripts/replay.js <capture.jsonl>');
+    process.exit(1);
+}
+
+const result = ReplayCapture(ReadCapture(capturePath));
+
+console.log(`\n[Replay] ${capturePath}`);
+console.log(`[Replay] Device ID: ${result.atrackSocket.deviceID}, report format: ${result.atrackSocket.reportFormatType}`);
+console.log(`[Replay] Tags not in report pattern: ${result.atrackSocket.unmappedTags.join(', ')}`);
+result.writes.forEach(write => {
+    const tags = Object.keys(write.tags || {}).map(tag => ` ${tag}=${write.tags[tag]}`).join('');
+    console.log(`[Replay] WriteData ${write.measurement || 'report'}${tags} ${write.deviceID} ${write.timestamp}`);
+    write.dataList.forEach(data => console.log(`           ${data.name} (${data.dbtype}) = ${JSON.stringify(data.value)}`));
+});
+result.pictures.forEach(picture => console.log(`[Replay] Picture ${picture.fileName} (${picture.size} bytes)`));
+const frameCounters = result.atrackSocket.GetFrameCounters();
+console.log(`[Replay] Frames accepted: ${frameCounters.acceptedFrames}, rejected: ${JSON.stringify(frameCounters.rejectedFrames)}`);
+console.log(`[Replay] Sent ${result.sent.length} messages, recorded ${result.recordedSent.length} messages`);
+
+// Stop pending picture uploads and timers
+process.exit(0);
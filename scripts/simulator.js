@@ -0,0 +1,476 @@
+/**
+ * @fileoverview AK7V device simulator
+ *
+ * @description
+ * Connects to the server over TCP and behaves like an Atrack AK7V tracker, so
+ * main.js can be exercised without a physical device.
+ *
+ * - Sends FE 02 keep alive messages and ASCII @P reports built from the AT$FORM tag list.
+ * - Answers AT$FORM=?, AT$1708=?, AT$FMSC=? and AT$INFO=? like the device does, other AT commands with OK.
+ * - Streams a picture as multi-packet @R messages.
+ * - Checks that the server ACKs every keep alive, report and picture message.
+ * - Follows a scripted route (lat/lng/speed over time).
+ *
+ * Usage:
+ *   node scripts/simulator.js [--host=localhost] [--port=1221] [--id=358683066123456]
+ *       [--form=%MV%BV%GQ%RP] [--j1708=] [--j1939=] [--route=example/simulator_route.json]
+ *       [--report-interval=10] [--keep-alive-interval=30] [--picture=photo.jpg] [--count=0]
+ */
+
+const net = require('net');
+const fs = require('fs');
+const Utilities = require('../src/utilities');
+const FrameParser = require('../src/frameParser');
+
+const PICTURE_PACKET_SIZE = 512;
+const ACK_TIMEOUT = 10000;
+const EARTH_RADIUS_KM = 6371;
+
+class Simulator {
+    /**
+     * Constructor for Simulator class.
+     *
+     * @param {Object} options - The simulator options parsed from the command line.
+     */
+    constructor(options) {
+        this.host = options.host || 'localhost';
+        this.port = parseInt(options.port || process.env.SERVER_PORT || 1221);
+        this.deviceID = BigInt(options.id || '358683066123456');
+        this.customFormat = options.form !== undefined ? options.form : '%MV%BV%GQ%RP';
+        this.j1708Format = options.j1708 || '';
+        this.j1939Format = options.j1939 || '';
+        this.reportInterval = parseFloat(options['report-interval'] || 10) * 1000;
+        this.keepAliveInterval = parseFloat(options['keep-alive-interval'] || 30) * 1000;
+        this.picturePath = options.picture;
+        this.reportCount = parseInt(options.count || 0);
+        this.route = this.LoadRoute(options.route);
+
+        this.seqNum = 0;
+        this.sentReports = 0;
+        this.odometer = 0;
+        this.fuelUsed = 0;
+        this.startTime = Date.now();
+        this.lastPosition = undefined;
+        this.frameParser = new FrameParser();
+        // seq num => { type, timer }
+        this.waitingAck = new Map();
+    }
+
+    /**
+     * Reads the route file.
+     * The route is a list of points with t (seconds from start), lat, lng and speed (km/h).
+     * If loop is true, the route starts again after the last point.
+     *
+     * @param {string} [routePath] - The path of the route JSON file.
+     * @returns {Object} The route with fields loop and points.
+     */
+    LoadRoute(routePath) {
+        if (!routePath) {
+            return { loop: false, points: [{ t: 0, lat: 13.756331, lng: 100.501762, speed: 0 }] };
+        }
+        const route = JSON.parse(fs.readFileSync(routePath, 'utf8'));
+        route.points.sort((a, b) => a.t - b.t);
+        return route;
+    }
+
+    /**
+     * Connects to the server and starts sending keep alive messages and reports.
+     *
+     * @returns {void}
+     */
+    Start() {
+        this.socket = net.createConnection({ host: this.host, port: this.port }, () => {
+            console.log(`[Simulator] Connected to ${this.host}:${this.port} as ${this.deviceID}`);
+            this.SendKeepAlive();
+            this.keepAliveTimer = setInterval(() => this.SendKeepAlive(), this.keepAliveInterval);
+            this.reportTimer = setInterval(() => this.SendReport(), this.reportInterval);
+        });
+
+        this.socket.on('data', (buffer) => {
+            this.frameParser.Push(buffer).forEach(frame => this.HandleFrame(frame));
+        });
+        this.socket.on('close', () => {
+            console.log('[Simulator] Connection closed');
+            this.Stop();
+        });
+        this.socket.on('error', (err) => {
+            console.error(`[Simulator] ❌ Socket error: ${err.message}`);
+        });
+    }
+
+    /**
+     * Stops all timers and closes the connection.
+     *
+     * @returns {void}
+     */
+    Stop() {
+        clearInterval(this.keepAliveTimer);
+        clearInterval(this.reportTimer);
+        this.waitingAck.forEach(waiting => clearTimeout(waiting.timer));
+        this.waitingAck.clear();
+        if (!this.socket.destroyed) {
+            this.socket.end();
+        }
+    }
+
+    /**
+     * Handles a frame from the server: an ACK or a command.
+     *
+     * @param {Object} frame - The frame from the frame parser with fields type and buffer.
+     * @returns {void}
+     */
+    HandleFrame(frame) {
+        if (frame.type === 'keepalive') {
+            this.HandleAck(frame.buffer);
+            return;
+        }
+        frame.buffer.toString('ascii').split('\r\n').forEach(line => {
+            if (!Utilities.IsStringEmptyOrSpaces(line)) {
+                this.HandleCommand(line.trim());
+            }
+        });
+    }
+
+    /**
+     * Checks an ACK from the server against the messages waiting for one.
+     *
+     * @param {Buffer} buffer - The ACK message (FE 02, device id, seq num).
+     * @returns {void}
+     */
+    HandleAck(buffer) {
+        const ackDeviceID = buffer.readBigUint64BE(2);
+        const ackSeqNum = buffer.readUInt16BE(10);
+        if (ackDeviceID !== this.deviceID) {
+            console.log(`[Simulator] ⚠️ ACK for wrong device id ${ackDeviceID}`);
+            return;
+        }
+        const waiting = this.waitingAck.get(ackSeqNum);
+        if (waiting === undefined) {
+            console.log(`[Simulator] ⚠️ Unexpected ACK for seq ${ackSeqNum}`);
+            return;
+        }
+        clearTimeout(waiting.timer);
+        this.waitingAck.delete(ackSeqNum);
+        console.log(`[Simulator] ✅ ACK ${waiting.type} seq ${ackSeqNum}`);
+    }
+
+    /**
+     * Answers a command from the server like the AK7V does.
+     *
+     * @param {string} command - The command line, e.g. AT$FORM=?.
+     * @returns {void}
+     */
+    HandleCommand(command) {
+        console.log(`[Simulator] Received command: ${command}`);
+        let response = undefined;
+        switch (command.toUpperCase()) {
+            case 'AT$FORM=?':
+                response = `$FORM=0,@P,0,"${this.customFormat}"`;
+                break;
+            case 'AT$1708=?':
+                response = `$1708="${this.j1708Format}"`;
+                break;
+            case 'AT$FMSC=?':
+                response = `$FMSC=${this.j1939Format ? 1 : 0},"${this.j1939Format}"`;
+                break;
+            case 'AT$INFO=?':
+                response = `$INFO=${this.deviceID},AK7V,Rev.1.00 (Simulator)`;
+                break;
+            default:
+                break;
+        }
+
+        if (!command.toUpperCase().startsWith('AT')) {
+            this.Write(Buffer.from('ERROR\r\n', 'ascii'));
+            return;
+        }
+        const lines = response === undefined ? 'OK\r\n' : `${response}\r\nOK\r\n`;
+        this.Write(Buffer.from(lines, 'ascii'));
+    }
+
+    /**
+     * Gets the next sequence number. Seq num 0 is skipped because the server does not ACK it.
+     *
+     * @returns {number} The next sequence number.
+     */
+    NextSeqNum() {
+        this.seqNum = this.seqNum >= 0xFFFF ? 1 : this.seqNum + 1;
+        return this.seqNum;
+    }
+
+    /**
+     * Sends a message and waits for its ACK.
+     *
+     * @param {string} type - The message type for logging.
+     * @param {number} seqNum - The sequence number of the message.
+     * @param {Buffer} buffer - The message.
+     * @returns {void}
+     */
+    SendWithAck(type, seqNum, buffer) {
+        const timer = setTimeout(() => {
+            this.waitingAck.delete(seqNum);
+            console.log(`[Simulator] ❌ No ACK for ${type} seq ${seqNum} within ${ACK_TIMEOUT} ms`);
+        }, ACK_TIMEOUT);
+        this.waitingAck.set(seqNum, { type: type, timer: timer });
+        this.Write(buffer);
+    }
+
+    /**
+     * Writes data to the server if connected.
+     *
+     * @param {Buffer} buffer - The data to write.
+     * @returns {void}
+     */
+    Write(buffer) {
+        if (this.socket && !this.socket.destroyed) {
+            this.socket.write(buffer);
+        }
+    }
+
+    /**
+     * Sends a keep alive message: FE 02, device id (8 bytes), seq num (2 bytes).
+     *
+     * @returns {void}
+     */
+    SendKeepAlive() {
+        const seqNum = this.NextSeqNum();
+        const buffer = Buffer.alloc(12);
+        buffer.writeUInt16BE(0xFE02, 0);
+        buffer.writeBigUint64BE(this.deviceID, 2);
+        buffer.writeUInt16BE(seqNum, 10);
+        this.SendWithAck('keep alive', seqNum, buffer);
+    }
+
+    /**
+     * Sends an ASCII report at the current route position.
+     * @P,<CRC>,<Length>,<Seq Num>,<Device ID>,<Data>CRLF where CRC and length cover the data from the seq num.
+     *
+     * @returns {void}
+     */
+    SendReport() {
+        const position = this.GetRoutePosition((Date.now() - this.startTime) / 1000);
+        const fields = this.BuildReportFields(position).join(',');
+        const seqNum = this.NextSeqNum();
+        const body = Buffer.from(`${seqNum},${this.deviceID},${fields}\r\n`, 'ascii');
+        const crc = Utilities.CalculateCRC16(body).toString(16).toUpperCase();
+        const buffer = Buffer.concat([Buffer.from(`@P,${crc},${body.length},`, 'ascii'), body]);
+
+        console.log(`[Simulator] Report seq ${seqNum}: lat ${position.lat.toFixed(6)} lng ${position.lng.toFixed(6)} speed ${position.speed}`);
+        this.SendWithAck('report', seqNum, buffer);
+
+        this.sentReports++;
+        if (this.sentReports === 1 && this.picturePath) {
+            this.SendPicture(this.picturePath);
+        }
+        if (this.reportCount > 0 && this.sentReports >= this.reportCount) {
+            // Wait for the last ACK before closing
+            setTimeout(() => this.Stop(), 1000);
+        }
+    }
+
+    /**
+     * Builds the report fields: the base format followed by the AT$FORM (or J1708/J1939) tags.
+     *
+     * @param {Object} position - The route position with fields lat, lng, speed and heading.
+     * @returns {Array<string>} The report fields.
+     */
+    BuildReportFields(position) {
+        const now = Math.floor(Date.now() / 1000);
+        if (this.lastPosition !== undefined) {
+            this.odometer += this.GetDistanceKm(this.lastPosition, position);
+            this.fuelUsed += position.speed > 0 ? 0.02 : 0.005;
+        }
+        this.lastPosition = position;
+
+        const baseFields = [
+            now,                                  // GPS Date Time
+            now,                                  // RTC Date Time
+            now,                                  // Send Date Time
+            Math.round(position.lng * 1000000),   // Lng
+            Math.round(position.lat * 1000000),   // Lat
+            Math.round(position.heading),         // Heading
+            position.speed > 0 ? 2 : 0,           // Report ID
+            Math.round(this.odometer * 10),       // Odometer (0.1 km)
+            9,                                    // GPS HDOP (0.1)
+            position.ignition === false ? 0 : 1,  // All Input Status (bit 0 = ignition)
+            Math.round(position.speed),           // GPS/VSS Vehicle Speed
+            0,                                    // All Output Status
+            0,                                    // Avg Analog Input Value
+            position.driverID || '',              // Driver ID
+            2000,                                 // 1st Temp Sensor
+            2000,                                 // 2nd Temp Sensor
+            '',                                   // Text Msg
+        ];
+
+        const format = [this.customFormat, this.j1708Format, this.j1939Format].find(tags => tags) || '';
+        const tags = format.split('%').filter(tag => tag !== '');
+        return baseFields.concat(tags.map(tag => this.GetTagValue(tag, position))).map(String);
+    }
+
+    /**
+     * Gets a plausible value for a custom tag.
+     *
+     * @param {string} tag - The tag from the AT$FORM tag list.
+     * @param {Object} position - The route position.
+     * @returns {string | number} The tag value as the AK7V sends it.
+     */
+    GetTagValue(tag, position) {
+        const rpm = position.speed > 0 ? 900 + Math.round(position.speed * 20) : 750;
+        const values = {
+            AT: position.altitude || 10,
+            BV: 41,
+            GQ: 28,
+            GS: 9,
+            GV: '000100020003',
+            MV: 124,
+            SA: 9,
+            EL: position.speed > 0 ? 35 : 15,
+            ET: 88,
+            FC: Math.round(this.fuelUsed * 10),
+            FL: position.fuelLevel !== undefined ? position.fuelLevel : 60,
+            IA: 32,
+            MF: 1250,
+            ML: 0,
+            MP: 101,
+            RP: rpm,
+            TR: position.speed > 0 ? 20 : 0,
+            TM: 'D0DC9911',
+            JH2: rpm * 8,
+            JL1: Math.round(this.fuelUsed * 2),
+            JO5: 150,
+            ZO6: Math.round(position.speed * 1000 / 805),
+        };
+        return values.hasOwnProperty(tag) ? values[tag] : 0;
+    }
+
+    /**
+     * Gets the position on the route at the given time by linear interpolation between route points.
+     *
+     * @param {number} elapsed - The seconds since the simulator started.
+     * @returns {Object} The position with fields lat, lng, speed, heading and the extra fields of the previous route point.
+     */
+    GetRoutePosition(elapsed) {
+        const points = this.route.points;
+        const duration = points[points.length - 1].t;
+        let time = elapsed;
+        if (this.route.loop && duration > 0) {
+            time = elapsed % duration;
+        }
+
+        if (points.length === 1 || time >= duration) {
+            return Object.assign({ heading: 0 }, points[points.length - 1]);
+        }
+
+        let index = 0;
+        while (index < points.length - 2 && points[index + 1].t <= time) {
+            index++;
+        }
+        const from = points[index];
+        const to = points[index + 1];
+        const ratio = to.t === from.t ? 1 : (time - from.t) / (to.t - from.t);
+        return Object.assign({}, from, {
+            lat: from.lat + (to.lat - from.lat) * ratio,
+            lng: from.lng + (to.lng - from.lng) * ratio,
+            speed: from.speed + (to.speed - from.speed) * ratio,
+            heading: this.GetBearing(from, to),
+        });
+    }
+
+    /**
+     * Gets the bearing from one point to another.
+     *
+     * @param {Object} from - The start point with fields lat and lng.
+     * @param {Object} to - The end point with fields lat and lng.
+     * @returns {number} The bearing in degrees (0-359).
+     */
+    GetBearing(from, to) {
+        const toRad = (deg) => deg * Math.PI / 180;
+        const y = Math.sin(toRad(to.lng - from.lng)) * Math.cos(toRad(to.lat));
+        const x = Math.cos(toRad(from.lat)) * Math.sin(toRad(to.lat)) -
+            Math.sin(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.cos(toRad(to.lng - from.lng));
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    /**
+     * Gets the great circle distance between two points.
+     *
+     * @param {Object} from - The start point with fields lat and lng.
+     * @param {Object} to - The end point with fields lat and lng.
+     * @returns {number} The distance in km.
+     */
+    GetDistanceKm(from, to) {
+        const toRad = (deg) => deg * Math.PI / 180;
+        const dLat = toRad(to.lat - from.lat);
+        const dLng = toRad(to.lng - from.lng);
+        const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLng / 2) ** 2;
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+    }
+
+    /**
+     * Streams a picture file as @R messages.
+     * @R, CRC (2 bytes), Length (2 bytes), Seq Num (2 bytes), Device ID (8 bytes), followed by the picture frame:
+     * RTC (4 bytes), Package ID (1 byte, from 1), Total Package (1 byte), Package Size (2 bytes), Picture Data.
+     *
+     * @param {string} picturePath - The path of the picture file.
+     * @returns {void}
+     */
+    SendPicture(picturePath) {
+        const content = fs.readFileSync(picturePath);
+        const totalPackages = Math.ceil(content.length / PICTURE_PACKET_SIZE);
+        if (totalPackages > 255) {
+            console.log(`[Simulator] ❌ Picture too large: ${content.length} bytes`);
+            return;
+        }
+        const pictureRTC = Math.floor(Date.now() / 1000);
+        console.log(`[Simulator] Sending picture ${picturePath} in ${totalPackages} packets`);
+
+        for (let packageID = 1; packageID <= totalPackages; packageID++) {
+            const data = content.subarray((packageID - 1) * PICTURE_PACKET_SIZE, packageID * PICTURE_PACKET_SIZE);
+            const pictureFrame = Buffer.alloc(8);
+            pictureFrame.writeUInt32BE(pictureRTC, 0);
+            pictureFrame.writeUInt8(packageID, 4);
+            pictureFrame.writeUInt8(totalPackages, 5);
+            pictureFrame.writeUInt16BE(data.length, 6);
+
+            const seqNum = this.NextSeqNum();
+            const body = Buffer.alloc(10);
+            body.writeUInt16BE(seqNum, 0);
+            body.writeBigUint64BE(this.deviceID, 2);
+            const checkData = Buffer.concat([body, pictureFrame, data]);
+
+            const header = Buffer.alloc(6);
+            header.write('@R', 0, 'ascii');
+            header.writeUInt16BE(Utilities.CalculateCRC16(checkData), 2);
+            header.writeUInt16BE(checkData.length, 4);
+            this.SendWithAck(`picture ${packageID}/${totalPackages}`, seqNum, Buffer.concat([header, checkData]));
+        }
+    }
+}
+
+/**
+ * Parses --key=value command line arguments.
+ *
+ * @param {Array<string>} args - The command line arguments.
+ * @returns {Object} The parsed options.
+ */
+function ParseArgs(args) {
+    const options = {};
+    args.forEach(arg => {
+        const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+        if (match) {
+            options[match[1]] = match[2] === undefined ? 'true' : match[2];
+        }
+    });
+    return options;
+}
+
+if (require.main === module) {
+    const simulator = new Simulator(ParseArgs(process.argv.slice(2)));
+    simulator.Start();
+    process.on('SIGINT', () => {
+        simulator.Stop();
+        process.exit(0);
+    });
+}
+
+module.exports = Simulator;
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Report analyzers
+ *
+ * @description
+ * Analyzers get every report of a ClientSocket before it is written and derive events from it, like faults,
+ * MIL changes and alarms. Each analyzer has Analyze(deviceID, timestamp, data, tags) and optionally
+ * GetDeviceStatus(deviceID) for the device details of the HTTP API. Tags (driver, zone, ...) and fields
+ * (fuel_volume, ...) added by an analyzer are written with the report point and seen by the analyzers after it.
+ *
+ * One set of analyzers is shared by all sessions.
+ */
+
+const DriverRoster = require('./driverRoster');
+const DriverTracker = require('./driverTracker');
+const Geofences = require('./geofences');
+const GeofenceTracker = require('./geofenceTracker');
+const DtcTracker = require('./dtcTracker');
+const MilTracker = require('./milTracker');
+const EventRecorder = require('./eventRecorder');
+const SpeedRules = require('./speedRules');
+const OverspeedDetector = require('./overspeedDetector');
+const TripDetector = require('./tripDetector');
+const IdleDetector = require('./idleDetector');
+const FuelRules = require('./fuelRules');
+const FuelMonitor = require('./fuelMonitor');
+
+/**
+ * Creates the analyzers of the server.
+ *
+ * @param {InfluxClient} timeSeriesDB - The InfluxDB client the analyzers write their events to.
+ * @param {Object} [options] - Optional shared configuration.
+ * @param {DriverRoster} [options.driverRoster] - The driver roster, loaded from the environment if not given.
+ * @param {Geofences} [options.geofences] - The zones, loaded from the environment if not given.
+ * @param {SpeedRules} [options.speedRules] - The speed limits, loaded from the environment if not given.
+ * @param {FuelRules} [options.fuelRules] - The tank sizes and fuel thresholds, loaded from the environment if not given.
+ * @param {boolean} [options.saveState=true] - Save the state of the trip, idle and fuel analyzers, false for replays.
+ * @returns {Array<Object>} The analyzers, in the order they get a report.
+ */
+function CreateAnalyzers(timeSeriesDB, options = {}) {
+    const geofences = options.geofences || new Geofences();
+    const dtcTracker = new DtcTracker(timeSeriesDB);
+    return [
+        new DriverTracker(timeSeriesDB, options.driverRoster || new DriverRoster()),
+        new GeofenceTracker(timeSeriesDB, geofences),
+        new TripDetector(timeSeriesDB, { statePath: options.saveState === false ? '' : undefined }),
+        new IdleDetector(timeSeriesDB, { statePath: options.saveState === false ? '' : undefined }),
+        new OverspeedDetector(timeSeriesDB, options.speedRules || new SpeedRules(), geofences),
+        new FuelMonitor(timeSeriesDB, options.fuelRules || new FuelRules(), { statePath: options.saveState === false ? '' : undefined }),
+        dtcTracker,
+        new MilTracker(timeSeriesDB, dtcTracker),
+        new EventRecorder(timeSeriesDB),
+    ];
+}
+
+module.exports = { CreateAnalyzers }
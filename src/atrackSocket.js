@@ -6,19 +6,43 @@
  * parses the data from the trackers and sends the commands.
  */
 
+const EventEmitter = require('events');
 const Utilities = require('./utilities');
 const Picture = require('./picture');
-const Pattern = require('./pattern.js');
+const PatternProfiles = require('./patternProfiles');
+const FrameParser = require('./frameParser');
 
-module.exports = class ClientSocket {
+// Device ID => {acceptedFrames, rejectedFrames}, kept over reconnects of the device
+const frameCounters = {};
+
+/**
+ * Creates empty frame counters.
+ *
+ * @returns {Object} The counters with fields acceptedFrames and rejectedFrames, the rejected frames per reason.
+ */
+function NewFrameCounters() {
+    return { acceptedFrames: 0, rejectedFrames: { crc: 0, length: 0, deviceID: 0 } };
+}
+
+module.exports = class ClientSocket extends EventEmitter {
     /**
      * Constructor for ClientSocket class.
      *
+     * Events:
+     * - report: Emitted for every decoded report with fields deviceID, timestamp and data (the ExtractValue output).
+     * - picture: Emitted when all packets of a picture are received with fields deviceID, timestamp, fileName, saveTarget and size.
+     * - received: Emitted with the raw buffer of every socket data event.
+     * - sent: Emitted with the raw buffer of every write to the socket.
+     *
      * @param {Socket} socket - The socket object that communicates with the Atrack GPS tracker.
      * @param {InfluxDBClient} timeSeriesDB - The InfluxDB client that writes data to the time series database.
      * @param {MinioClient} pictureDB - The Minio client that writes data to the picture database.
+     * @param {Object} [options] - Optional shared components.
+     * @param {PatternProfiles} [options.patternProfiles] - The pattern profiles, loaded from the environment if not given.
+     * @param {Array<Object>} [options.analyzers] - Called with every written report, see CreateAnalyzers.
      */
-    constructor(socket, timeSeriesDB, pictureDB) {
+    constructor(socket, timeSeriesDB, pictureDB, options = {}) {
+        super();
         this.socket = socket;
         this.deviceID = undefined;
         this.lastAlive = Date.now();
@@ -28,6 +52,11 @@ module.exports = class ClientSocket {
         this.pictureDB = pictureDB;
         this.SOCKET_TIMEOUT = process.env.SOCKET_TIMEOUT || 60000;
         this.GET_REPORT_FORMAT_INTERVAL = process.env.GET_REPORT_FORMAT_INTERVAL || 30000;
+        this.COMMAND_TIMEOUT = process.env.COMMAND_TIMEOUT || 10000;
+
+        // Commands are sent one at a time, so each OK/ERROR belongs to the pending command
+        this.commandQueue = [];
+        this.pendingCommand = undefined;
 
         // base = no custom report => all false
         // custom = AK7V + OBDII
@@ -41,16 +70,38 @@ module.exports = class ClientSocket {
         this.isReportJ1939 = undefined;
         this.reportFormatType = undefined;
         this.reportJ1XXXFormat = undefined;
+        // Tags of the final report format that are not in the report pattern
+        this.unmappedTags = [];
         this.reportCustomFormat = undefined;
         this.reportBaseFormat = ["GPSTime","RTCTime","SendTime","LNG","LAT","Heading","ReportID","Odometer","HDOP","InputStatus",
                                  "Speed","OutputStatus","AnalogInputValue","DriverID","1stTemp","2ndTemp","TextMsg"];
-        this.atrackPattern = new Pattern(process.env.REPORT_PATTERN_PATH);
+        // The report pattern is picked from the profiles again whenever the device id, info or report format is known
+        this.patternProfiles = options.patternProfiles || new PatternProfiles();
+        this.patternProfile = undefined;
+        this.atrackPattern = undefined;
+        this.cmdInfo = "$INFO";
+        this.deviceModel = undefined;
+        this.deviceFirmware = undefined;
+        // Trackers without AT$INFO answer ERROR or nothing, so they are only asked DEVICE_INFO_MAX_ATTEMPTS times
+        this.DEVICE_INFO_MAX_ATTEMPTS = parseInt(process.env.DEVICE_INFO_MAX_ATTEMPTS || 3);
+        this.deviceInfoAttempts = 0;
+        this.isDeviceInfoFailed = false;
+        this.SelectPatternProfile();
+        // Reloaded patterns are used from the next report, the connection stays open
+        this.onPatternReload = () => this.SelectPatternProfile();
+        this.patternProfiles.on('reload', this.onPatternReload);
+        // Shared by all sessions, so their state survives a reconnect
+        this.analyzers = options.analyzers || [];
+        this.frameParser = new FrameParser();
+        this.CHECK_FRAME_CRC = String(process.env.CHECK_FRAME_CRC || 'true').toLowerCase() === 'true';
+        // Frames checked before the device id is known, added to the counters of the device once it is
+        this.sessionFrameCounters = NewFrameCounters();
 
         this.keepAliveCheck = setInterval(() => {
             this.CheckTimeout();
         }, this.SOCKET_TIMEOUT);
 
-        setTimeout(() => this.GetReportFormat(), 5000);
+        this.getReportFormatTimeout = setTimeout(() => this.GetReportFormat(), 5000);
         this.getReportFormatInterval = setInterval(() => {
             this.GetReportFormat();
         }, this.GET_REPORT_FORMAT_INTERVAL);
@@ -91,38 +142,60 @@ module.exports = class ClientSocket {
      * Handle the received data from the Atrack GPS tracker.
      *
      * This method is called when data is received from the Atrack GPS tracker.
-     * It will determine the type of message received by looking at the first two bytes of the buffer.
-     *
-     * If the message is a keep alive message, it will update the last keep alive time.
-     * If the message is a report message, it will call HandleReportMsg.
-     * If the message is a picture message, it will call HandlePictureMsg.
-     *
-     * In all cases, it will send an ACK back to the Atrack GPS tracker.
+     * TCP may split or merge messages, so the data is passed through the frame parser first
+     * and every complete frame is handled on its own by HandleFrame.
+     * Partial frames are kept until the rest of the data arrives.
      *
      * @param {Buffer} buffer The received data from the Atrack GPS tracker.
      */
     RecievedData(buffer) {
         // Log the raw buffer to see what's actually being received.
         console.log(`[Socket] Received raw buffer: ${buffer.toString('hex')}`);
+        this.emit('received', buffer);
 
-        // Get Prefix (first two bytes)
-        const prefix = buffer.subarray(0, 2);
+        const frames = this.frameParser.Push(buffer);
+        for (let i = 0; i < frames.length; i++) {
+            this.HandleFrame(frames[i]);
+        }
+    }
 
-        if (prefix.equals(Buffer.from([0xFE, 0x02])) && buffer.length === 12) {
-            this.HandleKeepAliveMsg(buffer);
-        } else if (prefix.equals(Buffer.from([0x40, 0x50]))) { //@P
-            this.HandleReportMsg(buffer);
-        } else if (prefix.equals(Buffer.from([0x40, 0x52]))) { //@R
-            this.HandlePictureMsg(buffer);
-        } else {
-            this.HandleOtherMsg(buffer);
+    /**
+     * Handle one complete frame from the Atrack GPS tracker.
+     *
+     * If the frame is a keep alive message, it will call HandleKeepAliveMsg.
+     * If the frame is a report message, it will call HandleReportMsg.
+     * If the frame is a picture message, it will call HandlePictureMsg.
+     * Otherwise it will call HandleOtherMsg.
+     *
+     * Keep alive, report and picture frames are acknowledged with an ACK.
+     * Frames that fail CheckBuffer are not acknowledged, so the tracker sends them again.
+     *
+     * @param {Object} frame The frame from the frame parser with fields type and buffer.
+     */
+    HandleFrame(frame) {
+        let isValid = true;
+        switch (frame.type) {
+            case 'keepalive':
+                this.HandleKeepAliveMsg(frame.buffer);
+                break;
+            case 'report':
+                isValid = this.HandleReportMsg(frame.buffer);
+                break;
+            case 'picture':
+                isValid = this.HandlePictureMsg(frame.buffer);
+                break;
+            default:
+                this.HandleOtherMsg(frame.buffer);
+                break;
         }
 
         // Update time
         this.lastAlive = Date.now();
 
         // Send ACK
-        this.SendACK();
+        if (frame.type !== 'other' && isValid) {
+            this.SendACK();
+        }
     }
 
     /**
@@ -135,7 +208,11 @@ module.exports = class ClientSocket {
      */
     HandleKeepAliveMsg(buffer) {
         // Get device id from bytes 2-9
-        this.deviceID = buffer.subarray(2, 10).readBigUint64BE(0);
+        const deviceID = buffer.subarray(2, 10).readBigUint64BE(0);
+        if (deviceID !== this.deviceID) {
+            this.deviceID = deviceID;
+            this.SelectPatternProfile();
+        }
         // Get seq number from bytes 10-11
         this.seqNum = parseInt(buffer.subarray(10, 12).toString('hex'),16);
     }
@@ -143,8 +220,8 @@ module.exports = class ClientSocket {
     /**
      * Check the report format of a report message.
      *
-     * The report format is determined by the value of the third byte of the report message.
-     * If the value is 0x2C (',') then the format is ascii, otherwise it is binary.
+     * The report format is ascii if the report message starts with an ascii header (see FrameParser.IsAsciiReport), otherwise it is binary.
+     * The third byte alone is not enough, in a binary report it is the high byte of the CRC.
      *
      * This method is called when a report message is received from the Atrack GPS tracker.
      * It will set the report format type for the tracker.
@@ -157,8 +234,7 @@ module.exports = class ClientSocket {
             return
         }
 
-        // If index 2 is 0x2C = ',' then the format is ascii
-        if (buffer.subarray(2,3).equals(Buffer.from([0x2c]))) {
+        if (FrameParser.IsAsciiReport(buffer)) {
             this.reportType = 'ascii';
         } else {
             this.reportType = 'binary';
@@ -172,14 +248,16 @@ module.exports = class ClientSocket {
      * It will call either HandleReportMsgAscii or HandleReportMsgBinary depending on the format of the report message.
      *
      * @param {Buffer} buffer The received data from the Atrack GPS tracker.
+     * @returns {boolean} True if the report message passed CheckBuffer, otherwise false.
      */
     HandleReportMsg(buffer) {
         this.CheckReportType(buffer);
         if (this.reportType === 'ascii') {
-            this.HandleReportMsgAscii(buffer);
+            return this.HandleReportMsgAscii(buffer);
         } else if (this.reportType === 'binary') {
-            this.HandleReportMsgBinary(buffer);
+            return this.HandleReportMsgBinary(buffer);
         }
+        return false;
     }
 
     /**
@@ -188,37 +266,40 @@ module.exports = class ClientSocket {
      * This method is called when a message that is not a report message is received from the Atrack GPS tracker.
      * It will parse the message and check if it is a command response.
      * If it is a command response and the command is telling report format, it will save the report format for the tracker and update the report format status.
+     * Response lines and the final OK/ERROR status are passed to the pending command sent by SendCommand.
      *
      * @param {Buffer} buffer The received data from the Atrack GPS tracker.
      */
     HandleOtherMsg(buffer) {
         //console.log('Received other message');
-        if (this.reportType === 'ascii') {
-            const dataAscii = buffer.toString('ascii');
-            //console.log(dataAscii);
-            const dataSplit = dataAscii.split('\r\n');
-            for (let i = 0; i < dataSplit.length; i++) {
-                if (Utilities.IsStringEmptyOrSpaces(dataSplit[i])) {
-                    continue;
+        // Command responses are ascii text for both ascii and binary report devices
+        const dataAscii = buffer.toString('ascii');
+        //console.log(dataAscii);
+        const dataSplit = dataAscii.split('\r\n');
+        for (let i = 0; i < dataSplit.length; i++) {
+            if (Utilities.IsStringEmptyOrSpaces(dataSplit[i])) {
+                continue;
+            }
+            const dataCmdSplit = dataSplit[i].split('=');
+            if (dataCmdSplit.length > 1) {
+                // $ABC=1,2,..
+                //console.log("Is command data respond");
+
+                // If the received message is a command response for getting report format, save it and update the report format status
+                // AT$FORM, AT$1708 or AT$FMSC
+                if ([this.cmdForm, this.cmdJ1708, this.cmdJ1939].includes(dataCmdSplit[0])) {
+                    this.SaveReportFormat(dataCmdSplit);
+                    this.UpdateReportFormatStatus();
                 }
-                const dataCmdSplit = dataSplit[i].split('=');
-                if (dataCmdSplit.length > 1) {
-                    // $ABC=1,2,..
-                    //console.log("Is command data respond");
-
-                    // If the received message is a command response for getting report format, save it and update the report format status
-                    // AT$FORM, AT$1708 or AT$FMSC
-                    if ([this.cmdForm, this.cmdJ1708, this.cmdJ1939].includes(dataCmdSplit[0])) {
-                        this.SaveReportFormat(dataCmdSplit);
-                        this.UpdateReportFormatStatus();
-                    }
-                } else {
-                    // Is OK or ERROR
-                    //console.log("Is command status respond");
+                if (dataCmdSplit[0] === this.cmdInfo) {
+                    this.SaveDeviceInfo(dataSplit[i]);
                 }
+                this.AddCommandResponse(dataSplit[i]);
+            } else {
+                // Is OK or ERROR
+                //console.log("Is command status respond");
+                this.FinishCommand(dataSplit[i].trim());
             }
-        } else {
-            //console.log('Binary not supported');
         }
     }
 
@@ -232,6 +313,7 @@ module.exports = class ClientSocket {
      * If it is, it will write the report to the database.
      *
      * @param {Buffer} buffer The received data from the Atrack GPS tracker in ASCII format.
+     * @returns {boolean} True if the report message passed CheckBuffer, otherwise false.
      */
     HandleReportMsgAscii(buffer) {
         let headerCurrentIndex = 3;
@@ -249,30 +331,44 @@ module.exports = class ClientSocket {
         //console.log(`Received Seq Num: ${bufferSeqNum}`);
         //console.log(`Received Device ID: ${bufferID.toString()}`);
 
+        // Check Buffer
+        // CRC (hex) and length (decimal) cover the data from the seq num to the end of the frame
+        const checkStartIndex = buffer.indexOf(',', buffer.indexOf(',', 3) + 1) + 1;
+        if (!this.CheckBuffer(buffer, parseInt(bufferCRC, 16), parseInt(bufferLength), checkStartIndex, bufferID)) {
+            return false;
+        }
+
         // Update device id if unknown
         if (this.deviceID === undefined) {
             this.deviceID = bufferID;
+            this.SelectPatternProfile();
         }
 
-        // Check Buffer
-        // if (!this.CheckBuffer(buffer, bufferCRC, bufferLength, bufferSeqNum, bufferDeviceID)) {
-        // }
-
         // Update seq num
         this.seqNum = bufferSeqNum;
 
         // Check Report format
         if (!this.reportFinalFormat) {
             //console.log('Report format not finalized yet');
-            return
+            return true;
         }
 
         // Get data frame
         let dataFrame = buffer.subarray(headerCurrentIndex).toString('ascii');
         const dataFrameLines = dataFrame.split('\r\n');
 
+        // Split report lines into fields
+        const reports = [];
+        for (let i = 0; i < dataFrameLines.length; i++) {
+            if (this.CheckReportMsg(dataFrameLines[i]) === false) {
+                continue;
+            }
+            reports.push(dataFrameLines[i].split(','));
+        }
+
         // Write report to database
-        this.WriteReport(dataFrameLines);
+        this.WriteReport(reports);
+        return true;
     }
 
     /**
@@ -282,21 +378,66 @@ module.exports = class ClientSocket {
      * It will parse the message and check if it is valid.
      * It will also update the device id if it is unknown.
      * Then it will check if the report format is finalized.
-     * If it is, it will write the report to the database.
+     * If it is, it will decode the reports with the binary layout and write them to the database.
+     * A frame that cannot be decoded completely is not written and not acknowledged.
      *
      * @param {Buffer} buffer The received data from the Atrack GPS tracker in binary format.
+     * @returns {boolean} True if the report message passed CheckBuffer and could be decoded, otherwise false.
      */
     HandleReportMsgBinary(buffer) {
-        // TODO: implement
-        //console.log('HandleReportMsgBinary not implemented');
+        // @P (2 bytes), CRC (2 bytes), Length (2 bytes), Seq Num (2 bytes), Device ID (8 bytes)
+        let headerCurrentIndex = 2;
+        let bufferCRC = undefined;
+        let bufferLength = undefined;
+        let bufferSeqNum = undefined;
+        let bufferID = undefined;
+
+        [bufferCRC, headerCurrentIndex] = Utilities.GetHeaderValueBinary(buffer, headerCurrentIndex, 2);
+        [bufferLength, headerCurrentIndex] = Utilities.GetHeaderValueBinary(buffer, headerCurrentIndex, 2);
+        [bufferSeqNum, headerCurrentIndex] = Utilities.GetHeaderValueBinary(buffer, headerCurrentIndex, 2);
+        [bufferID, headerCurrentIndex] = Utilities.GetHeaderValueBinary(buffer, headerCurrentIndex, 8, 'BigUint64BE');
+
+        // Check Buffer
+        // CRC and length cover the data from the seq num (byte 6) to the end of the frame
+        if (!this.CheckBuffer(buffer, bufferCRC, bufferLength, 6, bufferID)) {
+            return false;
+        }
+
+        // Update device id if unknown
+        if (this.deviceID === undefined) {
+            this.deviceID = bufferID;
+            this.SelectPatternProfile();
+        }
+
+        // Update seq num
+        this.seqNum = bufferSeqNum;
+
+        // Check Report format
+        if (!this.reportFinalFormat) {
+            //console.log('Report format not finalized yet');
+            return true;
+        }
+
+        // Decode data frame
+        const dataFrame = buffer.subarray(headerCurrentIndex);
+        const reports = this.patternProfiles.binaryReport.DecodeReports(dataFrame, this.reportFinalFormat);
+        if (reports === undefined) {
+            // Not acknowledged, the tracker keeps the reports until the binary layout is fixed
+            console.log(`[Socket] ❌ Cannot decode binary frame from ${this.deviceID}, not acknowledged. Check the layout in ${this.patternProfiles.REPORT_BINARY_LAYOUT_PATH}`);
+            return false;
+        }
+
+        // Write report to database
+        this.WriteReport(reports);
+        return true;
     }
 
     /**
      * Write the report message to the time series database.
      *
-     * @param {string[]} reportLines The report message split into lines.
+     * @param {Array<Array<string>>} reports The reports, each split into fields in report format order.
      */
-    WriteReport(reportLines) {
+    WriteReport(reports) {
         // Report Format
         // 1712808280,1712867697,1713414999,100598781,13786921,0,2,0,7,0,0,0,0,,2000,2000,,52005,124,40,7
         // 0.GPS Date Time,
@@ -316,23 +457,43 @@ module.exports = class ClientSocket {
         // 14.1st Temp Sensor,
         // 15.2nd Temp Sensor,
         // 16.Text Msg
-        for (let i = 0; i < reportLines.length; i++) {
-            if (this.CheckReportMsg(reportLines[i]) === false) {
-                continue;
-            }
-
-            //console.log('Receive report: ' + reportLines[i]);
-
-            const frame = reportLines[i].split(',');
+        for (let i = 0; i < reports.length; i++) {
+            const frame = reports[i];
             const data = this.atrackPattern.ExtractValue(frame, this.reportFinalFormat);
             const timestamp = `${frame[1]}${'0'.repeat(9)}`;
+            if (data === undefined) {
+                continue;
+            }
 
             // console.log(data);
 
-            this.timeSeriesDB.WriteData(this.deviceID.toString(), timestamp, data);
+            // The analyzers run first, so the report point gets their tags (driver, ...)
+            const tags = this.AnalyzeReport(timestamp, data);
+            this.timeSeriesDB.WriteData(this.deviceID.toString(), timestamp, data, undefined, tags);
+            this.emit('report', { deviceID: this.deviceID.toString(), timestamp: timestamp, data: data, tags: tags });
         }
     }
 
+    /**
+     * Passes a report to the analyzers, which write events like faults to their own measurements
+     * and may add tags to the report point. A failing analyzer is logged and does not stop the others.
+     *
+     * @param {string} timestamp - The report time in nanoseconds.
+     * @param {Array<Object>} data - The decoded fields of the report.
+     * @returns {Object} The tags of the report point.
+     */
+    AnalyzeReport(timestamp, data) {
+        const tags = {};
+        this.analyzers.forEach(analyzer => {
+            try {
+                analyzer.Analyze(this.deviceID.toString(), timestamp, data, tags);
+            } catch (err) {
+                console.error(`[Socket] ❌ ${this.deviceID}: ${analyzer.constructor.name} failed: ${err.message}`);
+            }
+        });
+        return tags;
+    }
+
     /**
      * Handle the received picture message from the Atrack GPS tracker.
      *
@@ -343,6 +504,7 @@ module.exports = class ClientSocket {
      * If it is, it will set the picture to undefined.
      *
      * @param {Buffer} buffer The received data from the Atrack GPS tracker in binary format.
+     * @returns {boolean} True if the picture message passed CheckBuffer, otherwise false.
      */
     HandlePictureMsg(buffer) {
         //console.log('Received picture data');
@@ -361,8 +523,10 @@ module.exports = class ClientSocket {
         // console.log(`[Picture] Received Buffer Device ID: ${bufferDeviceID}`);
 
         // Check Buffer
-        // if (!this.CheckBuffer(buffer, bufferCRC, bufferLength, bufferSeqNum, bufferDeviceID)) {
-        // }
+        // CRC and length cover the data from the seq num (byte 6) to the end of the frame
+        if (!this.CheckBuffer(buffer, bufferCRC, bufferLength, 6, bufferDeviceID)) {
+            return false;
+        }
 
         // Update seq num
         this.seqNum = bufferSeqNum;
@@ -378,9 +542,17 @@ module.exports = class ClientSocket {
             this.picture.AddPicturePackage(pictureDataFrame);
             if (this.picture.isDone()) {
                 // End receiving picture data packet
+                this.emit('picture', {
+                    deviceID: String(this.deviceID),
+                    timestamp: `${this.picture.pictureRTC}${'0'.repeat(9)}`,
+                    fileName: this.picture.fileName,
+                    saveTarget: this.picture.saveTarget,
+                    size: this.picture.pictureContent.length,
+                });
                 this.picture = undefined;
             }
         }
+        return true;
     }
 
     /**
@@ -416,24 +588,185 @@ module.exports = class ClientSocket {
             const seqNumHexString = this.seqNum.toString(16).padStart(4, '0');
             const ackMsg = `fe02${this.deviceID.toString(16).padStart(16, '0')}${seqNumHexString}`
             const ackMsgHex = Buffer.from(ackMsg, 'hex');
-            this.socket.write(ackMsgHex);
+            this.WriteSocket(ackMsgHex);
             //console.log(`Send ACK: ${ackMsg}`);
         }
     }
 
+    /**
+     * Write data to the Atrack GPS tracker.
+     *
+     * @param {Buffer} buffer - The data to be written.
+     * @returns {void}
+     */
+    WriteSocket(buffer) {
+        this.socket.write(buffer);
+        this.emit('sent', buffer);
+    }
+
     /**
      * Send a command to the Atrack GPS tracker.
      *
      * This method is used to send a command to the Atrack GPS tracker.
      * The command is sent as an ASCII string with a newline at the end.
+     * Commands to one tracker are sent one at a time, a command waits in the queue until
+     * the previous command got its OK/ERROR or timed out.
+     *
+     * The promise resolves with an object with fields command, status ('OK'), lines (the raw response lines)
+     * and responses (the response lines split into name and value, e.g. { name: '$FORM', value: '0,@P,0,"%MV"' }).
+     * The promise rejects with an Error when the tracker answers ERROR, the command times out or the socket is cleared.
+     * The Error has the fields command, status ('ERROR', 'TIMEOUT' or 'CLOSED') and lines.
      *
      * @param {string} command - The command to be sent.
+     * @param {number} [timeout=COMMAND_TIMEOUT] - The time in milliseconds to wait for OK/ERROR.
+     * @returns {Promise<Object>} The response of the command.
+     */
+    SendCommand(command, timeout = this.COMMAND_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            this.commandQueue.push({ command: command, timeout: timeout, resolve: resolve, reject: reject });
+            this.SendNextCommand();
+        });
+    }
+
+    /**
+     * Send the next queued command if no command is waiting for its response.
+     *
+     * @returns {void}
+     */
+    SendNextCommand() {
+        if (this.pendingCommand !== undefined || this.commandQueue.length === 0) {
+            return;
+        }
+
+        this.pendingCommand = this.commandQueue.shift();
+        this.pendingCommand.lines = [];
+        this.pendingCommand.timer = setTimeout(() => {
+            this.FinishCommand('TIMEOUT');
+        }, this.pendingCommand.timeout);
+
+        let cmdEncode = Buffer.from(`${this.pendingCommand.command}\r\n`, 'ascii');
+        this.WriteSocket(cmdEncode);
+        //console.log(`Sent: ${this.pendingCommand.command}`);
+    }
+
+    /**
+     * Add a response line to the pending command.
+     *
+     * @param {string} line - The response line, e.g. $FORM=0,@P,0,"%MV".
      * @returns {void}
      */
-    SendCommand(command) {
-        let cmdEncode = Buffer.from(`${command}\r\n`, 'ascii');
-        this.socket.write(cmdEncode);
-        //console.log(`Sent: ${command}`);
+    AddCommandResponse(line) {
+        if (this.pendingCommand !== undefined) {
+            this.pendingCommand.lines.push(line);
+        }
+    }
+
+    /**
+     * Finish the pending command with the given status and send the next queued command.
+     *
+     * If the status is OK, the command promise is resolved, otherwise it is rejected.
+     * Status lines other than OK/ERROR (e.g. unsolicited text) are added as response lines.
+     *
+     * @param {string} status - The final status ('OK', 'ERROR' or 'TIMEOUT').
+     * @returns {void}
+     */
+    FinishCommand(status) {
+        if (this.pendingCommand === undefined) {
+            return;
+        }
+        if (!['OK', 'ERROR', 'TIMEOUT'].includes(status)) {
+            this.AddCommandResponse(status);
+            return;
+        }
+
+        const pendingCommand = this.pendingCommand;
+        this.pendingCommand = undefined;
+        clearTimeout(pendingCommand.timer);
+
+        if (status === 'OK') {
+            pendingCommand.resolve({
+                command: pendingCommand.command,
+                status: status,
+                lines: pendingCommand.lines,
+                responses: pendingCommand.lines.map(line => {
+                    const separatorIndex = line.indexOf('=');
+                    return { name: line.slice(0, separatorIndex), value: line.slice(separatorIndex + 1) };
+                }),
+            });
+        } else {
+            pendingCommand.reject(this.CreateCommandError(pendingCommand, status));
+        }
+
+        this.SendNextCommand();
+    }
+
+    /**
+     * Create the Error a failed command is rejected with.
+     *
+     * @param {Object} queuedCommand - The failed command from the command queue.
+     * @param {string} status - The final status ('ERROR', 'TIMEOUT' or 'CLOSED').
+     * @returns {Error} The Error with fields command, status and lines.
+     */
+    CreateCommandError(queuedCommand, status) {
+        const error = new Error(`Command ${queuedCommand.command} failed: ${status}`);
+        error.command = queuedCommand.command;
+        error.status = status;
+        error.lines = queuedCommand.lines || [];
+        return error;
+    }
+
+    /**
+     * Get the status of the connection for the management API.
+     *
+     * @param {boolean} [detailed=false] - Include the report format details, frame counters, pending commands and the analyzer state (active faults, ...).
+     * @returns {Object} The status of the connection.
+     */
+    GetStatus(detailed = false) {
+        const status = {
+            deviceID: this.deviceID === undefined ? undefined : this.deviceID.toString(),
+            lastAlive: this.lastAlive,
+            seqNum: this.seqNum,
+            reportType: this.reportType,
+            reportFormatType: this.reportFormatType,
+            reportFinalFormat: this.reportFinalFormat,
+            patternProfile: this.patternProfile,
+            unmappedTags: this.unmappedTags,
+        };
+        if (detailed) {
+            Object.assign(status, {
+                remoteAddress: this.socket.remoteAddress,
+                remotePort: this.socket.remotePort,
+                deviceModel: this.deviceModel,
+                deviceFirmware: this.deviceFirmware,
+                isReportCustom: this.isReportCustom,
+                isReportJ1708: this.isReportJ1708,
+                isReportJ1939: this.isReportJ1939,
+                reportCustomFormat: this.reportCustomFormat,
+                reportJ1XXXFormat: this.reportJ1XXXFormat,
+                acceptedFrames: this.GetFrameCounters().acceptedFrames,
+                rejectedFrames: this.GetFrameCounters().rejectedFrames,
+                pendingCommand: this.pendingCommand ? this.pendingCommand.command : undefined,
+                queuedCommands: this.commandQueue.map(queuedCommand => queuedCommand.command),
+            });
+            if (this.deviceID !== undefined) {
+                this.analyzers.filter(analyzer => analyzer.GetDeviceStatus).forEach(analyzer => {
+                    Object.assign(status, analyzer.GetDeviceStatus(this.deviceID.toString()));
+                });
+            }
+        }
+        return status;
+    }
+
+    /**
+     * Disconnect the Atrack GPS tracker.
+     *
+     * It will clear all intervals and destroy the socket.
+     *
+     * @returns {void}
+     */
+    Disconnect() {
+        this.ClearSocket();
+        this.socket.destroy();
     }
 
     /**
@@ -454,16 +787,94 @@ module.exports = class ClientSocket {
         }
     }
 
-    CheckBuffer() {
+    /**
+     * Check if the received report or picture message is valid.
+     *
+     * It will check the declared length and the CRC-16 of the data from the seq num to the end of the message,
+     * and that the device id matches the device of this connection.
+     * A rejected message is counted per reason in rejectedFrames of the device and logged, and must not be acknowledged.
+     *
+     * CRC checking can be turned off with the CHECK_FRAME_CRC environment variable.
+     *
+     * @param {Buffer} buffer - The received message.
+     * @param {number} bufferCRC - The CRC declared in the message header.
+     * @param {number} bufferLength - The length declared in the message header.
+     * @param {number} checkStartIndex - The index of the first byte covered by the CRC and length.
+     * @param {bigint | number} bufferID - The device id declared in the message header.
+     * @returns {boolean} True if the message is valid, otherwise false.
+     */
+    CheckBuffer(buffer, bufferCRC, bufferLength, checkStartIndex, bufferID) {
+        const checkData = buffer.subarray(checkStartIndex);
+
+        // Check length
+        if (checkData.length !== bufferLength) {
+            return this.RejectBuffer('length', `declared ${bufferLength}, received ${checkData.length}`);
+        }
+
         // Check CRC
-        // if (!this.CheckBufferCRC(buffer, bufferCRC)) {
-        // }
+        if (this.CHECK_FRAME_CRC) {
+            const calculatedCRC = Utilities.CalculateCRC16(checkData);
+            if (calculatedCRC !== bufferCRC) {
+                return this.RejectBuffer('crc', `declared ${bufferCRC}, calculated ${calculatedCRC}`);
+            }
+        }
+
         // Check device id
-        // if (!this.CheckBufferDeviceID(buffer, bufferID)) {
-        // }
-        // Check length
-        // if (!this.CheckBufferLength(buffer, bufferLength)) {
-        // }
+        if (this.deviceID !== undefined && String(bufferID) !== String(this.deviceID)) {
+            return this.RejectBuffer('deviceID', `declared ${bufferID}, connected ${this.deviceID}`);
+        }
+
+        this.GetFrameCounters().acceptedFrames++;
+        return true;
+    }
+
+    /**
+     * Count and log a rejected message.
+     *
+     * @param {string} reason - The reason key in rejectedFrames ('crc', 'length' or 'deviceID').
+     * @param {string} detail - The detail of the failed check.
+     * @returns {boolean} Always false.
+     */
+    RejectBuffer(reason, detail) {
+        const counters = this.GetFrameCounters();
+        const rejectedFrames = counters.rejectedFrames;
+        rejectedFrames[reason]++;
+        const rejectedCount = Object.values(rejectedFrames).reduce((sum, count) => sum + count, 0);
+        console.log(`[Socket] Rejected frame from ${this.deviceID}: ${reason} mismatch (${detail}). ` +
+            `Rejected ${rejectedCount}, accepted ${counters.acceptedFrames} (crc: ${rejectedFrames.crc}, ` +
+            `length: ${rejectedFrames.length}, deviceID: ${rejectedFrames.deviceID})`);
+        return false;
+    }
+
+    /**
+     * Clear the frame counters of all devices, for example before a replay.
+     *
+     * @returns {void}
+     */
+    static ResetFrameCounters() {
+        Object.keys(frameCounters).forEach(deviceID => delete frameCounters[deviceID]);
+    }
+
+    /**
+     * Get the frame counters of the device of this connection, which are kept over reconnects.
+     * Until the device id is known the frames are counted for this connection and added to the device later.
+     *
+     * @returns {Object} The counters with fields acceptedFrames and rejectedFrames, the rejected frames per reason.
+     */
+    GetFrameCounters() {
+        if (this.deviceID === undefined) {
+            return this.sessionFrameCounters;
+        }
+        const deviceID = this.deviceID.toString();
+        const counters = frameCounters[deviceID] = frameCounters[deviceID] || NewFrameCounters();
+        if (this.sessionFrameCounters !== undefined) {
+            counters.acceptedFrames += this.sessionFrameCounters.acceptedFrames;
+            for (const reason in counters.rejectedFrames) {
+                counters.rejectedFrames[reason] += this.sessionFrameCounters.rejectedFrames[reason];
+            }
+            this.sessionFrameCounters = undefined;
+        }
+        return counters;
     }
 
     /**
@@ -471,12 +882,25 @@ module.exports = class ClientSocket {
      *
      * This method is called when the socket is to be ended.
      * It will clear all intervals and end the socket.
+     * Commands still waiting for a response are rejected.
      *
      * @returns {void}
      */
     ClearSocket() {
         clearInterval(this.keepAliveCheck);
+        clearTimeout(this.getReportFormatTimeout);
         clearInterval(this.getReportFormatInterval);
+        this.frameParser.Clear();
+        this.patternProfiles.off('reload', this.onPatternReload);
+
+        // Reject the pending and queued commands
+        const commands = this.pendingCommand ? [this.pendingCommand].concat(this.commandQueue) : this.commandQueue;
+        this.pendingCommand = undefined;
+        this.commandQueue = [];
+        commands.forEach(queuedCommand => {
+            clearTimeout(queuedCommand.timer);
+            queuedCommand.reject(this.CreateCommandError(queuedCommand, 'CLOSED'));
+        });
     }
 
     /**
@@ -484,8 +908,8 @@ module.exports = class ClientSocket {
      *
      * This method is called when a command response for getting report format is received from the Atrack GPS tracker.
      * It will parse the response and save the report format for the tracker.
-     * The report format is determined by the value of the third byte of the report message.
-     * If the value is 0x2C (',') then the format is ascii, otherwise it is binary.
+     * The $FORM answer gives the custom tags, the $1708 or $FMSC answer the J1708 or J1939 tags.
+     * An empty format marks that part as not reported. Only the first answer of each command is saved.
      *
      * @param {Array<string>} input - The received command response from the Atrack GPS tracker.
      *
@@ -569,31 +993,66 @@ module.exports = class ClientSocket {
     /**
      * Get the report format from the Atrack GPS tracker.
      *
-     * If the report format is already known, it will clear the interval that calls this method and print out the report format.
-     * If the report format is not known, it will send the command to get the report format.
+     * If the report format and the device info needed by the pattern profiles are already known, it will clear the interval that calls this method.
+     * Otherwise it will send the commands to get the missing report formats and device info.
+     * The device info is asked at most DEVICE_INFO_MAX_ATTEMPTS times, after that the profiles are picked without model and firmware.
      *
      * @returns {void}
      */
     GetReportFormat() {
+        // The model and firmware are only asked for if a pattern profile matches on them
+        let isDeviceInfoMissing = this.deviceModel === undefined && this.patternProfiles.UsesDeviceInfo();
+        if (isDeviceInfoMissing && this.deviceInfoAttempts >= this.DEVICE_INFO_MAX_ATTEMPTS) {
+            if (!this.isDeviceInfoFailed) {
+                console.log(`[Socket] ${this.deviceID}: ❌ No device info after ${this.deviceInfoAttempts} AT${this.cmdInfo} attempts, picking the pattern profile without model and firmware`);
+                this.isDeviceInfoFailed = true;
+            }
+            isDeviceInfoMissing = false;
+        }
+        if (isDeviceInfoMissing) {
+            this.deviceInfoAttempts++;
+            this.SendReportFormatCommand(`AT${this.cmdInfo}=?`);
+        }
         if (this.UpdateReportFormatStatus()) {
             //console.log('Already recieved report format');
             //console.log(`Report format type: ${this.reportFormatType}`);
             //console.log(`Report custom format: ${this.reportCustomFormat}`);
             //console.log(`Report J1XXX format: ${this.reportJ1XXXFormat}`);
-            clearInterval(this.getReportFormatInterval);
+            if (!isDeviceInfoMissing) {
+                clearInterval(this.getReportFormatInterval);
+            }
         } else {
             if (this.isReportCustom === undefined) {
-                this.SendCommand(`AT${this.cmdForm}=?`);
+                this.SendReportFormatCommand(`AT${this.cmdForm}=?`);
             }
             if (this.isReportJ1708 === undefined) {
-                this.SendCommand(`AT${this.cmdJ1708}=?`);
+                this.SendReportFormatCommand(`AT${this.cmdJ1708}=?`);
             }
             if (this.isReportJ1939 === undefined) {
-                this.SendCommand(`AT${this.cmdJ1939}=?`);
+                this.SendReportFormatCommand(`AT${this.cmdJ1939}=?`);
             }
         }
     }
 
+    /**
+     * Send a command for getting report format unless the same command is still queued or pending.
+     * The response is saved by HandleOtherMsg, so the command result is only logged on failure.
+     *
+     * @param {string} command - The command for getting report format.
+     * @returns {void}
+     */
+    SendReportFormatCommand(command) {
+        const isQueued = this.commandQueue.some(queuedCommand => queuedCommand.command === command);
+        if (isQueued || (this.pendingCommand && this.pendingCommand.command === command)) {
+            return;
+        }
+        this.SendCommand(command).catch(err => {
+            if (err.status !== 'CLOSED') {
+                console.log(`[Socket] ${this.deviceID}: ${err.message}`);
+            }
+        });
+    }
+
     /**
      * Update the report format status of the tracker.
      *
@@ -620,6 +1079,58 @@ module.exports = class ClientSocket {
             this.reportFormatType = 'base';
             this.reportFinalFormat = this.reportBaseFormat;
         }
+
+        this.SelectPatternProfile();
         return true
     }
+
+    /**
+     * Pick the report pattern of the session from the pattern profiles.
+     *
+     * Called when the device id, the AT$INFO answer or the report format becomes known.
+     * Also updates the tags of the final report format that are not in the pattern.
+     *
+     * @returns {void}
+     */
+    SelectPatternProfile() {
+        const profile = this.patternProfiles.Select({
+            deviceID: this.deviceID,
+            model: this.deviceModel,
+            firmware: this.deviceFirmware,
+            reportFormatType: this.reportFormatType,
+        });
+        if (this.patternProfile !== profile.name && this.deviceID !== undefined) {
+            console.log(`[Socket] ${this.deviceID}: Using pattern profile ${profile.name}`);
+        }
+        this.patternProfile = profile.name;
+        this.atrackPattern = profile.pattern;
+
+        if (this.reportFinalFormat === undefined) {
+            return;
+        }
+        // Log the tags that are dropped (or stored raw), so the missing pattern entries can be written
+        const unmappedTags = this.atrackPattern.GetUnmappedTags(this.reportFinalFormat);
+        if (unmappedTags.join(',') !== this.unmappedTags.join(',')) {
+            console.log(`[Socket] ${this.deviceID}: Tags not in report pattern: ${unmappedTags.join(', ')}`);
+        }
+        this.unmappedTags = unmappedTags;
+    }
+
+    /**
+     * Save the model and firmware version from the AT$INFO answer.
+     *
+     * $INFO=<unit id>,<model>,<firmware version>,<IMEI>,...
+     *
+     * @param {string} line - The $INFO answer line.
+     * @returns {void}
+     */
+    SaveDeviceInfo(line) {
+        const infoSplit = line.slice(line.indexOf('=') + 1).split(',');
+        if (infoSplit.length < 3) {
+            return;
+        }
+        this.deviceModel = infoSplit[1].trim();
+        this.deviceFirmware = infoSplit[2].trim();
+        this.SelectPatternProfile();
+    }
 }
@@ -0,0 +1,169 @@
+/**
+ * @module BinaryReport
+ *
+ * @description
+ * A class to decode binary report messages of Atrack GPS trackers.
+ * The binary data is decoded into the same string values an ascii report carries,
+ * so both formats go through the same Pattern.ExtractValue path.
+ */
+const fs = require('fs');
+const path = require('path');
+
+module.exports = class BinaryReport {
+    /**
+     * Create a BinaryReport object from a given string or object.
+     * If the given argument is a string, it is treated as a path to a JSON file
+     * containing the binary layout. If the given argument is an object, it
+     * is treated as the binary layout itself. If the given argument is
+     * neither a string nor an object, an Error is thrown.
+     *
+     * The layout has three sections:
+     * - base: The data type of each field in the base report format.
+     * - tags: The data type of each custom '%' tag.
+     * - prefixes: The data type of J1708/J1939 tags by their two letter prefix (e.g. JO = 1 byte).
+     *
+     * @param {string|object} layout - The binary layout to be used.
+     * @throws {Error} If the given argument is neither a string nor an object.
+     * @constructor
+     */
+    constructor(layout) {
+        if (typeof layout === "string") {
+            // layout args is a path
+            const layoutPath = path.join(__dirname, layout);
+            const layoutText = fs.readFileSync(layoutPath, 'utf8');
+            this.binaryLayout = JSON.parse(layoutText);
+        } else if (typeof layout === "object") {
+            // layout args is an object
+            this.binaryLayout = layout;
+        } else {
+            // Invalid layout args
+            throw new Error("Invalid binary layout args");
+        }
+    }
+
+    /**
+     * Decodes all reports in the given binary data frame.
+     * A single message may carry several reports back to back, each following the given format.
+     * The sizes of the fields come from the layout, so a report that cannot be decoded completely
+     * (e.g. a tag missing from the layout) leaves the start of the next report unknown and fails the whole frame.
+     *
+     * @param {Buffer} dataFrame - The binary data after the message header.
+     * @param {Array<string>} format - The final report format (base format followed by custom tags).
+     * @return {Array<Array<string>> | undefined} The decoded reports, each as an array of string values in format order,
+     * or undefined if a report cannot be decoded.
+     */
+    DecodeReports(dataFrame, format) {
+        const reports = [];
+        let index = 0;
+        while (index < dataFrame.length) {
+            const [report, nextIndex] = this.DecodeReport(dataFrame, format, index);
+            if (report === undefined) {
+                console.log(`[BinaryReport] Cannot decode report at byte ${index} of ${dataFrame.length}`);
+                return undefined;
+            }
+            reports.push(report);
+            index = nextIndex;
+        }
+        return reports;
+    }
+
+    /**
+     * Decodes one report from the given binary data frame.
+     *
+     * @param {Buffer} dataFrame - The binary data after the message header.
+     * @param {Array<string>} format - The final report format.
+     * @param {number} startIndex - The index of the first byte of the report.
+     * @return {Array} The decoded report (or undefined if it cannot be decoded) and the next index.
+     */
+    DecodeReport(dataFrame, format, startIndex) {
+        const report = [];
+        let index = startIndex;
+        for (let i = 0; i < format.length; i++) {
+            const type = this.GetFieldType(format[i], i);
+            if (type === undefined) {
+                console.log(`[BinaryReport] Unknown binary type for field: ${format[i]}`);
+                return [undefined, index];
+            }
+
+            const [value, nextIndex] = this.ReadValue(dataFrame, index, type);
+            if (value === undefined) {
+                return [undefined, index];
+            }
+            report.push(value);
+            index = nextIndex;
+        }
+        return [report, index];
+    }
+
+    /**
+     * Gets the binary data type of the given field.
+     * The first fields are looked up in the base section, the custom tags are looked up
+     * in the tags section first and in the prefixes section second.
+     *
+     * @param {string} field - The field name or custom tag.
+     * @param {number} fieldIndex - The index of the field in the report format.
+     * @return {string | undefined} The data type, or undefined if it is unknown.
+     */
+    GetFieldType(field, fieldIndex) {
+        const baseLayout = this.binaryLayout.base || {};
+        const baseFields = Object.keys(baseLayout);
+        if (fieldIndex < baseFields.length && baseFields[fieldIndex] === field) {
+            return baseLayout[field];
+        }
+        if (this.binaryLayout.tags && this.binaryLayout.tags.hasOwnProperty(field)) {
+            return this.binaryLayout.tags[field];
+        }
+        const prefix = field.slice(0, 2);
+        if (this.binaryLayout.prefixes && this.binaryLayout.prefixes.hasOwnProperty(prefix)) {
+            return this.binaryLayout.prefixes[prefix];
+        }
+        return undefined;
+    }
+
+    /**
+     * Reads a value of the given data type from the buffer.
+     * The value is returned as the string the ascii report would carry.
+     *
+     * Supported data types:
+     * - U8, U16, U32: Unsigned big endian integer.
+     * - I8, I16, I32: Signed big endian integer.
+     * - string: Null terminated ascii string.
+     * - hex:N: N bytes returned as an uppercase hex string.
+     *
+     * @param {Buffer} inputBuffer - The buffer to read from.
+     * @param {number} startIndex - The index to start reading from.
+     * @param {string} type - The data type to read.
+     * @return {Array} The value (or undefined if the buffer is too short or the type is invalid) and the next index.
+     */
+    ReadValue(inputBuffer, startIndex, type) {
+        const intSize = { U8: 1, U16: 2, U32: 4, I8: 1, I16: 2, I32: 4 };
+        if (intSize.hasOwnProperty(type)) {
+            const size = intSize[type];
+            if (startIndex + size > inputBuffer.length) {
+                return [undefined, startIndex];
+            }
+            const value = type.startsWith('U') ?
+                inputBuffer.readUIntBE(startIndex, size) :
+                inputBuffer.readIntBE(startIndex, size);
+            return [value.toString(), startIndex + size];
+        }
+
+        if (type === 'string') {
+            const endIndex = inputBuffer.indexOf(0x00, startIndex);
+            if (endIndex === -1) {
+                return [undefined, startIndex];
+            }
+            return [inputBuffer.subarray(startIndex, endIndex).toString('ascii'), endIndex + 1];
+        }
+
+        if (type.startsWith('hex:')) {
+            const size = parseInt(type.split(':')[1]);
+            if (isNaN(size) || startIndex + size > inputBuffer.length) {
+                return [undefined, startIndex];
+            }
+            return [inputBuffer.subarray(startIndex, startIndex + size).toString('hex').toUpperCase(), startIndex + size];
+        }
+
+        return [undefined, startIndex];
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Command Queue
+ * @description Keeps commands for Atrack GPS trackers on local disk until the tracker is connected
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+module.exports = class CommandQueue {
+    /**
+     * Constructor for CommandQueue class.
+     *
+     * Command status:
+     * - pending: Waiting for the tracker to connect.
+     * - sent: Sent to the tracker, waiting for OK/ERROR.
+     * - ok: The tracker answered OK.
+     * - error: The tracker answered ERROR.
+     * - expired: Not sent before its expire time.
+     *
+     * @constructor
+     * @param {string} [COMMAND_QUEUE_PATH=data/command_queue.json] - The path of the file that stores the queue.
+     * @param {number} [COMMAND_QUEUE_TTL=86400000] - The time in milliseconds a command waits before it expires.
+     * @param {number} [COMMAND_QUEUE_RETENTION=604800000] - The time in milliseconds finished commands are kept in the file.
+     */
+    constructor() {
+        this.COMMAND_QUEUE_PATH = process.env.COMMAND_QUEUE_PATH || 'data/command_queue.json';
+        this.COMMAND_QUEUE_TTL = parseInt(process.env.COMMAND_QUEUE_TTL || 86400000);
+        this.COMMAND_QUEUE_RETENTION = parseInt(process.env.COMMAND_QUEUE_RETENTION || 604800000);
+
+        this.commands = this.Load();
+        this.nextID = this.commands.reduce((maxID, command) => Math.max(maxID, command.id), 0) + 1;
+        // Device ID => the delivery in progress
+        this.deliveries = new Map();
+
+        console.log(`[CommandQueue] Loaded ${this.commands.length} commands from ${this.COMMAND_QUEUE_PATH}`);
+    }
+
+    /**
+     * Reads the queue from the queue file.
+     *
+     * @returns {Array<Object>} The stored commands, or an empty array if the file does not exist or is invalid.
+     */
+    Load() {
+        if (!fs.existsSync(this.COMMAND_QUEUE_PATH)) {
+            return [];
+        }
+        try {
+            const commands = JSON.parse(fs.readFileSync(this.COMMAND_QUEUE_PATH, 'utf8'));
+            // A command that was in flight when the server stopped did not get its answer
+            commands.forEach(command => {
+                if (command.status === 'sent') {
+                    command.status = 'pending';
+                }
+            });
+            return commands;
+        } catch (err) {
+            console.error(`[CommandQueue] ❌ Failed to read ${this.COMMAND_QUEUE_PATH}:`, err.message);
+            return [];
+        }
+    }
+
+    /**
+     * Writes the queue to the queue file.
+     * The file is replaced at once, so a crash while writing does not leave a broken queue.
+     *
+     * @returns {void}
+     */
+    Save() {
+        const retentionTime = Date.now() - this.COMMAND_QUEUE_RETENTION;
+        this.commands = this.commands.filter(command => {
+            return ['pending', 'sent'].includes(command.status) || command.updatedAt >= retentionTime;
+        });
+
+        try {
+            fs.mkdirSync(path.dirname(this.COMMAND_QUEUE_PATH), { recursive: true });
+            const tempPath = `${this.COMMAND_QUEUE_PATH}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(this.commands, null, 2));
+            fs.renameSync(tempPath, this.COMMAND_QUEUE_PATH);
+        } catch (err) {
+            console.error(`[CommandQueue] ❌ Failed to write ${this.COMMAND_QUEUE_PATH}:`, err.message);
+        }
+    }
+
+    /**
+     * Adds a command for the given device to the queue.
+     *
+     * @param {string} deviceID - The device ID of the tracker.
+     * @param {string} command - The command to be sent.
+     * @param {number} [ttl=COMMAND_QUEUE_TTL] - The time in milliseconds the command waits before it expires.
+     * @param {number} [timeout] - The time in milliseconds to wait for OK/ERROR, COMMAND_TIMEOUT of the socket if not given.
+     * @returns {Object} The queued command.
+     */
+    Enqueue(deviceID, command, ttl = this.COMMAND_QUEUE_TTL, timeout = undefined) {
+        const now = Date.now();
+        const queuedCommand = {
+            id: this.nextID++,
+            deviceID: String(deviceID),
+            command: command,
+            status: 'pending',
+            createdAt: now,
+            updatedAt: now,
+            expiresAt: now + ttl,
+            attempts: 0,
+            lines: [],
+        };
+        if (timeout !== undefined) {
+            queuedCommand.timeout = timeout;
+        }
+        this.commands.push(queuedCommand);
+        this.Save();
+        return queuedCommand;
+    }
+
+    /**
+     * Sends the pending commands of the connected tracker in the order they were queued.
+     *
+     * A command that times out or is interrupted by a disconnect goes back to pending
+     * and is sent again on the next connection, until it expires.
+     * If a delivery to the tracker is already running, the running delivery is returned.
+     * It also sends the commands queued meanwhile, unless it stops at a command that did not get an answer.
+     *
+     * @param {ClientSocket} atrackSocket - The connected tracker.
+     * @returns {Promise<Array<Object>>} The commands handled by the delivery.
+     */
+    Deliver(atrackSocket) {
+        const deviceID = String(atrackSocket.deviceID);
+        if (!this.deliveries.has(deviceID)) {
+            this.deliveries.set(deviceID, this.DeliverPending(atrackSocket, deviceID).finally(() => this.deliveries.delete(deviceID)));
+        }
+        return this.deliveries.get(deviceID);
+    }
+
+    /**
+     * Sends the pending commands of the connected tracker one by one, see Deliver.
+     *
+     * @param {ClientSocket} atrackSocket - The connected tracker.
+     * @param {string} deviceID - The device ID of the tracker.
+     * @returns {Promise<Array<Object>>} The commands handled by this delivery.
+     */
+    async DeliverPending(atrackSocket, deviceID) {
+        const delivered = [];
+        let queuedCommand = this.GetNextPending(deviceID);
+        while (queuedCommand !== undefined) {
+            this.UpdateStatus(queuedCommand, 'sent');
+            queuedCommand.attempts++;
+            try {
+                const result = await atrackSocket.SendCommand(queuedCommand.command, queuedCommand.timeout);
+                queuedCommand.lines = result.lines;
+                this.UpdateStatus(queuedCommand, 'ok');
+            } catch (err) {
+                queuedCommand.lines = err.lines || [];
+                this.UpdateStatus(queuedCommand, err.status === 'ERROR' ? 'error' : 'pending');
+            }
+            console.log(`[CommandQueue] ${deviceID} ${queuedCommand.command}: ${queuedCommand.status}`);
+            delivered.push(queuedCommand);
+
+            if (queuedCommand.status === 'pending') {
+                // Tracker did not answer, try again on the next connection
+                break;
+            }
+            queuedCommand = this.GetNextPending(deviceID);
+        }
+        return delivered;
+    }
+
+    /**
+     * Gets the oldest pending command of the given device.
+     * Pending commands past their expire time are marked as expired.
+     *
+     * @param {string} deviceID - The device ID of the tracker.
+     * @returns {Object | undefined} The next pending command, or undefined if there is none.
+     */
+    GetNextPending(deviceID) {
+        this.ExpireCommands();
+        return this.commands.find(command => command.deviceID === deviceID && command.status === 'pending');
+    }
+
+    /**
+     * Marks the pending commands past their expire time as expired.
+     *
+     * @returns {void}
+     */
+    ExpireCommands() {
+        const now = Date.now();
+        this.commands.forEach(command => {
+            if (command.status === 'pending' && command.expiresAt <= now) {
+                this.UpdateStatus(command, 'expired');
+                console.log(`[CommandQueue] ${command.deviceID} ${command.command}: expired`);
+            }
+        });
+    }
+
+    /**
+     * Updates the status of a command and writes the queue to the queue file.
+     *
+     * @param {Object} queuedCommand - The queued command.
+     * @param {string} status - The new status.
+     * @returns {void}
+     */
+    UpdateStatus(queuedCommand, status) {
+        queuedCommand.status = status;
+        queuedCommand.updatedAt = Date.now();
+        this.Save();
+    }
+
+    /**
+     * Gets the commands of the given device, or of all devices if no device ID is given.
+     *
+     * @param {string} [deviceID] - The device ID of the tracker.
+     * @returns {Array<Object>} The queued and finished commands.
+     */
+    List(deviceID) {
+        this.ExpireCommands();
+        if (deviceID === undefined) {
+            return this.commands;
+        }
+        return this.commands.filter(command => command.deviceID === String(deviceID));
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Config Watcher
+ * @description Calls back when watched configuration files change on disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+module.exports = class ConfigWatcher {
+    /**
+     * Constructor for ConfigWatcher class.
+     *
+     * The folders of the files are watched instead of the files, so editors that save
+     * by writing a new file and renaming it over the old one are noticed too.
+     * Changes are collected for CONFIG_WATCH_DELAY, so one save triggers one callback.
+     *
+     * @constructor
+     * @param {string} name - The name used in log messages.
+     * @param {function(): void} onChange - Called after a watched file changed.
+     * @param {boolean} [CONFIG_WATCH=true] - Watch configuration files, set 'false' to only reload on request.
+     * @param {number} [CONFIG_WATCH_DELAY=500] - The time in milliseconds to wait for more changes before calling back.
+     */
+    constructor(name, onChange) {
+        this.CONFIG_WATCH = String(process.env.CONFIG_WATCH || 'true').toLowerCase() === 'true';
+        this.CONFIG_WATCH_DELAY = parseInt(process.env.CONFIG_WATCH_DELAY || 500);
+        this.name = name;
+        this.onChange = onChange;
+        this.watchers = [];
+        this.changeTimeout = undefined;
+    }
+
+    /**
+     * Watches the given files, replacing the files watched before.
+     *
+     * @param {Array<string>} filePaths - The absolute paths of the files to watch.
+     * @returns {void}
+     */
+    Watch(filePaths) {
+        this.Close();
+        if (!this.CONFIG_WATCH) {
+            return;
+        }
+
+        // Folder => watched file names
+        const folders = {};
+        filePaths.forEach(filePath => {
+            const folder = path.dirname(filePath);
+            (folders[folder] = folders[folder] || new Set()).add(path.basename(filePath));
+        });
+
+        for (const folder in folders) {
+            try {
+                const watcher = fs.watch(folder, (eventType, fileName) => {
+                    if (fileName && folders[folder].has(fileName.toString())) {
+                        this.ScheduleChange();
+                    }
+                });
+                watcher.on('error', (err) => console.error(`[ConfigWatcher] ❌ ${this.name}: ${err.message}`));
+                this.watchers.push(watcher);
+            } catch (err) {
+                console.error(`[ConfigWatcher] ❌ ${this.name}: Cannot watch ${folder}: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * Calls back once the changes stopped for CONFIG_WATCH_DELAY.
+     *
+     * @returns {void}
+     */
+    ScheduleChange() {
+        clearTimeout(this.changeTimeout);
+        this.changeTimeout = setTimeout(() => {
+            console.log(`[ConfigWatcher] ${this.name} changed on disk`);
+            this.onChange();
+        }, this.CONFIG_WATCH_DELAY);
+    }
+
+    /**
+     * Stops watching.
+     *
+     * @returns {void}
+     */
+    Close() {
+        clearTimeout(this.changeTimeout);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+    }
+}
@@ -3,17 +3,26 @@
  *
  * @param {Object} server - The server object from the net module.
  * @param {Object} connectedSocket - A dictionary of connected sockets.
+ * @param {CommandQueue} commandQueue - The queue that keeps commands until the device is connected.
+ * @param {function(): Array<Object>} reloadConfig - Reloads the configuration files, see ReloadConfig in main.js.
  */
-function StartConsoleInput(server, connectedSocket) {
+function StartConsoleInput(server, connectedSocket, commandQueue, reloadConfig) {
   // Set up listener for terminal input
   process.stdin.on('data', (data) => {
-    // Data format id|cmd
+    // Data format id|cmd, or reload
     const input = data.toString().trim();
 
+    if (input === 'reload') {
+      reloadConfig().forEach(result => {
+        console.log(`Reload ${result.name}: ${result.reloaded ? 'OK' : `failed, kept the loaded configuration. ${result.error}`}`);
+      });
+      return;
+    }
+
     // Check if the input contains '|'
     if (!input.includes('|')) {
       // Print error message if the input does not contain '|'
-      console.log("Input does not contain '|'. Expected format 'id|cmd'");
+      console.log("Input does not contain '|'. Expected format 'id|cmd' or 'reload'");
       return;
     }
 
@@ -23,37 +32,44 @@ function StartConsoleInput(server, connectedSocket) {
 
     // Send the input to the HandleInput function
     // HandleInput(id, cmd, server, connectedSocket);
-    HandleInput(cmd, id, server, connectedSocket);
+    HandleInput(cmd, id, server, connectedSocket, commandQueue);
   });
 }
 
 /**
  * Handles the input from the terminal console.
  *
+ * The command is added to the command queue of the device. If the device is
+ * connected, the queue is delivered right away, otherwise the command waits
+ * until the device connects.
+ *
  * @param {string} cmd - The command input from the user.
  * @param {string} id - The device ID to target.
  * @param {Object} server - The server object from the net module.
  * @param {Object} connectedSocket - A dictionary of connected sockets.
+ * @param {CommandQueue} commandQueue - The queue that keeps commands until the device is connected.
  */
-function HandleInput(cmd, id, server, connectedSocket) {
-  // Get the number of connections on the server.
-  server.getConnections((err, count) => {
-    if (!err && count > 0) {
-      // If there are connected clients, get the socket for the specified
-      // device ID.
-      let socket = connectedSocket[id];
-
-      // Send the command to the client.
-      socket.SendCommand(cmd);
-
-      // Print a message to the console with the command and device ID.
-      console.log(`Send command ${cmd} to ${id}`);
-    } else {
-      // If there are no connected clients, print a message to the console
-      // with the device ID.
-      console.log(`The Device ${id} is not on the connected list.`);
-    }
+function HandleInput(cmd, id, server, connectedSocket, commandQueue) {
+  const queuedCommand = commandQueue.Enqueue(id, cmd);
+
+  // Get the socket for the specified device ID.
+  let socket = connectedSocket[id];
+  if (socket === undefined) {
+    // If the device is not connected, print a message to the console
+    // with the device ID.
+    console.log(`The Device ${id} is not on the connected list. Command ${cmd} is queued.`);
+    return;
+  }
+
+  // Send the queued commands to the client, or wait for the delivery that is already running.
+  commandQueue.Deliver(socket).then(() => {
+    // Print the response of the command, pending if the device did not answer a command before it.
+    console.log(`Command ${cmd} to ${id}: ${queuedCommand.status}`);
+    queuedCommand.lines.forEach(line => console.log(line));
   });
+
+  // Print a message to the console with the command and device ID.
+  console.log(`Send command ${cmd} to ${id}`);
 }
 
 module.exports = { StartConsoleInput }
@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Driver Roster
+ * @description Maps the driver IDs (iButton/RFID) of the trackers to driver names
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigWatcher = require('./configWatcher');
+
+module.exports = class DriverRoster {
+    /**
+     * Constructor for DriverRoster class.
+     *
+     * The roster file maps driver IDs to drivers, IDs are compared case-insensitive:
+     * {
+     *   "01A2B3C4D5E6": { "name": "Somchai Jaidee" }
+     * }
+     * Without roster file every driver is known by ID only.
+     *
+     * @constructor
+     * @param {string} [DRIVER_ROSTER_PATH=config/drivers.json] - The roster file, relative to src/.
+     * @throws {Error} If the roster file is invalid.
+     */
+    constructor() {
+        this.DRIVER_ROSTER_PATH = process.env.DRIVER_ROSTER_PATH || 'config/drivers.json';
+        this.watcher = new ConfigWatcher('Driver roster', () => this.Reload());
+        this.Load();
+    }
+
+    /**
+     * Reads the roster file. The roster is only replaced if the file is valid.
+     *
+     * @returns {void}
+     * @throws {Error} If the roster file is invalid.
+     */
+    Load() {
+        const rosterPath = path.join(__dirname, this.DRIVER_ROSTER_PATH);
+        let roster = {};
+        if (fs.existsSync(rosterPath)) {
+            roster = JSON.parse(fs.readFileSync(rosterPath, 'utf8'));
+        } else {
+            console.log(`[DriverRoster] ${this.DRIVER_ROSTER_PATH} not found, drivers are known by ID only`);
+        }
+        if (roster === null || typeof roster !== 'object' || Array.isArray(roster)) {
+            throw new Error(`${this.DRIVER_ROSTER_PATH}: roster must be an object of driver ID => driver`);
+        }
+
+        const drivers = {};
+        for (const driverID in roster) {
+            const driver = roster[driverID];
+            if (driver === null || typeof driver !== 'object' || typeof driver.name !== 'string' || driver.name.trim() === '') {
+                throw new Error(`${this.DRIVER_ROSTER_PATH}: driver ${driverID} needs a name`);
+            }
+            drivers[driverID.trim().toUpperCase()] = driver;
+        }
+        this.drivers = drivers;
+        this.files = [rosterPath];
+    }
+
+    /**
+     * Loads the roster again. If the new roster is invalid, the loaded roster is kept.
+     *
+     * @returns {Object} The result with fields name, reloaded and error.
+     */
+    Reload() {
+        try {
+            this.Load();
+        } catch (err) {
+            console.error(`[DriverRoster] ❌ Reload failed, keeping the loaded roster: ${err.message}`);
+            return { name: 'driverRoster', reloaded: false, error: err.message };
+        }
+        console.log(`[DriverRoster] ✅ Reloaded ${Object.keys(this.drivers).length} drivers`);
+        return { name: 'driverRoster', reloaded: true };
+    }
+
+    /**
+     * Reloads the roster when the roster file changes, see ConfigWatcher.
+     *
+     * @returns {void}
+     */
+    Watch() {
+        this.watcher.Watch(this.files);
+    }
+
+    /**
+     * Gets a driver by ID.
+     *
+     * @param {string} driverID - The driver ID from the report.
+     * @returns {Object | undefined} The driver with field name, or undefined if the ID is not in the roster.
+     */
+    GetDriver(driverID) {
+        return this.drivers[String(driverID).trim().toUpperCase()];
+    }
+}
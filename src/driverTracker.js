@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Driver Tracker
+ * @description Detects driver login and logout from the driver ID of the reports and tags the reports with the driver
+ */
+
+const Utilities = require('./utilities');
+
+module.exports = class DriverTracker {
+    /**
+     * Constructor for DriverTracker class.
+     *
+     * A new driver ID in the driver_id field logs the driver in (and the previous driver out),
+     * an empty driver ID logs the driver out. Every login and logout writes an event to INFLUXDB_MEASUREMENT_DRIVER,
+     * tagged with the driver, with the position. Logouts also have the session time and the distance by odometer.
+     * Reports without the driver_id field keep the current driver.
+     * Reports that are not newer than the last report of the device (e.g. buffered reports sent after a reconnect)
+     * are ignored and not tagged, so they cannot log a driver in or out again.
+     * While a driver is logged in, the reports are tagged with driver_id and driver_name (if in the roster).
+     * The current drivers are kept in memory, so after a restart the driver is logged in again by the next report.
+     *
+     * @constructor
+     * @param {InfluxClient} timeSeriesDB - The InfluxDB client to write the events to.
+     * @param {DriverRoster} driverRoster - The roster with the driver names.
+     * @param {string} [INFLUXDB_MEASUREMENT_DRIVER=driver] - The name of the measurement for login and logout events.
+     */
+    constructor(timeSeriesDB, driverRoster) {
+        this.INFLUXDB_MEASUREMENT_DRIVER = process.env.INFLUXDB_MEASUREMENT_DRIVER || 'driver';
+        this.timeSeriesDB = timeSeriesDB;
+        this.driverRoster = driverRoster;
+        // Device ID => {driverID, loginAt, loginOdometer}
+        this.sessions = {};
+        // Device ID => time of the last report in nanoseconds
+        this.lastTimestamps = {};
+    }
+
+    /**
+     * Checks a report for a driver change and adds the driver to the report tags.
+     *
+     * @param {string} deviceID - The device ID of the report.
+     * @param {string} timestamp - The report time in nanoseconds.
+     * @param {Array<Object>} data - The decoded fields of the report.
+     * @param {Object} tags - The tags of the report point, the driver tags are added to it.
+     * @returns {void}
+     */
+    Analyze(deviceID, timestamp, data, tags) {
+        if (this.lastTimestamps[deviceID] !== undefined && BigInt(timestamp) <= BigInt(this.lastTimestamps[deviceID])) {
+            return;
+        }
+        this.lastTimestamps[deviceID] = timestamp;
+
+        const driverID = Utilities.GetDataValue(data, 'driver_id');
+        const session = this.sessions[deviceID];
+        if (typeof driverID === 'string' && (session === undefined || session.driverID !== driverID.toUpperCase())) {
+            if (session !== undefined) {
+                this.WriteEvent(deviceID, timestamp, data, 'logout', session);
+                delete this.sessions[deviceID];
+            }
+            if (driverID !== '') {
+                const odometer = Utilities.GetDataValue(data, 'gps_odometer');
+                this.sessions[deviceID] = { driverID: driverID.toUpperCase(), loginAt: timestamp, loginOdometer: odometer };
+                this.WriteEvent(deviceID, timestamp, data, 'login', this.sessions[deviceID]);
+            }
+        }
+
+        if (this.sessions[deviceID] !== undefined) {
+            Object.assign(tags, this.GetDriverTags(this.sessions[deviceID]));
+        }
+    }
+
+    /**
+     * Gets the tags of the driver of a session.
+     *
+     * @param {Object} session - The driver session.
+     * @returns {Object} The tags driver_id and driver_name, without driver_name if the driver is not in the roster.
+     */
+    GetDriverTags(session) {
+        const driver = this.driverRoster.GetDriver(session.driverID);
+        return driver === undefined ? { driver_id: session.driverID } : { driver_id: session.driverID, driver_name: driver.name };
+    }
+
+    /**
+     * Writes one login or logout event.
+     *
+     * @param {string} deviceID - The device ID of the report.
+     * @param {string} timestamp - The report time in nanoseconds.
+     * @param {Array<Object>} data - The decoded fields of the report.
+     * @param {string} event - 'login' or 'logout'.
+     * @param {Object} session - The driver session.
+     * @returns {void}
+     */
+    WriteEvent(deviceID, timestamp, data, event, session) {
+        const driver = this.driverRoster.GetDriver(session.driverID);
+        console.log(`[DriverTracker] ${deviceID}: Driver ${session.driverID}${driver ? ` (${driver.name})` : ''} ${event}`);
+
+        const dataList = [{ name: 'event', dbtype: 'string', value: event }];
+        if (event === 'logout') {
+            dataList.push({ name: 'session_time', dbtype: 'int', value: Number((BigInt(timestamp) - BigInt(session.loginAt)) / 1000000000n) });
+            const odometer = Utilities.GetDataValue(data, 'gps_odometer');
+            if (typeof odometer === 'number' && typeof session.loginOdometer === 'number') {
+                dataList.push({ name: 'distance', dbtype: 'float', value: Math.max(0, odometer - session.loginOdometer) });
+            }
+        }
+        this.timeSeriesDB.WriteData(deviceID, timestamp, dataList.concat(Utilities.GetDataFields(data, ['lat', 'lng'])), this.INFLUXDB_MEASUREMENT_DRIVER, this.GetDriverTags(session));
+    }
+
+    /**
+     * Gets the driver of a device, for the device details of the HTTP API.
+     *
+     * @param {string} deviceID - The device ID.
+     * @returns {Object} The status with field driver, the driver ID, name and login time, or undefined.
+     */
+    GetDeviceStatus(deviceID) {
+        const session = this.sessions[deviceID];
+        if (session === undefined) {
+            return { driver: undefined };
+        }
+        const driver = this.driverRoster.GetDriver(session.driverID);
+        return { driver: { id: session.driverID, name: driver ? driver.name : undefined, loginAt: session.loginAt } };
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview DTC Tracker
+ * @description Writes an event when a diagnostic trouble code of a tracker appears or clears
+ */
+
+const Utilities = require('./utilities');
+
+module.exports = class DtcTracker {
+    /**
+     * Constructor for DtcTracker class.
+     *
+     * Compares the active codes of every dtc field (see Pattern.GetValueDTC) with the previous report of the device.
+     * Every new code writes an 'appeared' event and every code that is gone writes a 'cleared' event to
+     * INFLUXDB_MEASUREMENT_FAULT, tagged with the source field and the code, with the position of the report.
+     * Reports without the dtc field do not change the active codes.
+     * The active codes are kept in memory, so codes still active after a restart are written as appeared again.
+     *
+     * @constructor
+     * @param {InfluxClient} timeSeriesDB - The InfluxDB client to write the events to.
+     * @param {string} [INFLUXDB_MEASUREMENT_FAULT=fault] - The name of the measurement for fault events.
+     */
+    constructor(timeSeriesDB) {
+        this.INFLUXDB_MEASUREMENT_FAULT = process.env.INFLUXDB_MEASUREMENT_FAULT || 'fault';
+        this.timeSeriesDB = timeSeriesDB;
+        // Device ID => source field => code => active fault
+        this.activeFaults = {};
+    }
+
+    /**
+     * Checks a decoded report for appeared and cleared codes.
+     *
+     * @param {string} deviceID - The device ID of the report.
+     * @param {string} timestamp - The report time in nanoseconds.
+     * @param {Array<Object>} data - The decoded fields of the report.
+     * @returns {void}
+     */
+    Analyze(deviceID, timestamp, data) {
+        const position = Utilities.GetDataFields(data, ['lat', 'lng']);
+        const deviceFaults = this.activeFaults[deviceID] = this.activeFaults[deviceID] || {};
+
+        data.filter(field => field.dbtype === 'dtc').forEach(field => {
+            const previousFaults = deviceFaults[field.name] || {};
+            const currentFaults = {};
+            field.value.forEach(fault => {
+                currentFaults[fault.code] = previousFaults[fault.code] || Object.assign({ appearedAt: timestamp }, fault);
+                if (previousFaults[fault.code] === undefined) {
+                    console.log(`[DtcTracker] ${deviceID}: Fault ${fault.code} of ${field.name} appeared`);
+                    this.WriteEvent(deviceID, timestamp, field.name, 'appeared', fault, position);
+                }
+            });
+            for (const code in previousFaults) {
+                if (currentFaults[code] === undefined) {
+                    console.log(`[DtcTracker] ${deviceID}: Fault ${code} of ${field.name} cleared`);
+                    this.WriteEvent(deviceID, timestamp, field.name, 'cleared', previousFaults[code], position);
+                }
+            }
+            deviceFaults[field.name] = currentFaults;
+        });
+    }
+
+    /**
+     * Writes one fault event.
+     * Cleared events also have the time in seconds the code was active.
+     *
+     * @param {string} deviceID - The device ID of the report.
+     * @param {string} timestamp - The report time in nanoseconds.
+     * @param {string} source - The dtc field the code is from, for example 'j1939_dtc'.
+     * @param {string} event - 'appeared' or 'cleared'.
+     * @param {Object} fault - The code, see Pattern.GetValueDTC.
+     * @param {Array<Object>} position - The lat and lng fields of the report.
+     * @returns {void}
+     */
+    WriteEvent(deviceID, timestamp, source, event, fault, position) {
+        const dataList = [{ name: 'event', dbtype: 'string', value: event }];
+        for (const key in fault) {
+            if (key !== 'code' && key !== 'appearedAt') {
+                dataList.push({ name: key, dbtype: typeof fault[key] === 'number' ? 'int' : 'string', value: fault[key] });
+            }
+        }
+        if (event === 'cleared') {
+            dataList.push({ name: 'active_time', dbtype: 'int', value: Number((BigInt(timestamp) - BigInt(fault.appearedAt)) / 1000000000n) });
+        }
+        this.timeSeriesDB.WriteData(deviceID, timestamp, dataList.concat(position), this.INFLUXDB_MEASUREMENT_FAULT, { source: source, code: fault.code });
+    }
+
+    /**
+     * Gets the active codes of a device, for the device details of the HTTP API.
+     *
+     * @param {string} deviceID - The device ID.
+     * @returns {Object} The status with field activeFaults, the codes with their source field and the time they appeared.
+     */
+    GetDeviceStatus(deviceID) {
+        const deviceFaults = this.activeFaults[deviceID] || {};
+        const activeFaults = [];
+        for (const source in deviceFaults) {
+            for (const code in deviceFaults[source]) {
+                activeFaults.push(Object.assign({ source: source }, deviceFaults[source][code]));
+            }
+        }
+        return { activeFaults: activeFaults };
+    }
+}
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Event Recorder
+ * @description Writes the reports sent for an event (not periodic) to the events measurement
+ */
+
+module.exports = class EventRecorder {
+    /**
+     * Constructor for EventRecorder class.
+     *
+     * Reports whose event type (see Pattern.GetValueEvent) is not periodic are written again to
+     * INFLUXDB_MEASUREMENT_EVENT, tagged with the event type and the report tags (driver, ...),
+     * with the full decoded report including the position.
+     * So alarms like harsh braking or power cuts can be queried without the routine tracking points.
+     *
+     * @constructor
+     * @param {InfluxClient} timeSeriesDB - The InfluxDB client to write the events to.
+     * @param {string} [INFLUXDB_MEASUREMENT_EVENT=event] - The name of the measurement for event reports.
+     */
+    constructor(timeSeriesDB) {
+        this.INFLUXDB_MEASUREMENT_EVENT = process.env.INFLUXDB_MEASUREMENT_EVENT || 'event';
+        this.timeSeriesDB = timeSeriesDB;
+        // Device ID => {event, id, timestamp} of the last event report
+        this.lastEvent = {};
+    }
+
+    /**
+     * Writes the report to the events measurement if it was sent for an event.
+     *
+     * @param {string} deviceID - The device ID of the report.
+     * @param {string} timestamp - The report time in nanoseconds.
+     * @param {Array<Object>} data - The decoded fields of the report.
+     * @param {Object} tags - The tags of the report point.
+     * @returns {void}
+     */
+    Analyze(deviceID, timestamp, data, tags) {
+        data.filter(field => field.dbtype === 'event' && !field.value.periodic).forEach(field => {
+            console.log(`[EventRecorder] ${deviceID}: Event ${field.value.event} (report ID ${field.value.id})`);
+            this.timeSeriesDB.WriteData(deviceID, timestamp, data, this.INFLUXDB_MEASUREMENT_EVENT, Object.assign({}, tags, { event: field.value.event }));
+            this.lastEvent[deviceID] = { event: field.value.event, id: field.value.id, timestamp: timestamp };
+        });
+    }
+
+    /**
+     * Gets the last event of a device, for the device details of the HTTP API.
+     *
+     * @param {string} deviceID - The device ID.
+     * @returns {Object} The status with field lastEvent.
+     */
+    GetDeviceStatus(deviceID) {
+        return { lastEvent: this.lastEvent[deviceID] };
+    }
+}
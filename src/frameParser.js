@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Frame Parser
+ *
+ * @description
+ * Reassembles the TCP byte stream of one Atrack GPS tracker connection into
+ * complete protocol frames. A single socket `data` event may carry part of a
+ * frame, several frames, or a mix of frames and command responses, so the
+ * parser buffers partial input and only hands out whole frames.
+ *
+ * Frame boundaries:
+ * - Keep alive (FE 02): fixed 12 bytes.
+ * - ASCII report (@P,): `@P,<CRC>,<Length>,` followed by Length bytes.
+ * - Binary report (@P) and picture (@R): 2 byte prefix, 2 byte CRC, 2 byte Length, followed by Length bytes.
+ * - Anything else is text (command responses) and ends with CRLF.
+ */
+
+const PREFIX_KEEP_ALIVE = Buffer.from([0xFE, 0x02]);
+const PREFIX_REPORT = Buffer.from([0x40, 0x50]); // @P
+const PREFIX_PICTURE = Buffer.from([0x40, 0x52]); // @R
+const KEEP_ALIVE_LENGTH = 12;
+const BINARY_HEADER_LENGTH = 6;
+const ASCII_HEADER_MAX_LENGTH = 32;
+const ASCII_REPORT_HEADER = /^@P,[0-9A-Fa-f]{1,4},/;
+const ASCII_REPORT_HEADER_START = /^@P(,[0-9A-Fa-f]{0,4})?$/;
+const LINE_END = Buffer.from('\r\n', 'ascii');
+
+module.exports = class FrameParser {
+    /**
+     * Constructor for FrameParser class.
+     *
+     * @param {number} [maxBufferLength=FRAME_BUFFER_MAX_LENGTH] - The maximum number of buffered bytes before the buffer is dropped.
+     */
+    constructor(maxBufferLength = process.env.FRAME_BUFFER_MAX_LENGTH || 262144) {
+        this.buffer = Buffer.alloc(0);
+        this.maxBufferLength = parseInt(maxBufferLength);
+    }
+
+    /**
+     * Add received data to the parser and get every frame completed by it.
+     *
+     * Each returned frame is an object with fields type and buffer.
+     * The type is one of 'keepalive', 'report', 'picture' or 'other'.
+     * Incomplete data is kept until the next call.
+     *
+     * @param {Buffer} data - The received data from the socket.
+     * @return {Array<Object>} The completed frames in the order they were received.
+     */
+    Push(data) {
+        this.buffer = this.buffer.length === 0 ? data : Buffer.concat([this.buffer, data]);
+
+        const frames = [];
+        let frame = this.NextFrame();
+        while (frame !== undefined) {
+            frames.push(frame);
+            frame = this.NextFrame();
+        }
+
+        if (this.buffer.length > this.maxBufferLength) {
+            console.log(`[FrameParser] Buffer exceeded ${this.maxBufferLength} bytes without a complete frame. Dropping ${this.buffer.length} bytes.`);
+            this.buffer = Buffer.alloc(0);
+        }
+
+        return frames;
+    }
+
+    /**
+     * Cut the next complete frame from the start of the buffer.
+     *
+     * @return {Object | undefined} The next frame, or undefined if the buffer does not hold a complete frame yet.
+     */
+    NextFrame() {
+        if (this.buffer.length < 2) {
+            return undefined;
+        }
+
+        const prefix = this.buffer.subarray(0, 2);
+        let type = 'other';
+        let frameLength = undefined;
+
+        if (prefix.equals(PREFIX_KEEP_ALIVE)) {
+            type = 'keepalive';
+            frameLength = KEEP_ALIVE_LENGTH;
+        } else if (prefix.equals(PREFIX_REPORT)) {
+            type = 'report';
+            frameLength = this.GetReportFrameLength();
+        } else if (prefix.equals(PREFIX_PICTURE)) {
+            type = 'picture';
+            frameLength = this.GetBinaryFrameLength();
+        } else {
+            frameLength = this.GetOtherFrameLength();
+        }
+
+        if (frameLength === null) {
+            // Broken header, skip to the next known prefix
+            type = 'other';
+            frameLength = this.GetResyncLength();
+        }
+
+        if (frameLength === undefined || this.buffer.length < frameLength) {
+            return undefined;
+        }
+
+        const frame = { type: type, buffer: this.buffer.subarray(0, frameLength) };
+        this.buffer = this.buffer.subarray(frameLength);
+        return frame;
+    }
+
+    /**
+     * Get the total length of the report frame at the start of the buffer.
+     * The report is ascii if it starts with `@P,<CRC>,` where the CRC is 1-4 hex digits, otherwise it is binary.
+     * Checking only the ',' at index 2 is not enough: in a binary report it is the high byte of the CRC.
+     *
+     * @return {number | undefined | null} The frame length, undefined if the header is not complete yet, or null if the header is broken.
+     */
+    GetReportFrameLength() {
+        const header = this.buffer.subarray(0, ASCII_HEADER_MAX_LENGTH).toString('latin1');
+        if (FrameParser.IsAsciiReport(this.buffer)) {
+            return this.GetAsciiFrameLength();
+        }
+        if (ASCII_REPORT_HEADER_START.test(header)) {
+            // Can still become an ascii header
+            return undefined;
+        }
+        return this.GetBinaryFrameLength();
+    }
+
+    /**
+     * Check if a report frame is ascii, by its `@P,<CRC>,` header where the CRC is 1-4 hex digits.
+     *
+     * @param {Buffer} buffer - The report frame, or the start of it.
+     * @return {boolean} True if the report is ascii, false if it is binary or the header is not complete yet.
+     */
+    static IsAsciiReport(buffer) {
+        return ASCII_REPORT_HEADER.test(buffer.subarray(0, ASCII_HEADER_MAX_LENGTH).toString('latin1'));
+    }
+
+    /**
+     * Get the total length of the ascii report frame at the start of the buffer.
+     * The length field counts the bytes after the comma that ends it.
+     *
+     * @return {number | undefined | null} The frame length, undefined if the header is not complete yet, or null if the header is broken.
+     */
+    GetAsciiFrameLength() {
+        // @P,<CRC>,<Length>,
+        const crcEndIndex = this.buffer.indexOf(',', 3);
+        const lengthEndIndex = crcEndIndex === -1 ? -1 : this.buffer.indexOf(',', crcEndIndex + 1);
+        if (lengthEndIndex === -1) {
+            if (this.buffer.length > ASCII_HEADER_MAX_LENGTH) {
+                return null;
+            }
+            return undefined;
+        }
+
+        const length = this.buffer.subarray(crcEndIndex + 1, lengthEndIndex).toString('ascii');
+        if (!/^\d+$/.test(length)) {
+            return null;
+        }
+        return lengthEndIndex + 1 + parseInt(length);
+    }
+
+    /**
+     * Get the total length of the binary frame at the start of the buffer.
+     * The length field in bytes 4-5 counts the bytes after it.
+     *
+     * @return {number | undefined} The frame length, or undefined if the header is not complete yet.
+     */
+    GetBinaryFrameLength() {
+        if (this.buffer.length < BINARY_HEADER_LENGTH) {
+            return undefined;
+        }
+        return BINARY_HEADER_LENGTH + this.buffer.readUInt16BE(4);
+    }
+
+    /**
+     * Get the length of the text data at the start of the buffer.
+     * Text ends with CRLF. Command responses may contain '@P' (e.g. $FORM=0,@P,0,"%MV"),
+     * so only a keep alive prefix can end text that has no CRLF yet.
+     *
+     * @return {number | undefined} The frame length, or undefined if the text is not complete yet.
+     */
+    GetOtherFrameLength() {
+        const lineEndIndex = this.buffer.indexOf(LINE_END);
+        const keepAliveIndex = this.buffer.indexOf(PREFIX_KEEP_ALIVE, 1);
+        if (lineEndIndex !== -1 && (keepAliveIndex === -1 || lineEndIndex < keepAliveIndex)) {
+            return lineEndIndex + LINE_END.length;
+        }
+        if (keepAliveIndex !== -1) {
+            return keepAliveIndex;
+        }
+        return undefined;
+    }
+
+    /**
+     * Get the length of the bytes to skip when the frame header is broken.
+     *
+     * @return {number} The number of bytes up to the next known prefix, or the whole buffer if there is none.
+     */
+    GetResyncLength() {
+        const prefixIndex = this.FindPrefix(1);
+        return prefixIndex === -1 ? this.buffer.length : prefixIndex;
+    }
+
+    /**
+     * Find the first known frame prefix in the buffer.
+     *
+     * @param {number} [startIndex=0] - The index to start searching from.
+     * @return {number} The index of the prefix, or -1 if there is none.
+     */
+    FindPrefix(startIndex = 0) {
+        const indexes = [PREFIX_KEEP_ALIVE, PREFIX_REPORT, PREFIX_PICTURE]
+            .map(prefix => this.buffer.indexOf(prefix, startIndex))
+            .filter(index => index !== -1);
+        return indexes.length === 0 ? -1 : Math.min(...indexes);
+    }
+
+    /**
+     * Drop all buffered data.
+     *
+     * @returns {void}
+     */
+    Clear() {
+        this.buffer = Buffer.alloc(0);
+    }
+}
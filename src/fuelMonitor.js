@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Fuel Monitor
+ * @description Smooths the fuel level of every tracker, converts it to liters and writes refuel and fuel drop events
+ */
+
+const StateFile = require('./stateFile');
+const Utilities = require('./utilities');
+
+/**
+ * Gets the median of a list of numbers, robust against single spikes of a sloshing fuel level.
+ *
+ * @param {Array<number>} values - The numbers, at least one.
+ * @returns {number} The median.
+ */
+function Median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+module.exports = class FuelMonitor {
+    /**
+     * Constructor for FuelMonitor class.
+     *
+     * The fuel_level (%) of every report is smoothed with the median of the last smoothingWindow reports
+     * and converted to liters with the tank size of the device (see FuelRules). The report gets the fields
+     * fuel_level_smoothed (%) and fuel_volume (L). Devices without tank size are skipped.
+     * The smoothed level is compared with a baseline, the level of the last report while driving or after the last event:
+     * - A rise of refuelThreshold liters starts a refuel.
+     * - A fall of dropThreshold liters while parked starts a fuel drop (theft or leak).
+     * The event ends when the level did not rise (fall) further for settleTime seconds, or for a drop when the
+     * vehicle drives away. The fuel_used counter reconciles the amount: the fuel the engine used meanwhile is added to a
+     * refuel and taken from a drop, and drops below dropThreshold after that are not written.
+     * Every event is written to INFLUXDB_MEASUREMENT_FUEL at the report that crossed the threshold, tagged with
+     * the event and the report tags (driver, zone, ...), with the amount, the levels and the position.
+     * The state of all devices is saved to FUEL_STATE_PATH, so the baseline survives restarts.
+     *
+     * @constructor
+     * @param {InfluxClient} timeSeriesDB - The InfluxDB client to write the events to.
+     * @param {FuelRules} fuelRules - The tank sizes and thresholds.
+     * @param {Object} [options] - Optional settings.
+     * @param {string} [options.statePath] - The state file, overrides FUEL_STATE_PATH. '' keeps the state in memory only.
+     * @param {string} [INFLUXDB_MEASUREMENT_FUEL=fuel] - The name of the measurement for refuel and fuel drop events.
+     * @param {string} [FUEL_STATE_PATH=data/fuel_state.json] - The file the fuel state is saved to.
+     * @param {number} [FUEL_STATE_SAVE_DELAY=5000] - The milliseconds changes are collected before saving.
+     */
+    constructor(timeSeriesDB, fuelRules, options = {}) {
+        this.INFLUXDB_MEASUREMENT_FUEL = process.env.INFLUXDB_MEASUREMENT_FUEL || 'fuel';
+        this.FUEL_STATE_PATH = options.statePath !== undefined ? options.statePath : (process.env.FUEL_STATE_PATH || 'data/fuel_state.json');
+        this.FUEL_STATE_SAVE_DELAY = parseInt(process.env.FUEL_STATE_SAVE_DELAY || 5000);
+
+        this.timeSeriesDB = timeSeriesDB;
+        this.fuelRules = fuelRules;
+        this.stateFile = new StateFile('FuelMonitor', this.FUEL_STATE_PATH, this.FUEL_STATE_SAVE_DELAY, () => this.states);
+        // Device ID => {levels, lastTime, baseline, event}, the last raw levels, the baseline point and the running event
+        this.states = this.stateFile.Load();
+    }
+
+    /**
+     * Saves a scheduled change of the fuel state now, see StateFile.
+     *
+     * @returns {void}
+     */
+    Stop() {
+        this.stateFile.Stop();
+    }
+
+    /**
+     * Adds the smoothed fuel level to a report and checks it for refuels and fuel drops.
+     * Reports not newer than the last report with a fuel level are ignored.
+     *
+     * @param {string} deviceID - The device ID of the report.
+     * @param {string} timestamp - The report time in nanoseconds.
+     * @param {Array<Object>} data - The decoded fields of the report, the smoothed level is added to it.
+     * @param {Object} tags - The tags of the report point.
+     * @returns {void}
+     */
+    Analyze(deviceID, timestamp, data, tags) {
+        const level = Utilities.GetDataValue(data, 'fuel_level');
+        const tankSize = this.fuelRules.GetTankSize(deviceID);
+        if (typeof level !== 'number' || tankSize === undefined) {
+            return;
+        }
+        const rules = this.fuelRules.rules;
+        const time = Number(BigInt(timestamp) / 1000000000n);
+        const state = this.states[deviceID] = this.states[deviceID] || { levels: [], lastTime: undefined, baseline: undefined, event: undefined };
+        if (state.lastTime !== undefined && time <= state.lastTime) {
+            return;
+        }
+        state.lastTime = time;
+
+        state.levels.push(level);
+        state.levels.splice(0, Math.max(0, state.levels.length - rules.smoothingWindow));
+        const smoothed = Median(state.levels);
+        const point = {
+            timestamp: timestamp,
+            time: time,
+            liters: Number((smoothed * tankSize / 100).toFixed(1)),
+            lat: Utilities.GetDataValue(data, 'lat'),
+            lng: Utilities.GetDataValue(data, 'lng'),
+            fuelUsed: Utilities.GetDataValue(data, 'fuel_used'),
+        };
+        data.push(
+            { name: 'fuel_level_smoothed', dbtype: 'float', value: Number(smoothed.toFixed(1)) },
+            { name: 'fuel_volume', dbtype: 'float', value: point.liters },
+        );
+        const speed = Utilities.GetDataValue(data, 'gps_speed');
+        const parked = typeof speed === 'number' && speed <= rules.parkedSpeed;
+
+        const event = state.event;
+        if (state.baseline === undefined) {
+            state.baseline = point;
+        } else if (event !== undefined) {
+            const further = event.type === 'refuel' ? point.liters > event.extreme.liters : point.liters < event.extreme.liters;
+            if (further) {
+                event.extreme = point;
+                event.lastChange = time;
+            }
+            if ((event.type === 'drop' && !parked) || (!further && time - event.lastChange >= rules.settleTime)) {
+                state.event = undefined;
+                state.baseline = point;
+                this.EndEvent(deviceID, event, tankSize);
+            }
+        } else if (point.liters - state.baseline.liters >= rules.refuelThreshold) {
+            state.event = { type: 'refuel', start: state.baseline, detected: point, extreme: point, lastChange: time, tags: Object.assign({}, tags) };
+        } else if (parked && state.baseline.liters - point.liters >= rules.dropThreshold) {
+            state.event = { type: 'drop', start: state.baseline, detected: point, extreme: point, lastChange: time, tags: Object.assign({}, tags) };
+        } else if (!parked) {
+            state.baseline = point;
+        }
+
+        if (state.event !== event) {
+            this.stateFile.Save();
+        } else {
+            this.stateFile.ScheduleSave();
+        }
+    }
+
+    /**
+     * Writes an ended refuel or fuel drop, reconciled with the fuel_used counter.
+     *
+     * @param {string} deviceID - The device ID of the event.
+     * @param {Object} event - The ended event with fields type, start (the baseline), detected and extreme points.
+     * @param {number} tankSize - The tank size of the device in liters.
+     * @returns {void}
+     */
+    EndEvent(deviceID, event, tankSize) {
+        const start = event.start;
+        const extreme = event.extreme;
+        const engineUsed = typeof start.fuelUsed === 'number' && typeof extreme.fuelUsed === 'number' && extreme.fuelUsed >= start.fuelUsed ?
+            extreme.fuelUsed - start.fuelUsed : undefined;
+        const change = Math.abs(extreme.liters - start.liters);
+        const amount = event.type === 'refuel' ? change + (engineUsed || 0) : change - (engineUsed || 0);
+        if (event.type === 'drop' && amount < this.fuelRules.rules.dropThreshold) {
+            console.log(`[FuelMonitor] ${deviceID}: Fuel drop of ${change.toFixed(1)} L used by the engine, not written`);
+            return;
+        }
+        console.log(`[FuelMonitor] ${deviceID}: ${event.type === 'refuel' ? 'Refuel' : 'Fuel drop'} of ${amount.toFixed(1)} L`);
+
+        const dataList = [
+            { name: 'amount', dbtype: 'float', value: Number(amount.toFixed(1)) },
+            { name: 'level_before', dbtype: 'float', value: start.liters },
+            { name: 'level_after', dbtype: 'float', value: extreme.liters },
+            { name: 'engine_used', dbtype: 'float', value: engineUsed !== undefined ? Number(engineUsed.toFixed(1)) : undefined },
+            { name: 'tank_size', dbtype: 'float', value: tankSize },
+            { name: 'lat', dbtype: 'float', value: event.detected.lat },
+            { name: 'lng', dbtype: 'float', value: event.detected.lng },
+        ].filter(data => typeof data.value === 'number');
+        this.timeSeriesDB.WriteData(deviceID, event.detected.timestamp, dataList, this.INFLUXDB_MEASUREMENT_FUEL, Object.assign({}, event.tags, { event: event.type }));
+    }
+
+    /**
+     * Gets the fuel of a device, for the device details of the HTTP API.
+     *
+     * @param {string} deviceID - The device ID.
+     * @returns {Object} The status with field fuel, the baseline volume in liters and the running event type, or undefined.
+     */
+    GetDeviceStatus(deviceID) {
+        const state = this.states[deviceID];
+        if (state === undefined || state.baseline === undefined) {
+            return { fuel: undefined };
+        }
+        return { fuel: { baselineVolume: state.baseline.liters, event: state.event !== undefined ? state.event.type : undefined } };
+    }
+}
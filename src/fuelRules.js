@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Fuel Rules
+ * @description Loads the tank sizes of the vehicles and the refuel and fuel drop thresholds
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigWatcher = require('./configWatcher');
+
+// Rule => default value, every rule is a number of at least 0
+const DEFAULT_RULES = {
+    'smoothingWindow': 5,
+    'refuelThreshold': 10,
+    'dropThreshold': 8,
+    'parkedSpeed': 2,
+    'settleTime': 120,
+};
+
+module.exports = class FuelRules {
+    /**
+     * Constructor for FuelRules class.
+     *
+     * The rules file sets the tank sizes in liters and the detection settings, all keys are optional:
+     * {
+     *   "defaultTankSize": 100,     // for devices not in tankSizes, no fuel analytics if not set
+     *   "tankSizes": { "1234": 400 },
+     *   "smoothingWindow": 5,       // reports in the median of the fuel level
+     *   "refuelThreshold": 10,      // liters the level must rise for a refuel
+     *   "dropThreshold": 8,         // liters the level must drop while parked for a fuel drop
+     *   "parkedSpeed": 2,           // km/h up to which the vehicle is parked
+     *   "settleTime": 120           // seconds without further change that end a refuel or drop
+     * }
+     * Without rules file no fuel level is analyzed.
+     *
+     * @constructor
+     * @param {string} [FUEL_RULES_PATH=config/fuel_rules.json] - The rules file, relative to src/.
+     * @throws {Error} If the rules file is invalid.
+     */
+    constructor() {
+        this.FUEL_RULES_PATH = process.env.FUEL_RULES_PATH || 'config/fuel_rules.json';
+        this.watcher = new ConfigWatcher('Fuel rules', () => this.Reload());
+        this.Load();
+    }
+
+    /**
+     * Reads the rules file. The rules are only replaced if the file is valid.
+     *
+     * @returns {void}
+     * @throws {Error} If the rules file is invalid.
+     */
+    Load() {
+        const rulesPath = path.join(__dirname, this.FUEL_RULES_PATH);
+        let rules = {};
+        if (fs.existsSync(rulesPath)) {
+            rules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+        } else {
+            console.log(`[FuelRules] ${this.FUEL_RULES_PATH} not found, no fuel analytics`);
+        }
+        const where = this.FUEL_RULES_PATH;
+        if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+            throw new Error(`${where}: rules must be an object`);
+        }
+        const IsTankSize = value => typeof value === 'number' && value > 0;
+
+        if (rules.defaultTankSize !== undefined && rules.defaultTankSize !== null && !IsTankSize(rules.defaultTankSize)) {
+            throw new Error(`${where}: defaultTankSize must be liters above 0`);
+        }
+        const tankSizes = rules.tankSizes || {};
+        if (tankSizes === null || typeof tankSizes !== 'object' || Array.isArray(tankSizes)) {
+            throw new Error(`${where}: tankSizes must be an object of device ID => liters`);
+        }
+        for (const deviceID in tankSizes) {
+            if (!IsTankSize(tankSizes[deviceID])) {
+                throw new Error(`${where}: the tank size of device ${deviceID} must be liters above 0`);
+            }
+        }
+        const loaded = { defaultTankSize: rules.defaultTankSize || undefined, tankSizes: tankSizes };
+        for (const key in DEFAULT_RULES) {
+            if (rules[key] !== undefined && !(typeof rules[key] === 'number' && rules[key] >= 0)) {
+                throw new Error(`${where}: ${key} must be a number of at least 0`);
+            }
+            loaded[key] = rules[key] !== undefined ? rules[key] : DEFAULT_RULES[key];
+        }
+        if (!Number.isInteger(loaded.smoothingWindow) || loaded.smoothingWindow < 1) {
+            throw new Error(`${where}: smoothingWindow must be a whole number of at least 1`);
+        }
+
+        this.rules = loaded;
+        this.files = [rulesPath];
+    }
+
+    /**
+     * Loads the rules again. If the new rules are invalid, the loaded rules are kept.
+     *
+     * @returns {Object} The result with fields name, reloaded and error.
+     */
+    Reload() {
+        try {
+            this.Load();
+        } catch (err) {
+            console.error(`[FuelRules] ❌ Reload failed, keeping the loaded rules: ${err.message}`);
+            return { name: 'fuelRules', reloaded: false, error: err.message };
+        }
+        console.log(`[FuelRules] ✅ Reloaded ${Object.keys(this.rules.tankSizes).length} tank sizes`);
+        return { name: 'fuelRules', reloaded: true };
+    }
+
+    /**
+     * Reloads the rules when the rules file changes, see ConfigWatcher.
+     *
+     * @returns {void}
+     */
+    Watch() {
+        this.watcher.Watch(this.files);
+    }
+
+    /**
+     * Gets the tank size of a device.
+     *
+     * @param {string} deviceID - The device ID.
+     * @returns {number | undefined} The tank size in liters, or undefined if the device has none.
+     */
+    GetTankSize(deviceID) {
+        return this.rules.tankSizes[deviceID] !== undefined ? this.rules.tankSizes[deviceID] : this.rules.defaultTankSize;
+    }
+}
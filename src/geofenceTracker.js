@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Geofence Tracker
+ * @description Writes an event when a tracker enters or exits a zone and tags the reports with the zones
+ */
+
+const Utilities = require('./utilities');
+
+module.exports = class GeofenceTracker {
+    /**
+     * Constructor for GeofenceTracker class.
+     *
+     * Every report position is checked against the zones (see Geofences). Entering a zone writes an 'enter' event
+     * and leaving it an 'exit' event with the dwell time to INFLUXDB_MEASUREMENT_GEOFENCE, tagged with the zone,
+     * the zone type and the report tags (driver, ...), with the position.
+     * Reports inside zones are tagged with zone, the names of the zones joined by ','.
+     * Reports without a position (or 0,0 without GPS fix) keep the current zones.
+     * Reports not newer than the last report of the device (duplicates, late buffered reports) are ignored and not tagged.
+     * The current zones are kept in memory, so zones a tracker is in after a restart are entered again.
+     *
+     * @constructor
+     * @param {InfluxClient} timeSeriesDB - The InfluxDB client to write the events to.
+     * @param {Geofences} geofences - The zones.
+     * @param {string} [INFLUXDB_MEASUREMENT_GEOFENCE=geofence] - The name of the measurement for enter and exit events.
+     */
+    constructor(timeSeriesDB, geofences) {
+        this.INFLUXDB_MEASUREMENT_GEOFENCE = process.env.INFLUXDB_MEASUREMENT_GEOFENCE || 'geofence';
+        this.timeSeriesDB = timeSeriesDB;
+        this.geofences = geofences;
+        // Device ID => zone name => {type, enteredAt}
+        this.currentZones = {};
+        // Device ID => time of the last report in nanoseconds
+        this.lastTimestamps = {};
+    }
+
+    /**
+     * Checks a report for entered and exited zones and adds the zones to the report tags.
+     *
+     * @param {string} deviceID - The device ID of the report.
+     * @param {string} timestamp - The report time in nanoseconds.
+     * @param {Array<Object>} data - The decoded fields of the report.
+     * @param {Object} tags - The tags of the report point, the zone tag is added to it.
+     * @returns {void}
+     */
+    Analyze(deviceID, timestamp, data, tags) {
+        if (this.lastTimestamps[deviceID] !== undefined && BigInt(timestamp) <= BigInt(this.lastTimestamps[deviceID])) {
+            return;
+        }
+        this.lastTimestamps[deviceID] = timestamp;
+
+        const lat = Utilities.GetDataValue(data, 'lat');
+        const lng = Utilities.GetDataValue(data, 'lng');
+        const previousZones = this.currentZones[deviceID] || {};
+        if (typeof lat === 'number' && typeof lng === 'number' && !(lat === 0 && lng === 0)) {
+            const zones = {};
+            this.geofences.GetZones(lat, lng).forEach(zone => {
+                zones[zone.name] = previousZones[zone.name] || { type: zone.type, enteredAt: timestamp };
+                if (previousZones[zone.name] === undefined) {
+                    this.WriteEvent(deviceID, timestamp, data, tags, 'enter', zone.name, zones[zone.name]);
+                }
+            });
+            for (const name in previousZones) {
+                if (zones[name] === undefined) {
+                    this.WriteEvent(deviceID, timestamp, data, tags, 'exit', name, previousZones[name]);
+                }
+            }
+            this.currentZones[deviceID] = zones;
+        }
+
+        const names = Object.keys(this.currentZones[deviceID] || {});
+        if (names.length > 0) {
+            tags.zone = names.join(',');
+        }
+    }
+
+    /**
+     * Writes one enter or exit event.
+     *
+     * @param {string} deviceID - The device ID of the report.
+     * @param {string} timestamp - The report time in nanoseconds.
+     * @param {Array<Object>} data - The decoded fields of the report.
+     * @param {Object} tags - The tags of the report point.
+     * @param {string} event - 'enter' or 'exit'.
+     * @param {string} name - The zone name.
+     * @param {Object} zone - The zone of the device, with fields type and enteredAt.
+     * @returns {void}
+     */
+    WriteEvent(deviceID, timestamp, data, tags, event, name, zone) {
+        console.log(`[GeofenceTracker] ${deviceID}: ${event === 'enter' ? 'Entered' : 'Exited'} zone ${name}`);
+        const dataList = [{ name: 'event', dbtype: 'string', value: event }];
+        if (event === 'exit') {
+            dataList.push({ name: 'dwell_time', dbtype: 'int', value: Number((BigInt(timestamp) - BigInt(zone.enteredAt)) / 1000000000n) });
+        }
+        const eventTags = Object.assign({}, tags, { zone: name });
+        if (zone.type !== undefined) {
+            eventTags.zone_type = zone.type;
+        }
+        this.timeSeriesDB.WriteData(deviceID, timestamp, dataList.concat(Utilities.GetDataFields(data, ['lat', 'lng'])), this.INFLUXDB_MEASUREMENT_GEOFENCE, eventTags);
+    }
+
+    /**
+     * Gets the zones of a device, for the device details of the HTTP API.
+     *
+     * @param {string} deviceID - The device ID.
+     * @returns {Object} The status with field zones, the zones the device is in with fields name, type and enteredAt.
+     */
+    GetDeviceStatus(deviceID) {
+        const zones = this.currentZones[deviceID] || {};
+        return { zones: Object.keys(zones).map(name => Object.assign({ name: name }, zones[name])) };
+    }
+}
@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Geofences
+ * @description Loads the zones (depots, customer sites, restricted areas) from a GeoJSON file and finds the zones of a position
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigWatcher = require('./configWatcher');
+const Utilities = require('./utilities');
+
+module.exports = class Geofences {
+    /**
+     * Constructor for Geofences class.
+     *
+     * The zones file is a GeoJSON FeatureCollection, every feature is one zone with a unique properties.name
+     * and an optional properties.type (depot, customer, restricted, ...):
+     * - Polygon or MultiPolygon, holes are outside the zone.
+     * - Point with properties.radius in meters, a circle around the point.
+     * Coordinates are [lng, lat] as in every GeoJSON file. Without zones file there are no zones.
+     *
+     * @constructor
+     * @param {string} [GEOFENCE_PATH=config/zones.geojson] - The zones file, relative to src/.
+     * @throws {Error} If the zones file is invalid.
+     */
+    constructor() {
+        this.GEOFENCE_PATH = process.env.GEOFENCE_PATH || 'config/zones.geojson';
+        this.watcher = new ConfigWatcher('Geofences', () => this.Reload());
+        this.Load();
+    }
+
+    /**
+     * Reads the zones file. The zones are only replaced if the file is valid.
+     *
+     * @returns {void}
+     * @throws {Error} If the zones file is invalid.
+     */
+    Load() {
+        const zonesPath = path.join(__dirname, this.GEOFENCE_PATH);
+        let collection = { type: 'FeatureCollection', features: [] };
+        if (fs.existsSync(zonesPath)) {
+            collection = JSON.parse(fs.readFileSync(zonesPath, 'utf8'));
+        } else {
+            console.log(`[Geofences] ${this.GEOFENCE_PATH} not found, no zones`);
+        }
+        if (collection === null || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+            throw new Error(`${this.GEOFENCE_PATH}: zones must be a GeoJSON FeatureCollection`);
+        }
+
+        const zones = collection.features.map((feature, index) => this.ParseZone(feature, index));
+        const names = new Set();
+        zones.forEach(zone => {
+            if (names.has(zone.name)) {
+                throw new Error(`${this.GEOFENCE_PATH}: zone name ${zone.name} is used twice`);
+            }
+            names.add(zone.name);
+        });
+        this.zones = zones;
+        this.files = [zonesPath];
+    }
+
+    /**
+     * Checks one feature of the zones file and converts it to a zone.
+     *
+     * @param {Object} feature - The GeoJSON feature.
+     * @param {number} index - The index of the feature, for error messages.
+     * @returns {Object} The zone with fields name, type, shape ('circle' or 'polygon') and center and radius (km) or polygons.
+     * @throws {Error} If the feature is not a valid zone.
+     */
+    ParseZone(feature, index) {
+        const properties = feature && feature.properties ? feature.properties : {};
+        const geometry = feature && feature.geometry ? feature.geometry : {};
+        const name = typeof properties.name === 'string' ? properties.name.trim() : '';
+        const where = `${this.GEOFENCE_PATH}: feature ${index}${name ? ` (${name})` : ''}`;
+        if (name === '') {
+            throw new Error(`${where} needs a name`);
+        }
+        if (properties.type !== undefined && typeof properties.type !== 'string') {
+            throw new Error(`${where}: type must be a string`);
+        }
+        const IsPosition = position => Array.isArray(position) && position.length >= 2 &&
+            Number.isFinite(position[0]) && Number.isFinite(position[1]);
+        const IsPolygon = polygon => Array.isArray(polygon) && polygon.length > 0 &&
+            polygon.every(ring => Array.isArray(ring) && ring.length >= 4 && ring.every(IsPosition));
+
+        const zone = { name: name, type: properties.type };
+        switch (geometry.type) {
+          case 'Point':
+            if (!IsPosition(geometry.coordinates)) {
+                throw new Error(`${where}: Point needs coordinates [lng, lat]`);
+            }
+            if (typeof properties.radius !== 'number' || !(properties.radius > 0)) {
+                throw new Error(`${where}: Point needs a radius in meters`);
+            }
+            zone.shape = 'circle';
+            zone.center = geometry.coordinates;
+            zone.radius = properties.radius / 1000;
+            break;
+          case 'Polygon':
+          case 'MultiPolygon':
+            zone.shape = 'polygon';
+            zone.polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+            if (!Array.isArray(zone.polygons) || zone.polygons.length === 0 || !zone.polygons.every(IsPolygon)) {
+                throw new Error(`${where}: ${geometry.type} needs rings of at least 4 positions [lng, lat]`);
+            }
+            break;
+          default:
+            throw new Error(`${where}: geometry must be a Point with radius, Polygon or MultiPolygon`);
+        }
+        return zone;
+    }
+
+    /**
+     * Loads the zones again. If the new zones file is invalid, the loaded zones are kept.
+     *
+     * @returns {Object} The result with fields name, reloaded and error.
+     */
+    Reload() {
+        try {
+            this.Load();
+        } catch (err) {
+            console.error(`[Geofences] ❌ Reload failed, keeping the loaded zones: ${err.message}`);
+            return { name: 'geofences', reloaded: false, error: err.message };
+        }
+        console.log(`[Geofences] ✅ Reloaded ${this.zones.length} zones`);
+        return { name: 'geofences', reloaded: true };
+    }
+
+    /**
+     * Reloads the zones when the zones file changes, see ConfigWatcher.
+     *
+     * @returns {void}
+     */
+    Watch() {
+        this.watcher.Watch(this.files);
+    }
+
+    /**
+     * Gets the zones a position is in.
+     *
+     * @param {number} lat - The latitude in degrees.
+     * @param {number} lng - The longitude in degrees.
+     * @returns {Array<Object>} The zones containing the position, in the order of the zones file.
+     */
+    GetZones(lat, lng) {
+        return this.zones.filter(zone => {
+            if (zone.shape === 'circle') {
+                return Utilities.HaversineDistance(lat, lng, zone.center[1], zone.center[0]) <= zone.radius;
+            }
+            return zone.polygons.some(polygon =>
+                this.InRing(polygon[0], lat, lng) && !polygon.slice(1).some(hole => this.InRing(hole, lat, lng)));
+        });
+    }
+
+    /**
+     * Checks if a position is inside a linear ring, by counting the ring edges crossed by a ray to the east.
+     *
+     * @param {Array<Array<number>>} ring - The ring positions [lng, lat], the last position repeats the first.
+     * @param {number} lat - The latitude in degrees.
+     * @param {number} lng - The longitude in degrees.
+     * @returns {boolean} True if the position is inside the ring.
+     */
+    InRing(ring, lat, lng) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const [lngI, latI] = ring[i];
+            const [lngJ, latJ] = ring[j];
+            if ((latI > lat) !== (latJ > lat) && lng < (lngJ - lngI) * (lat - latI) / (latJ - latI) + lngI) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+}
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview HTTP management API
+ *
+ * @description
+ * Embedded HTTP API to list, inspect, command and disconnect the connected
+ * Atrack GPS trackers without a terminal attached.
+ *
+ * Routes:
+ * - GET    /devices                 List the connected devices.
+ * - GET    /devices/{id}            Show the details of one connected device.
+ * - GET    /devices/{id}/commands   List the queued and finished commands of one device.
+ * - POST   /devices/{id}/commands   Send a command, body {"command": "AT$INFO=?", "timeout": 10000, "ttl": 86400000}.
+ *                                   The command goes through the command queue, offline devices get it queued (202).
+ * - DELETE /devices/{id}            Disconnect one device.
+ * - GET    /status                  Show the server status: connected devices, InfluxDB write spool and unmapped tags.
+ * - POST   /reload                  Reload the report patterns and configuration files.
+ *                                   A file that fails to load is rejected and the loaded configuration is kept (422).
+ */
+
+const http = require('http');
+
+/**
+ * Starts the HTTP management API.
+ * Without HTTP_API_TOKEN the API has no authentication, so it only listens on 127.0.0.1.
+ *
+ * @param {Object} connectedSocket - A dictionary of connected sockets.
+ * @param {CommandQueue} commandQueue - The queue that keeps commands until the device is connected.
+ * @param {InfluxClient} timeSeriesDB - The InfluxDB client, for the write spool status.
+ * @param {function(): Array<Object>} reloadConfig - Reloads the configuration files, see ReloadConfig in main.js.
+ * @returns {http.Server} The HTTP server.
+ */
+function StartHttpApi(connectedSocket, commandQueue, timeSeriesDB, reloadConfig) {
+  const HTTP_API_PORT = process.env.HTTP_API_PORT || 8080;
+  const HTTP_API_TOKEN = process.env.HTTP_API_TOKEN;
+  const HTTP_API_HOST = HTTP_API_TOKEN ? undefined : '127.0.0.1';
+
+  const server = http.createServer(async (req, res) => {
+    // Check token if configured
+    if (HTTP_API_TOKEN && req.headers['authorization'] !== `Bearer ${HTTP_API_TOKEN}`) {
+      SendJson(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+
+    try {
+      await HandleRequest(req, res, connectedSocket, commandQueue, timeSeriesDB, reloadConfig);
+    } catch (err) {
+      console.error('[HttpApi] ❌ Request failed:', err.message || err);
+      SendJson(res, err.statusCode || 500, { error: err.message || 'Internal error' });
+    }
+  });
+
+  server.listen(HTTP_API_PORT, HTTP_API_HOST, () => {
+    if (HTTP_API_TOKEN) {
+      console.log(`[HttpApi] HTTP API listening on port ${server.address().port}`);
+    } else {
+      console.log(`[HttpApi] HTTP API listening on 127.0.0.1:${server.address().port} only, set HTTP_API_TOKEN to allow remote access`);
+    }
+  });
+
+  return server;
+}
+
+/**
+ * Routes a request to its handler.
+ *
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {Object} connectedSocket - A dictionary of connected sockets.
+ * @param {CommandQueue} commandQueue - The queue that keeps commands until the device is connected.
+ * @param {InfluxClient} timeSeriesDB - The InfluxDB client, for the write spool status.
+ * @param {function(): Array<Object>} reloadConfig - Reloads the configuration files.
+ */
+async function HandleRequest(req, res, connectedSocket, commandQueue, timeSeriesDB, reloadConfig) {
+  const url = new URL(req.url, 'http://localhost');
+  // /devices/{id}/commands => ['devices', '{id}', 'commands']
+  const route = url.pathname.split('/').filter(part => part !== '');
+
+  // GET /status
+  if (route.length === 1 && route[0] === 'status') {
+    if (req.method !== 'GET') {
+      SendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    // Tag => connected devices that send it without a pattern entry
+    const unmappedTags = {};
+    Object.values(connectedSocket).forEach(atrackSocket => {
+      atrackSocket.unmappedTags.forEach(tag => {
+        (unmappedTags[tag] = unmappedTags[tag] || []).push(atrackSocket.deviceID.toString());
+      });
+    });
+    SendJson(res, 200, {
+      connectedDevices: Object.keys(connectedSocket).length,
+      writeSpool: timeSeriesDB.GetSpoolStatus(),
+      unmappedTags: unmappedTags,
+    });
+    return;
+  }
+
+  // POST /reload
+  if (route.length === 1 && route[0] === 'reload') {
+    if (req.method !== 'POST') {
+      SendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    const results = reloadConfig();
+    console.log(`[HttpApi] Reloaded configuration: ${results.map(result => `${result.name} ${result.reloaded ? 'OK' : 'failed'}`).join(', ')}`);
+    SendJson(res, results.every(result => result.reloaded) ? 200 : 422, results);
+    return;
+  }
+
+  if (route[0] !== 'devices' || route.length > 3) {
+    SendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  // GET /devices
+  if (route.length === 1) {
+    if (req.method !== 'GET') {
+      SendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+    SendJson(res, 200, Object.values(connectedSocket).map(atrackSocket => atrackSocket.GetStatus()));
+    return;
+  }
+
+  const id = route[1];
+  const atrackSocket = connectedSocket[id];
+
+  // /devices/{id}/commands
+  if (route[2] === 'commands') {
+    if (req.method === 'GET') {
+      SendJson(res, 200, commandQueue.List(id));
+    } else if (req.method === 'POST') {
+      await HandleSendCommand(req, res, id, atrackSocket, commandQueue);
+    } else {
+      SendJson(res, 405, { error: 'Method not allowed' });
+    }
+    return;
+  } else if (route.length === 3) {
+    SendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  // /devices/{id}
+  if (atrackSocket === undefined) {
+    SendJson(res, 404, { error: `Device ${id} is not connected` });
+    return;
+  }
+  if (req.method === 'GET') {
+    SendJson(res, 200, Object.assign(atrackSocket.GetStatus(true), { commands: commandQueue.List(id) }));
+  } else if (req.method === 'DELETE') {
+    atrackSocket.Disconnect();
+    console.log(`[HttpApi] Disconnected device ${id}`);
+    SendJson(res, 200, { deviceID: id, disconnected: true });
+  } else {
+    SendJson(res, 405, { error: 'Method not allowed' });
+  }
+}
+
+/**
+ * Queues a command and, if the device is connected, delivers the queue and responds with the device response.
+ * If the device is not connected, the command waits in the queue until it connects.
+ * The optional ttl and timeout must be positive integers (milliseconds).
+ *
+ * @param {http.IncomingMessage} req - The request.
+ * @param {http.ServerResponse} res - The response.
+ * @param {string} id - The device ID to target.
+ * @param {ClientSocket | undefined} atrackSocket - The connected device, or undefined if it is offline.
+ * @param {CommandQueue} commandQueue - The queue that keeps commands until the device is connected.
+ */
+async function HandleSendCommand(req, res, id, atrackSocket, commandQueue) {
+  const body = await ReadJsonBody(req);
+  if (typeof body.command !== 'string' || body.command.trim() === '') {
+    SendJson(res, 400, { error: 'Expected body {"command": "AT..."}' });
+    return;
+  }
+  const command = body.command.trim();
+  for (const key of ['ttl', 'timeout']) {
+    if (body[key] !== undefined && !(Number.isInteger(body[key]) && body[key] > 0)) {
+      SendJson(res, 400, { error: `Expected ${key} as a positive integer in milliseconds` });
+      return;
+    }
+  }
+
+  const queuedCommand = commandQueue.Enqueue(id, command, body.ttl, body.timeout);
+  if (atrackSocket === undefined) {
+    console.log(`[HttpApi] Device ${id} is not connected. Command ${command} is queued.`);
+    SendJson(res, 202, queuedCommand);
+    return;
+  }
+
+  console.log(`[HttpApi] Send command ${command} to ${id}`);
+  // Waits for a delivery that is already running, the command is sent after the commands queued before it
+  await commandQueue.Deliver(atrackSocket);
+  // ok: answered OK, error: answered ERROR, pending: no answer, sent again on the next connection
+  const statusCode = { ok: 200, error: 502 }[queuedCommand.status] || 504;
+  SendJson(res, statusCode, queuedCommand);
+}
+
+/**
+ * Reads the request body as JSON.
+ *
+ * @param {http.IncomingMessage} req - The request.
+ * @returns {Promise<Object>} The parsed body, or an empty object if the body is empty.
+ */
+function ReadJsonBody(req) {
+  const MAX_BODY_LENGTH = 65536;
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_LENGTH) {
+        req.destroy();
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+      }
+    });
+    req.on('end', () => {
+      if (body.trim() === '') {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        reject(Object.assign(new Error('Invalid JSON body'), { statusCode: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {http.ServerResponse} res - The response.
+ * @param {number} statusCode - The HTTP status code.
+ * @param {Object} data - The data to send.
+ */
+function SendJson(res, statusCode, data) {
+  // Device ids are bigint, unknown values are kept as null so every field is listed
+  const body = JSON.stringify(data, (key, value) => {
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+    return value === undefined ? null : value;
+  });
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(body);
+}
+
+module.exports = { StartHttpApi }
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Idle Detector
+ * @description Writes one event per engine idling episode of a tracker, with the idle fuel and the daily idle total
+ */
+
+const StateFile = require('./stateFile');
+const Utilities = require('./utilities');
+
+module.exports = class IdleDetector {
+    /**
+     * Constructor for IdleDetector class.
+     *
+     * The engine is on by engine_speed (or else max_rpm) of at least IDLE_MIN_RPM, else by the ignition
+     * ('ignition_on'/'ignition_off' report event or the IDLE_IGNITION_FIELD input). Reports that show neither
+     * or have no gps_speed are skipped. The engine idles while it is on and gps_speed is at most IDLE_MAX_SPEED.
+     * An episode runs from the first idling report to the first report that does not idle. When the device sent no
+     * report for IDLE_MAX_GAP seconds, the episode ends at the last report before the gap, so the gap counts neither
+     * as idle time nor as idle fuel. Episodes of at least
+     * IDLE_MIN_DURATION seconds are added to the daily total of the device and written as one event to
+     * INFLUXDB_MEASUREMENT_IDLE at the start time, tagged with the report tags at the start (driver, zone, ...).
+     * The idle fuel is estimated from fuel_rate (L/h) over the episode, when the reports have it.
+     * Days start at midnight at IDLE_DAY_UTC_OFFSET, an episode counts to the day it started.
+     * The state of all devices is saved to IDLE_STATE_PATH, so episodes and daily totals survive restarts.
+     *
+     * @constructor
+     * @param {InfluxClient} timeSeriesDB - The InfluxDB client to write the events to.
+     * @param {Object} [options] - Optional settings.
+     * @param {string} [options.statePath] - The state file, overrides IDLE_STATE_PATH. '' keeps the state in memory only.
+     * @param {string} [INFLUXDB_MEASUREMENT_IDLE=idle] - The name of the measurement for idling events.
+     * @param {string} [IDLE_IGNITION_FIELD=input_status_1] - The input field wired to the ignition.
+     * @param {number} [IDLE_MIN_RPM=300] - The engine speed in rpm from which the engine is running.
+     * @param {number} [IDLE_MAX_SPEED=2] - The speed in km/h up to which the vehicle stands still, above GPS drift.
+     * @param {number} [IDLE_MIN_DURATION=300] - The seconds of idling from which an episode is written.
+     * @param {number} [IDLE_MAX_GAP=900] - The seconds without a report after which a running episode ends.
+     * @param {number} [IDLE_DAY_UTC_OFFSET=0] - The offset of the local time to UTC in hours, for the daily totals.
+     * @param {string} [IDLE_STATE_PATH=data/idle_state.json] - The file the idle state is saved to.
+     * @param {number} [IDLE_STATE_SAVE_DELAY=5000] - The milliseconds changes are collected before saving.
+     */
+    constructor(timeSeriesDB, options = {}) {
+        this.INFLUXDB_MEASUREMENT_IDLE = process.env.INFLUXDB_MEASUREMENT_IDLE || 'idle';
+        this.IDLE_IGNITION_FIELD = process.env.IDLE_IGNITION_FIELD || 'input_status_1';
+        this.IDLE_MIN_RPM = parseFloat(process.env.IDLE_MIN_RPM || 300);
+        this.IDLE_MAX_SPEED = parseFloat(process.env.IDLE_MAX_SPEED || 2);
+        this.IDLE_MIN_DURATION = parseInt(process.env.IDLE_MIN_DURATION || 300);
+        this.IDLE_MAX_GAP = parseInt(process.env.IDLE_MAX_GAP || 900);
+        this.IDLE_DAY_UTC_OFFSET = parseFloat(process.env.IDLE_DAY_UTC_OFFSET || 0);
+        this.IDLE_STATE_PATH = options.statePath !== undefined ? options.statePath : (process.env.IDLE_STATE_PATH || 'data/idle_state.json');
+        this.IDLE_STATE_SAVE_DELAY = parseInt(process.env.IDLE_STATE_SAVE_DELAY || 5000);
+
+        this.timeSeriesDB = timeSeriesDB;
+        this.stateFile = new StateFile('IdleDetector', this.IDLE_STATE_PATH, this.IDLE_STATE_SAVE_DELAY, () => this.states);
+        // Device ID => {episode, daily}, the running episode and the idle total of the last day with idling
+        this.states = this.stateFile.Load();
+    }
+
+    /**
+     * Saves a scheduled change of the idle state now, see StateFile.
+     *
+     * @returns {void}
+     */
+    Stop() {
+        this.stateFile.Stop();
+    }
+
+    /**
+     * Gets if the engine runs at a report.
+     *
+     * @param {Array<Object>} data - The decoded fields of the report.
+     * @returns {boolean | undefined} True if the engine runs, undefined if the report does not show it.
+     */
+    GetEngineOn(data) {
+        const engineSpeed = Utilities.GetDataValue(data, 'engine_speed');
+        const maxRpm = Utilities.GetDataValue(data, 'max_rpm');
+        const event = Utilities.GetDataValue(data, 'report_event');
+        const ignitionInput = Utilities.GetDataValue(data, this.IDLE_IGNITION_FIELD);
+        if (typeof engineSpeed === 'number') {
+            return engineSpeed >= this.IDLE_MIN_RPM;
+        } else if (typeof maxRpm === 'number') {
+            return maxRpm >= this.IDLE_MIN_RPM;
+        } else if (event === 'ignition_on' || event === 'ignition_off') {
+            return event === 'ignition_on';
+        } else if (typeof ignitionInput === 'boolean') {
+            return ignitionInput;
+        }
+        return undefined;
+    }
+
+    /**
+     * Gets the local day of a time, for the daily totals.
+     *
+     * @param {number} time - The time in seconds.
+     * @returns {string} The day as YYYY-MM-DD.
+     */
+    GetDay(time) {
+        return new Date((time + this.IDLE_DAY_UTC_OFFSET * 3600) * 1000).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Feeds a report to the idling episode of the device.
+     * Reports not newer than the last report of a running episode are ignored.
+     *
+     * @param {string} deviceID - The device ID of the report.
+     * @param {string} timestamp - The report time in nanoseconds.
+     * @param {Array<Object>} data - The decoded fields of the report.
+     * @param {Object} tags - The tags of the report point.
+     * @returns {void}
+     */
+    Analyze(deviceID, timestamp, data, tags) {
+        const engineOn = this.GetEngineOn(data);
+        const speed = Utilities.GetDataValue(data, 'gps_speed');
+        if (engineOn === undefined || typeof speed !== 'number') {
+            return;
+        }
+        const time = Number(BigInt(timestamp) / 1000000000n);
+        const fuelRate = Utilities.GetDataValue(data, 'fuel_rate');
+        const state = this.states[deviceID] = this.states[deviceID] || { episode: undefined, daily: undefined };
+        let episode = state.episode;
+        if (episode !== undefined) {
+            if (time <= episode.lastTime) {
+                return;
+            }
+            if (time - episode.lastTime > this.IDLE_MAX_GAP) {
+                // Without reports in between the engine state is unknown, the episode ends at the last report
+                state.episode = undefined;
+                this.EndEpisode(deviceID, state, episode, episode.lastTime - episode.startTime);
+                this.stateFile.ScheduleSave();
+                episode = undefined;
+            }
+        }
+        if (episode !== undefined) {
+            // The fuel rate of the previous report holds until this report
+            if (typeof episode.lastFuelRate === 'number') {
+                episode.fuel += episode.lastFuelRate * (time - episode.lastTime) / 3600;
+                episode.fuelKnown = true;
+            }
+            episode.lastTime = time;
+            episode.lastFuelRate = fuelRate;
+        }
+
+        const idling = engineOn && speed <= this.IDLE_MAX_SPEED;
+        if (idling && episode === undefined) {
+            state.episode = {
+                startAt: timestamp,
+                startTime: time,
+                lat: Utilities.GetDataValue(data, 'lat'),
+                lng: Utilities.GetDataValue(data, 'lng'),
+                tags: Object.assign({}, tags),
+                fuel: 0,
+                fuelKnown: false,
+                lastTime: time,
+                lastFuelRate: fuelRate,
+            };
+            this.stateFile.Save();
+        } else if (!idling && episode !== undefined) {
+            state.episode = undefined;
+            this.EndEpisode(deviceID, state, episode, time - episode.startTime);
+            this.stateFile.Save();
+        } else if (episode !== undefined) {
+            this.stateFile.ScheduleSave();
+        }
+    }
+
+    /**
+     * Adds an ended episode to the daily total and writes it, if it lasted at least IDLE_MIN_DURATION.
+     *
+     * @param {string} deviceID - The device ID of the episode.
+     * @param {Object} state - The idle state of the device.
+     * @param {Object} episode - The ended episode.
+     * @param {number} duration - The duration of the episode in seconds.
+     * @returns {void}
+     */
+    EndEpisode(deviceID, state, episode, duration) {
+        if (duration < this.IDLE_MIN_DURATION) {
+            return;
+        }
+        const day = this.GetDay(episode.startTime);
+        if (state.daily === undefined || state.daily.day !== day) {
+            state.daily = { day: day, idleTime: 0, idleFuel: 0, episodes: 0 };
+        }
+        state.daily.idleTime += duration;
+        state.daily.idleFuel += episode.fuelKnown ? episode.fuel : 0;
+        state.daily.episodes++;
+        console.log(`[IdleDetector] ${deviceID}: Idled for ${duration} s, ${state.daily.idleTime} s on ${day}`);
+
+        const dataList = [
+            { name: 'duration', dbtype: 'int', value: duration },
+            { name: 'idle_fuel', dbtype: 'float', value: episode.fuelKnown ? Number(episode.fuel.toFixed(3)) : undefined },
+            { name: 'lat', dbtype: 'float', value: episode.lat },
+            { name: 'lng', dbtype: 'float', value: episode.lng },
+            { name: 'daily_idle_time', dbtype: 'int', value: state.daily.idleTime },
+            { name: 'daily_idle_fuel', dbtype: 'float', value: Number(state.daily.idleFuel.toFixed(3)) },
+            { name: 'daily_episodes', dbtype: 'int', value: state.daily.episodes },
+        ].filter(data => typeof data.value === 'number');
+        this.timeSeriesDB.WriteData(deviceID, episode.startAt, dataList, this.INFLUXDB_MEASUREMENT_IDLE, episode.tags);
+    }
+
+    /**
+     * Gets the idling of a device, for the device details of the HTTP API.
+     *
+     * @param {string} deviceID - The device ID.
+     * @returns {Object} The status with fields idling, the start time and fuel of the running episode or undefined,
+     * and dailyIdle, the day, idle time, idle fuel and episodes of the last day with idling.
+     */
+    GetDeviceStatus(deviceID) {
+        const state = this.states[deviceID] || {};
+        return {
+            idling: state.episode !== undefined ? { startTime: state.episode.startAt, fuel: Number(state.episode.fuel.toFixed(3)) } : undefined,
+            dailyIdle: state.daily,
+        };
+    }
+}
@@ -4,6 +4,8 @@
  */
 
 const { Point, InfluxDB } = require('@influxdata/influxdb-client');
+const WriteSpool = require('./writeSpool');
+
 module.exports = class InfluxClient {
     /**
      * Constructor for InfluxClient class.
@@ -25,12 +27,25 @@ module.exports = class InfluxClient {
         const INFLUXDB_TOKEN = process.env.INFLUXDB_TOKEN;
         this.INFLUXDB_MEASUREMENT_REPORT = process.env.INFLUXDB_MEASUREMENT_REPORT || 'report';
 
+        // Batches that fail with a network error or a 429/5xx response go to the spool instead of the
+        // in-memory retry buffer, because the tracker was already ACKed and will not send them again.
+        // Rejected batches (4xx) are dropped by the client library, writing them again would fail again.
         const writeOption = {
             flushInterval: INFLUXDB_FLUSH_INTERVAL,
+            writeFailed: (error, lines) => {
+                if (error.statusCode !== undefined && error.statusCode < 429) {
+                    return undefined;
+                }
+                console.error(`[InfluxDB] ❌ Write failed: ${error.message}`);
+                // Fall back to the retry buffer if the spool cannot be written
+                return this.writeSpool.Append(lines) ? Promise.resolve() : undefined;
+            },
+            writeSuccess: () => this.writeSpool.Drain(),
         }
 
         this.client = new InfluxDB({ url: INFLUXDB_SERVER_URL, token: INFLUXDB_TOKEN });
         this.influxWriteAPI = this.client.getWriteApi(INFLUXDB_ORG, INFLUXDB_BUCKET, 'ns', writeOption);
+        this.writeSpool = new WriteSpool(lines => this.WriteLines(INFLUXDB_ORG, INFLUXDB_BUCKET, lines));
         // this.flushInterval = setInterval( () => { this.FlushData() }, INFLUXDB_FLUSH_INTERVAL);
     }
 
@@ -49,13 +64,18 @@ module.exports = class InfluxClient {
      * @param {string} timestamp - The timestamp for the data point.
      * @param {Array} dataList - The list of data points to be written.
      * @param {string} [measurement=this.INFLUXDB_MEASUREMENT_REPORT] - The measurement name for the data points.
+     * @param {Object} [tags={}] - Tags besides the device id, for example to keep events of the same time apart.
      */
-    WriteData(deviceID, timestamp, dataList, measurement = this.INFLUXDB_MEASUREMENT_REPORT) {
+    WriteData(deviceID, timestamp, dataList, measurement = this.INFLUXDB_MEASUREMENT_REPORT, tags = {}) {
 
         const point = new Point(measurement)
             .tag('id', deviceID)
             .timestamp(timestamp)
 
+        for (const tag in tags) {
+            point.tag(tag, String(tags[tag]));
+        }
+
         dataList.forEach(data => {
             switch (data.dbtype) {
                 case 'int':
@@ -80,6 +100,37 @@ module.exports = class InfluxClient {
         this.influxWriteAPI.writePoint(point);
     }
 
+    /**
+     * Writes spooled lines with a separate write API, so a failure is returned to the spool instead of being spooled again.
+     *
+     * @param {string} org - The name of the InfluxDB organization.
+     * @param {string} bucket - The name of the InfluxDB bucket.
+     * @param {Array<string>} lines - The line protocol lines to write.
+     * @returns {Promise<void>} Resolves when the lines are written, rejects if the write failed.
+     */
+    async WriteLines(org, bucket, lines) {
+        const writeAPI = this.client.getWriteApi(org, bucket, 'ns', {
+            batchSize: lines.length + 1,
+            flushInterval: 0,
+            maxRetries: 0,
+        });
+        writeAPI.writeRecords(lines);
+        try {
+            await writeAPI.flush();
+        } finally {
+            await writeAPI.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Returns the depth and age of the write spool.
+     *
+     * @returns {Object} The spool status from WriteSpool.GetStatus.
+     */
+    GetSpoolStatus() {
+        return this.writeSpool.GetStatus();
+    }
+
     /**
      * Returns the InfluxDB client.
      * 
@@ -98,4 +149,19 @@ module.exports = class InfluxClient {
         this.influxWriteAPI.flush();
     }
 
+    /**
+     * Writes the buffered data points to InfluxDB and stops the write API and the spool drain, before the process exits.
+     * Points that cannot be written go to the spool like any failed batch.
+     *
+     * @returns {Promise<void>} Resolves when the buffer is written or spooled.
+     */
+    async Close() {
+        this.writeSpool.Stop();
+        try {
+            await this.influxWriteAPI.close();
+        } catch (err) {
+            console.error(`[InfluxDB] ❌ Close failed: ${err.message}`);
+        }
+    }
+
 }
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Live Feed
+ * @description Pushes decoded reports and picture events to WebSocket subscribers in real time
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+
+module.exports = class LiveFeed {
+    /**
+     * Constructor for LiveFeed class.
+     *
+     * Clients connect to ws://<host>:<HTTP_API_PORT><LIVE_FEED_PATH> and choose the devices to follow,
+     * either with the query string (?devices=123,456 or ?devices=*) or by sending JSON messages:
+     * - {"subscribe": ["123", "456"]} or {"subscribe": "*"}
+     * - {"unsubscribe": ["123"]} or {"unsubscribe": "*"}
+     *
+     * Every event is sent as JSON with a type field ('report' or 'picture') and a deviceID field.
+     *
+     * @constructor
+     * @param {http.Server} httpServer - The HTTP server to attach the WebSocket endpoint to.
+     * @param {string} [LIVE_FEED_PATH=/live] - The path of the WebSocket endpoint.
+     * @param {string} [HTTP_API_TOKEN] - The token clients must send as Bearer header or ?token= when set.
+     */
+    constructor(httpServer) {
+        this.LIVE_FEED_PATH = process.env.LIVE_FEED_PATH || '/live';
+        this.HTTP_API_TOKEN = process.env.HTTP_API_TOKEN;
+
+        this.server = new WebSocketServer({ server: httpServer, path: this.LIVE_FEED_PATH });
+        this.server.on('connection', (client, req) => this.HandleConnection(client, req));
+
+        console.log(`[LiveFeed] WebSocket live feed on path ${this.LIVE_FEED_PATH}`);
+    }
+
+    /**
+     * Handles a new WebSocket client.
+     *
+     * @param {WebSocket} client - The connected client.
+     * @param {http.IncomingMessage} req - The upgrade request.
+     */
+    HandleConnection(client, req) {
+        const url = new URL(req.url, 'http://localhost');
+
+        // Check token if configured
+        if (this.HTTP_API_TOKEN && req.headers['authorization'] !== `Bearer ${this.HTTP_API_TOKEN}` &&
+            url.searchParams.get('token') !== this.HTTP_API_TOKEN) {
+            client.close(1008, 'Unauthorized');
+            return;
+        }
+
+        client.subscriptions = new Set();
+        if (url.searchParams.has('devices')) {
+            this.UpdateSubscriptions(client, 'subscribe', url.searchParams.get('devices').split(','));
+        }
+
+        client.on('message', (message) => {
+            let request = undefined;
+            try {
+                request = JSON.parse(message.toString());
+            } catch (err) {
+                this.Send(client, { type: 'error', error: 'Invalid JSON message' });
+                return;
+            }
+            if (request.subscribe !== undefined) {
+                this.UpdateSubscriptions(client, 'subscribe', request.subscribe);
+            }
+            if (request.unsubscribe !== undefined) {
+                this.UpdateSubscriptions(client, 'unsubscribe', request.unsubscribe);
+            }
+        });
+        client.on('error', (err) => {
+            console.log(`[LiveFeed] Client error: ${err.message}`);
+        });
+    }
+
+    /**
+     * Adds or removes device subscriptions of a client and confirms the current subscriptions.
+     *
+     * @param {WebSocket} client - The connected client.
+     * @param {string} action - 'subscribe' or 'unsubscribe'.
+     * @param {Array<string> | string} devices - The device IDs, or '*' for all devices.
+     */
+    UpdateSubscriptions(client, action, devices) {
+        const deviceList = (Array.isArray(devices) ? devices : [devices])
+            .map(device => String(device).trim())
+            .filter(device => device !== '');
+
+        deviceList.forEach(device => {
+            if (action === 'subscribe') {
+                client.subscriptions.add(device);
+            } else if (device === '*') {
+                client.subscriptions.clear();
+            } else {
+                client.subscriptions.delete(device);
+            }
+        });
+
+        this.Send(client, { type: 'subscriptions', devices: Array.from(client.subscriptions) });
+    }
+
+    /**
+     * Sends an event to every client subscribed to the device of the event.
+     *
+     * @param {string} type - The event type ('report' or 'picture').
+     * @param {Object} event - The event data, with a deviceID field.
+     */
+    Publish(type, event) {
+        const deviceID = String(event.deviceID);
+        const message = Object.assign({ type: type }, event, { deviceID: deviceID });
+        this.server.clients.forEach(client => {
+            if (client.subscriptions && (client.subscriptions.has('*') || client.subscriptions.has(deviceID))) {
+                this.Send(client, message);
+            }
+        });
+    }
+
+    /**
+     * Sends a JSON message to a client if it is still open.
+     *
+     * @param {WebSocket} client - The connected client.
+     * @param {Object} message - The message to send.
+     */
+    Send(client, message) {
+        if (client.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        client.send(JSON.stringify(message, (key, value) => typeof value === 'bigint' ? value.toString() : value));
+    }
+}
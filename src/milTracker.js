@@ -0,0 +1,79 @@
+/**
+ * @fileoverview MIL Tracker
+ * @description Writes an event when the malfunction indicator lamp of a tracker turns on or off
+ */
+
+const Utilities = require('./utilities');
+
+// MIL field => the dtc field with the codes behind the lamp
+const MIL_FIELDS = {
+    'malfunction_lamp': 'obd_dtc',
+    'j1939_dtc_mil': 'j1939_dtc',
+};
+
+module.exports = class MilTracker {
+    /**
+     * Constructor for MilTracker class.
+     *
+     * Every change of a MIL field (see MIL_FIELDS) writes a 'mil_on' or 'mil_off' event to INFLUXDB_MEASUREMENT_MIL,
+     * tagged with the MIL field as source, with the codes of the dtc field active at that moment and the position.
+     * The lamp status is kept in memory, so a lamp that is on at the first report after a restart is written as turned on.
+     * Runs after the DtcTracker, so codes that appear in the same report are included.
+     *
+     * @constructor
+     * @param {InfluxClient} timeSeriesDB - The InfluxDB client to write the events to.
+     * @param {DtcTracker} dtcTracker - The fault tracker with the active codes.
+     * @param {string} [INFLUXDB_MEASUREMENT_MIL=mil] - The name of the measurement for MIL events.
+     */
+    constructor(timeSeriesDB, dtcTracker) {
+        this.INFLUXDB_MEASUREMENT_MIL = process.env.INFLUXDB_MEASUREMENT_MIL || 'mil';
+        this.timeSeriesDB = timeSeriesDB;
+        this.dtcTracker = dtcTracker;
+        // Device ID => MIL field => lamp on
+        this.milStatus = {};
+    }
+
+    /**
+     * Checks a decoded report for MIL changes.
+     *
+     * @param {string} deviceID - The device ID of the report.
+     * @param {string} timestamp - The report time in nanoseconds.
+     * @param {Array<Object>} data - The decoded fields of the report.
+     * @returns {void}
+     */
+    Analyze(deviceID, timestamp, data) {
+        const deviceStatus = this.milStatus[deviceID] = this.milStatus[deviceID] || {};
+        for (const milField in MIL_FIELDS) {
+            const milOn = Utilities.GetDataValue(data, milField);
+            if (typeof milOn !== 'boolean') {
+                continue;
+            }
+            const wasOn = deviceStatus[milField] || false;
+            deviceStatus[milField] = milOn;
+            if (milOn === wasOn) {
+                continue;
+            }
+
+            const faults = this.dtcTracker.GetDeviceStatus(deviceID).activeFaults.filter(fault => fault.source === MIL_FIELDS[milField]);
+            console.log(`[MilTracker] ${deviceID}: MIL ${milOn ? 'on' : 'off'}, active codes: ${faults.map(fault => fault.code).join(', ')}`);
+
+            const dataList = [
+                { name: 'event', dbtype: 'string', value: milOn ? 'mil_on' : 'mil_off' },
+                { name: 'code_count', dbtype: 'int', value: faults.length },
+                { name: 'codes', dbtype: 'string', value: faults.map(fault => fault.code).join(',') },
+                { name: 'descriptions', dbtype: 'string', value: faults.map(fault => `${fault.code}: ${fault.description || 'unknown'}`).join('; ') },
+            ].concat(Utilities.GetDataFields(data, ['lat', 'lng']));
+            this.timeSeriesDB.WriteData(deviceID, timestamp, dataList, this.INFLUXDB_MEASUREMENT_MIL, { source: milField });
+        }
+    }
+
+    /**
+     * Gets the lamp status of a device, for the device details of the HTTP API.
+     *
+     * @param {string} deviceID - The device ID.
+     * @returns {Object} The status with field mil, MIL field => lamp on.
+     */
+    GetDeviceStatus(deviceID) {
+        return { mil: Object.assign({}, this.milStatus[deviceID]) };
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Overspeed Detector
+ * @description Writes one event per overspeed episode of a tracker, with the limits of the speed rules
+ */
+
+const Utilities = require('./utilities');
+
+module.exports = class OverspeedDetector {
+    /**
+     * Constructor for OverspeedDetector class.
+     *
+     * An episode starts at the first report faster than the limit of the device (see SpeedRules.GetLimit) and
+     * ends at the first report at least hysteresis below the limit, so speeds around the limit are one episode.
+     * An episode also ends when the device sent no report for maxGap seconds.
+     * The episode lasts from its start to the last report faster than the limit, so a single speed spike lasts 0 seconds.
+     * Episodes of at least minDuration seconds are written as one event to INFLUXDB_MEASUREMENT_OVERSPEED at the
+     * start time, tagged with the rule of the limit, the speed source and the report tags at the start (driver, zone, ...),
+     * with the peak speed, the limit and the start and end position. Shorter episodes are dropped.
+     * Reports without the speed of the speed source are skipped. Running episodes are kept in memory.
+     *
+     * @constructor
+     * @param {InfluxClient} timeSeriesDB - The InfluxDB client to write the events to.
+     * @param {SpeedRules} speedRules - The speed limits.
+     * @param {Geofences} geofences - The zones, for the zone limits.
+     * @param {string} [INFLUXDB_MEASUREMENT_OVERSPEED=overspeed] - The name of the measurement for overspeed events.
+     */
+    constructor(timeSeriesDB, speedRules, geofences) {
+        this.INFLUXDB_MEASUREMENT_OVERSPEED = process.env.INFLUXDB_MEASUREMENT_OVERSPEED || 'overspeed';
+        this.timeSeriesDB = timeSeriesDB;
+        this.speedRules = speedRules;
+        this.geofences = geofences;
+        // Device ID => running episode
+        this.episodes = {};
+        // Device ID => names of the zones at the last position, for reports without GPS fix
+        this.lastZones = {};
+    }
+
+    /**
+     * Checks the speed of a report against the limit of the device.
+     *
+     * @param {string} deviceID - The device ID of the report.
+     * @param {string} timestamp - The report time in nanoseconds.
+     * @param {Array<Object>} data - The decoded fields of the report.
+     * @param {Object} tags - The tags of the report point.
+     * @returns {void}
+     */
+    Analyze(deviceID, timestamp, data, tags) {
+        const speedSource = this.speedRules.GetSpeedSource(deviceID);
+        const speed = Utilities.GetDataValue(data, speedSource.field);
+        if (typeof speed !== 'number') {
+            return;
+        }
+        const position = { lat: Utilities.GetDataValue(data, 'lat'), lng: Utilities.GetDataValue(data, 'lng') };
+        if (typeof position.lat === 'number' && typeof position.lng === 'number' && !(position.lat === 0 && position.lng === 0)) {
+            this.lastZones[deviceID] = this.geofences.GetZones(position.lat, position.lng).map(zone => zone.name);
+        }
+        const limit = this.speedRules.GetLimit(deviceID, this.lastZones[deviceID] || []);
+        const above = limit !== undefined && speed > limit.limit;
+
+        let episode = this.episodes[deviceID];
+        if (episode !== undefined && Number((BigInt(timestamp) - BigInt(episode.lastAt)) / 1000000000n) > this.speedRules.rules.maxGap) {
+            // Without reports in between the speed is unknown, the episode ends at the last report above the limit
+            delete this.episodes[deviceID];
+            this.EndEpisode(deviceID, episode);
+            episode = undefined;
+        }
+        if (episode === undefined) {
+            if (above) {
+                this.episodes[deviceID] = {
+                    startAt: timestamp,
+                    start: position,
+                    lastAt: timestamp,
+                    lastAboveAt: timestamp,
+                    lastAbove: position,
+                    tags: Object.assign({}, tags, { rule: limit.rule, speed_source: speedSource.source }),
+                    peakSpeed: speed,
+                    limit: limit.limit,
+                    excess: speed - limit.limit,
+                };
+            }
+            return;
+        }
+
+        episode.lastAt = timestamp;
+        if (above) {
+            episode.lastAboveAt = timestamp;
+            episode.lastAbove = position;
+        }
+        episode.peakSpeed = Math.max(episode.peakSpeed, speed);
+        if (limit !== undefined && speed - limit.limit > episode.excess) {
+            episode.limit = limit.limit;
+            episode.excess = speed - limit.limit;
+            episode.tags.rule = limit.rule;
+        }
+        if (limit === undefined || speed <= limit.limit - this.speedRules.rules.hysteresis) {
+            delete this.episodes[deviceID];
+            this.EndEpisode(deviceID, episode);
+        }
+    }
+
+    /**
+     * Writes an ended episode if it lasted at least minDuration, from its start to the last report above the limit.
+     *
+     * @param {string} deviceID - The device ID of the episode.
+     * @param {Object} episode - The ended episode.
+     * @returns {void}
+     */
+    EndEpisode(deviceID, episode) {
+        const duration = Number((BigInt(episode.lastAboveAt) - BigInt(episode.startAt)) / 1000000000n);
+        if (duration < this.speedRules.rules.minDuration) {
+            return;
+        }
+        console.log(`[OverspeedDetector] ${deviceID}: Overspeed for ${duration} s, peak ${episode.peakSpeed} km/h, limit ${episode.limit} km/h (${episode.tags.rule})`);
+
+        const dataList = [
+            { name: 'peak_speed', dbtype: 'float', value: episode.peakSpeed },
+            { name: 'speed_limit', dbtype: 'float', value: episode.limit },
+            { name: 'excess', dbtype: 'float', value: Number(episode.excess.toFixed(1)) },
+            { name: 'duration', dbtype: 'int', value: duration },
+            { name: 'start_lat', dbtype: 'float', value: episode.start.lat },
+            { name: 'start_lng', dbtype: 'float', value: episode.start.lng },
+            { name: 'end_lat', dbtype: 'float', value: episode.lastAbove.lat },
+            { name: 'end_lng', dbtype: 'float', value: episode.lastAbove.lng },
+        ].filter(data => typeof data.value === 'number');
+        this.timeSeriesDB.WriteData(deviceID, episode.startAt, dataList, this.INFLUXDB_MEASUREMENT_OVERSPEED, episode.tags);
+    }
+
+    /**
+     * Gets the running overspeed episode of a device, for the device details of the HTTP API.
+     *
+     * @param {string} deviceID - The device ID.
+     * @returns {Object} The status with field overspeed, the start time, peak speed, limit and rule, or undefined.
+     */
+    GetDeviceStatus(deviceID) {
+        const episode = this.episodes[deviceID];
+        if (episode === undefined) {
+            return { overspeed: undefined };
+        }
+        return { overspeed: { startTime: episode.startAt, peakSpeed: episode.peakSpeed, limit: episode.limit, rule: episode.tags.rule } };
+    }
+}
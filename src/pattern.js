@@ -1,4 +1,3 @@
-
 /**
  * @module Pattern
  *
@@ -8,6 +7,7 @@
 const fs = require('fs');
 const path = require('path');
 const Utilities = require('./utilities')
+const { PATTERN_SCHEMA, ValidatePattern } = require('./patternSchema')
 
 module.exports = class Pattern {
     /**
@@ -17,11 +17,19 @@ module.exports = class Pattern {
      * is treated as the pattern information itself. If the given argument is
      * neither a string nor an object, an Error is thrown.
      * 
+     * Tags that are not in the pattern are skipped, unless PATTERN_RAW_PASSTHROUGH is 'true'.
+     * Then they are stored as raw string fields named <PATTERN_RAW_PREFIX><tag>, for example raw_ReportID.
+     *
      * @param {string|object} pattern - The pattern to be used.
+     * @param {boolean} [PATTERN_RAW_PASSTHROUGH=false] - Store the values of tags that are not in the pattern as raw strings.
+     * @param {string} [PATTERN_RAW_PREFIX=raw_] - The field name prefix of raw values.
      * @throws {Error} If the given argument is neither a string nor an object.
      * @constructor
      */
     constructor(pattern) {
+        this.PATTERN_RAW_PASSTHROUGH = String(process.env.PATTERN_RAW_PASSTHROUGH || 'false').toLowerCase() === 'true';
+        this.PATTERN_RAW_PREFIX = process.env.PATTERN_RAW_PREFIX || 'raw_';
+
         if (typeof pattern === "string") {
             // pattern args is a path
             const reportPath = path.join(__dirname, pattern);
@@ -34,9 +42,19 @@ module.exports = class Pattern {
             // Invalid pattern args
             throw new Error("Invalid pattern args");
         }
-        
+        // Code table path => code => description, read on first use
+        this.codeTables = {};
     }
     
+    /**
+     * Validates the pattern, see PatternSchema.ValidatePattern.
+     *
+     * @return {Object} The result with fields errors and warnings, each an Array<{key, message}>.
+     */
+    Validate() {
+        return ValidatePattern(this.reportPattern);
+    }
+
     /**
      * Extracts values from the given input array according to the given pattern and reportsPattern.
      * The values in the input array are processed in order, and the extracted values are returned
@@ -53,6 +71,10 @@ module.exports = class Pattern {
         const outputValueList = [];
         for (let i = offset; i < input.length; i++) {
             if (!reportPatternKeys.includes(pattern[i])) {
+                const rawValue = input[i] === undefined || input[i] === null ? '' : String(input[i]);
+                if (this.PATTERN_RAW_PASSTHROUGH && pattern[i] !== undefined && !Utilities.IsStringEmptyOrSpaces(rawValue)) {
+                    outputValueList.push({ name: `${this.PATTERN_RAW_PREFIX}${pattern[i]}`, dbtype: 'string', value: rawValue });
+                }
                 continue
             }
 
@@ -72,11 +94,29 @@ module.exports = class Pattern {
         }
     }
 
+    /**
+     * Gets the tags of a report format that are not in the pattern.
+     *
+     * @param {Array<string>} pattern - The report format, for example reportFinalFormat of ClientSocket.
+     * @return {Array<string>} The unmapped tags in format order, without duplicates.
+     */
+    GetUnmappedTags(pattern) {
+        const unmappedTags = pattern.filter(tag => !this.reportPattern.hasOwnProperty(tag));
+        return Array.from(new Set(unmappedTags));
+    }
+
     /**
      * Gets the value from the given rawValue according to the given patternInfo.
      * The value is returned in the correct type according to the dbtype in patternInfo.
      * If the dbtype is unknown, the function returns undefined.
      *
+     * The transform chain (see TransformValue) is applied for every dbtype:
+     * - int, float: To the value after multiplier and decimals. int values are rounded after the chain.
+     * - boolean, string: To the raw number before the '1' check or the dict lookup.
+     * - U8, U16, U32: Each table applies its own chain to its bits.
+     * - g_force, tpms: To every value of the output list, which is stored as float.
+     * - dtc, obd_dtc, event: No transforms, see GetValueDTC, GetValueOBDDTC and GetValueEvent.
+     *
      * @param {string} rawValue - The raw value from the device.
      * @param {Object} patternInfo - The pattern information containing the dbtype and other relevant information.
      * @return {any | undefined} The extracted value, or undefined if the dbtype is unknown.
@@ -85,25 +125,43 @@ module.exports = class Pattern {
         let outputValue = undefined;
         switch (patternInfo.dbtype) {
             case "int":
-                outputValue = this.GetValueInt(rawValue, patternInfo);
+                outputValue = this.TransformValue(this.GetValueInt(rawValue, patternInfo), patternInfo);
+                if (patternInfo.transforms && outputValue !== undefined) {
+                    outputValue = Math.round(outputValue);
+                }
                 break;
             case "float":
-                outputValue = this.GetValueFloat(rawValue, patternInfo);
+                outputValue = this.TransformValue(this.GetValueFloat(rawValue, patternInfo), patternInfo);
                 break;
             case "boolean":
-                outputValue = this.GetValueBoolean(rawValue, patternInfo);
+                outputValue = this.GetValueBoolean(this.TransformRawValue(rawValue, patternInfo), patternInfo);
                 break;
             case "string":
-                outputValue = this.GetValueString(rawValue, patternInfo);
+                outputValue = this.GetValueString(this.TransformRawValue(rawValue, patternInfo), patternInfo);
                 break;
             case "U8":
                 outputValue = this.GetValueU8(rawValue, patternInfo);
                 break;
+            case "U16":
+                outputValue = this.GetValueBits(rawValue, patternInfo, 16);
+                break;
+            case "U32":
+                outputValue = this.GetValueBits(rawValue, patternInfo, 32);
+                break;
             case "g_force":
-                outputValue = this.GetValueGForce(rawValue, patternInfo);
+                outputValue = this.TransformValueList(this.GetValueGForce(rawValue, patternInfo), patternInfo);
                 break;
             case "tpms":
-                outputValue = this.GetValueTPMS(rawValue, patternInfo);
+                outputValue = this.TransformValueList(this.GetValueTPMS(rawValue, patternInfo), patternInfo);
+                break;
+            case "dtc":
+                outputValue = this.GetValueDTC(rawValue, patternInfo);
+                break;
+            case "obd_dtc":
+                outputValue = this.GetValueOBDDTC(rawValue, patternInfo);
+                break;
+            case "event":
+                outputValue = this.GetValueEvent(rawValue, patternInfo);
                 break;
             default:
                 //console.log(`Unknown dbtype: ${pattern[i].dbtype}`);
@@ -112,6 +170,126 @@ module.exports = class Pattern {
         return outputValue
     }
 
+    /**
+     * Applies the legacy offset key and the transform chain of the given patternInfo to a number.
+     *
+     * The offset key is added first (after multiplier and decimals), then the transforms are applied in order:
+     * - {"type": "scale", "factor": 0.03125}: Multiplies the value.
+     * - {"type": "offset", "value": -273}: Adds to the value.
+     * - {"type": "clamp", "min": 0, "max": 100}: Limits the value, min and max are optional.
+     * - {"type": "lookup", "points": [[0, 0], [128, 40], [255, 60]]}: Piecewise-linear table of [input, output] points
+     *   sorted by input. Values outside the table get the output of the first or last point.
+     * - {"type": "convert", "from": "km", "to": "mi"}: Unit conversion, see Utilities.ConvertUnit.
+     *
+     * @param {number | undefined} value - The decoded value.
+     * @param {Object} patternInfo - The pattern information containing the offset and transforms.
+     * @return {number | undefined} The transformed value, or undefined if a transform is invalid.
+     */
+    TransformValue(value, patternInfo) {
+        if (typeof value !== "number" || isNaN(value)) {
+            return value;
+        }
+        if (patternInfo.offset) {
+            value = value + patternInfo.offset;
+        }
+        if (!Array.isArray(patternInfo.transforms)) {
+            return value;
+        }
+
+        for (const transform of patternInfo.transforms) {
+            switch (transform.type) {
+                case "scale":
+                    value = value * transform.factor;
+                    break;
+                case "offset":
+                    value = value + transform.value;
+                    break;
+                case "clamp":
+                    if (transform.min !== undefined) {
+                        value = Math.max(value, transform.min);
+                    }
+                    if (transform.max !== undefined) {
+                        value = Math.min(value, transform.max);
+                    }
+                    break;
+                case "lookup":
+                    value = this.LookupValue(value, transform.points);
+                    break;
+                case "convert":
+                    value = Utilities.ConvertUnit(value, transform.from, transform.to);
+                    break;
+                default:
+                    value = undefined;
+                    break;
+            }
+            if (typeof value !== "number" || isNaN(value)) {
+                console.log(`[Pattern] Invalid transform ${JSON.stringify(transform)} of ${patternInfo.name}`);
+                return undefined;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Applies the transform chain to a raw value before it is checked as boolean or looked up in a dict.
+     * Raw values that are not numbers are returned unchanged.
+     *
+     * @param {string | number} rawValue - The raw value from the device.
+     * @param {Object} patternInfo - The pattern information containing the offset and transforms.
+     * @return {string | number | undefined} The transformed value.
+     */
+    TransformRawValue(rawValue, patternInfo) {
+        if (!patternInfo.offset && !patternInfo.transforms) {
+            return rawValue;
+        }
+        const value = typeof rawValue === "number" ? rawValue : Number(rawValue);
+        if (typeof rawValue === "string" && (rawValue.trim() === "" || isNaN(value))) {
+            return rawValue;
+        }
+        return this.TransformValue(value, patternInfo);
+    }
+
+    /**
+     * Applies the transform chain to every value of an output list.
+     * The transformed values are stored as float, because a scale or conversion makes fractions.
+     *
+     * @param {Array<Object> | undefined} outputList - The output list with fields name, dbtype, and value.
+     * @param {Object} patternInfo - The pattern information containing the offset and transforms.
+     * @return {Array<Object> | undefined} The transformed output list.
+     */
+    TransformValueList(outputList, patternInfo) {
+        if (outputList === undefined || (!patternInfo.offset && !patternInfo.transforms)) {
+            return outputList;
+        }
+        return outputList
+            .map(output => ({ name: output.name, dbtype: "float", value: this.TransformValue(output.value, patternInfo) }))
+            .filter(output => output.value !== undefined);
+    }
+
+    /**
+     * Interpolates a value in a piecewise-linear lookup table.
+     *
+     * @param {number} value - The input value.
+     * @param {Array<Array<number>>} points - The [input, output] points sorted by input.
+     * @return {number | undefined} The output value, or undefined if the table is empty.
+     */
+    LookupValue(value, points) {
+        if (!Array.isArray(points) || points.length === 0) {
+            return undefined;
+        }
+        if (value <= points[0][0]) {
+            return points[0][1];
+        }
+        for (let i = 1; i < points.length; i++) {
+            const [x0, y0] = points[i - 1];
+            const [x1, y1] = points[i];
+            if (value <= x1) {
+                return x1 === x0 ? y1 : y0 + (value - x0) * (y1 - y0) / (x1 - x0);
+            }
+        }
+        return points[points.length - 1][1];
+    }
+
     /**
      * Gets the value from the given rawValue according to the given patternInfo.
      * If rawValue is a string, it is parsed as an integer. If patternInfo.multiplier is given, the value is multiplied by it.
@@ -164,6 +342,7 @@ module.exports = class Pattern {
      * Gets the value from the given rawValue according to the given patternInfo.
      * If the rawValue is a number, it is converted to a string.
      * If the patternInfo contains a dictionary, the value is looked up in the dictionary.
+     * Without dictionary the raw value is stored as it is, trimmed, for example a driver ID.
      * The value is returned as a string.
      *
      * @param {string | number} rawValue - The raw value from the device.
@@ -173,9 +352,11 @@ module.exports = class Pattern {
     GetValueString(rawValue, patternInfo) {
         let outputValue = undefined;
         if (typeof rawValue === "number") {
-            rawValue.toString();
+            rawValue = rawValue.toString();
         }
-        if (patternInfo.dict && patternInfo.dict.hasOwnProperty(rawValue)) {
+        if (patternInfo.dict === undefined) {
+            outputValue = typeof rawValue === "string" ? rawValue.trim() : undefined;
+        } else if (patternInfo.dict && patternInfo.dict.hasOwnProperty(rawValue)) {
             outputValue = patternInfo.dict[rawValue];
         }
         return outputValue
@@ -184,33 +365,50 @@ module.exports = class Pattern {
     /**
      * Gets the value from the given rawValue according to the given patternInfo.
      * The rawValue is expected to be an integer between 0 and 255.
+     * See GetValueBits.
+     *
+     * @param {string | number} rawValue - The raw value from the device.
+     * @param {Object} patternInfo - The pattern information containing the dbtype and other relevant information.
+     * @return {Array<Object> | undefined} The extracted values, or undefined if none were found.
+     */
+    GetValueU8(rawValue,patternInfo) {
+        return this.GetValueBits(rawValue, patternInfo, 8);
+    }
+
+    /**
+     * Gets the value from the given rawValue according to the given patternInfo.
+     * The rawValue is expected to be an integer between 0 and 2^bits - 1, other values are rejected.
      * If the patternInfo contains a tables object, the value is extracted for each bit 
      * target in the tables object. The value is looked up in the table, and the value
      * is added to the output list if it is defined.
+     * A table with "signed": true reads its bit range as two's complement, for example a signed 4 bit range 1111 is -1.
      * The output is an array of objects with fields name, dbtype, and value.
      * If no values are found in the tables, the function returns undefined.
      *
      * @param {string | number} rawValue - The raw value from the device.
      * @param {Object} patternInfo - The pattern information containing the dbtype and other relevant information.
+     * @param {number} bits - The bit width of the value: 8 (U8), 16 (U16) or 32 (U32).
      * @return {Array<Object> | undefined} The extracted values, or undefined if none were found.
      */
-    GetValueU8(rawValue,patternInfo) {
+    GetValueBits(rawValue, patternInfo, bits) {
         const inputValue = this.GetValueInt(rawValue, patternInfo);
+        if (!Number.isInteger(inputValue) || inputValue < 0 || inputValue >= 2 ** bits) {
+            return undefined;
+        }
+
         const outputList = [];
-        if (0 <= inputValue <= 255) {
-            if (patternInfo.tables) {  
-                for (const bitTarget in patternInfo.tables) {
-                    let bitsValue = Utilities.GetIntSliceFromBinary(inputValue, 8, bitTarget);
-                    if (bitsValue != undefined && patternInfo.tables[bitTarget].dbtype != "U8") {
-                        let tablesValue = this.GetValue(bitsValue, patternInfo.tables[bitTarget]);
-                        if (tablesValue != undefined) {
-                            outputList.push({ name: patternInfo.tables[bitTarget].name, 
-                                dbtype: patternInfo.tables[bitTarget].dbtype, 
-                                value: tablesValue 
-                            });
-                        }
-                    }
-                }
+        for (const bitTarget in patternInfo.tables || {}) {
+            const table = patternInfo.tables[bitTarget];
+            // A single bit cannot be signed
+            const signed = table.signed === true && bitTarget.includes('~');
+            const bitsValue = Utilities.GetIntSliceFromBinary(inputValue, bits, bitTarget, signed);
+            // Bitfields cannot be nested
+            if (bitsValue === undefined || (PATTERN_SCHEMA[table.dbtype] || {}).bits !== undefined) {
+                continue;
+            }
+            const tablesValue = this.GetValue(bitsValue, table);
+            if (tablesValue !== undefined) {
+                outputList.push({ name: table.name, dbtype: table.dbtype, value: tablesValue });
             }
         }
         if (outputList.length === 0) {
@@ -220,6 +418,183 @@ module.exports = class Pattern {
         }
     }
 
+    /**
+     * Gets the active J1939 diagnostic trouble codes from a DM1 message.
+     * The rawValue is the DM1 data as hex string: 2 lamp bytes followed by 4 bytes per DTC.
+     * - Lamp byte 0: MIL (bits 6~7), red stop lamp (4~5), amber warning lamp (2~3) and protect lamp (0~1). 0 = off, 1 = on, else not available.
+     * - DTC: SPN (19 bits, little endian in byte 0, byte 1 and bits 5~7 of byte 2), FMI (bits 0~4 of byte 2) and occurrence count (bits 0~6 of byte 3).
+     * "All zero" DTCs mean no active fault.
+     *
+     * The output list has the structured codes as dbtype dtc for the fault tracker (not written to the report)
+     * and the fields <name>_count, <name>_codes ('SPN-FMI' list) and the available lamps as booleans.
+     *
+     * @param {string} rawValue - The raw value from the device.
+     * @param {Object} patternInfo - The pattern information containing the dbtype and other relevant information.
+     * @return {Array<Object> | undefined} The extracted values, or undefined if the rawValue is not a DM1 message.
+     */
+    GetValueDTC(rawValue, patternInfo) {
+        if (typeof rawValue !== "string" || !/^([0-9A-Fa-f]{2})+$/.test(rawValue.trim())) {
+            return undefined;
+        }
+        const dm1 = Buffer.from(rawValue.trim(), 'hex');
+        if (dm1.length < 2 || (dm1.length - 2) % 4 !== 0) {
+            return undefined;
+        }
+
+        const codes = [];
+        for (let index = 2; index < dm1.length; index += 4) {
+            const spn = dm1[index] | (dm1[index + 1] << 8) | ((dm1[index + 2] & 0xE0) << 11);
+            const fmi = dm1[index + 2] & 0x1F;
+            const occurrenceCount = dm1[index + 3] & 0x7F;
+            if (spn === 0 && fmi === 0 && occurrenceCount === 0) {
+                continue;
+            }
+            codes.push({ code: `${spn}-${fmi}`, spn: spn, fmi: fmi, occurrence_count: occurrenceCount });
+        }
+
+        const outputList = [
+            { name: patternInfo.name, dbtype: "dtc", value: codes },
+            { name: `${patternInfo.name}_count`, dbtype: "int", value: codes.length },
+            { name: `${patternInfo.name}_codes`, dbtype: "string", value: codes.map(code => code.code).join(',') },
+        ];
+        const lamps = ["protect_lamp", "amber_warning_lamp", "red_stop_lamp", "mil"];
+        lamps.forEach((lamp, lampIndex) => {
+            const lampStatus = (dm1[0] >> (lampIndex * 2)) & 0x03;
+            if (lampStatus < 2) {
+                outputList.push({ name: `${patternInfo.name}_${lamp}`, dbtype: "boolean", value: lampStatus === 1 });
+            }
+        });
+        return outputList;
+    }
+
+    /**
+     * Gets the active OBD-II diagnostic trouble codes.
+     * The rawValue is either a list of codes like 'P0301|P0420' (separated by '|', ';' or spaces),
+     * or the mode 03 answer as hex string with 2 bytes per code: '0301' is P0301, '4123' is C0123, 'C100' is U0100.
+     * '0000' means no code.
+     *
+     * The output list has the codes with their description from the code table as dbtype dtc for the fault tracker,
+     * and the fields <name>_count and <name>_codes.
+     *
+     * @param {string} rawValue - The raw value from the device.
+     * @param {Object} patternInfo - The pattern information containing the name and the code table path (table, relative to src/).
+     * @return {Array<Object> | undefined} The extracted values (an empty rawValue has no codes), or undefined if the rawValue is not a code list.
+     */
+    GetValueOBDDTC(rawValue, patternInfo) {
+        if (typeof rawValue !== "string") {
+            return undefined;
+        }
+        const tokens = rawValue.trim().toUpperCase().split(/[|;\s]+/).filter(token => token !== "");
+        let codes = undefined;
+        if (tokens.every(token => /^[PCBU][0-3][0-9A-F]{3}$/.test(token))) {
+            codes = tokens;
+        } else if (/^([0-9A-F]{4})+$/.test(tokens.join(""))) {
+            const systems = ["P", "C", "B", "U"];
+            codes = tokens.join("").match(/.{4}/g)
+                .filter(hexCode => hexCode !== "0000")
+                .map(hexCode => {
+                    const firstByte = parseInt(hexCode.slice(0, 2), 16);
+                    return `${systems[firstByte >> 6]}${(firstByte >> 4) & 0x03}${hexCode.slice(1)}`;
+                });
+        } else {
+            return undefined;
+        }
+
+        const codeTable = patternInfo.table ? this.GetCodeTable(patternInfo.table) : {};
+        const faults = Array.from(new Set(codes)).map(code => {
+            const fault = { code: code };
+            if (codeTable[code] !== undefined) {
+                fault.description = codeTable[code];
+            }
+            return fault;
+        });
+        return [
+            { name: patternInfo.name, dbtype: "dtc", value: faults },
+            { name: `${patternInfo.name}_count`, dbtype: "int", value: faults.length },
+            { name: `${patternInfo.name}_codes`, dbtype: "string", value: faults.map(fault => fault.code).join(',') },
+        ];
+    }
+
+    /**
+     * Gets the event type of a report from its report ID.
+     * The event table given by patternInfo.table maps report ID => {"event": "ignition_on", "periodic": false}.
+     * Report IDs that are not in the table are named report_<id> and are not periodic, so unknown alarms are kept.
+     *
+     * The output list has the event as dbtype event for the event recorder (not written to the report)
+     * and the fields <name>_id and <name>_event.
+     *
+     * @param {string | number} rawValue - The raw value from the device.
+     * @param {Object} patternInfo - The pattern information containing the name and the event table path (table, relative to src/).
+     * @return {Array<Object> | undefined} The extracted values, or undefined if the rawValue is not a report ID.
+     */
+    GetValueEvent(rawValue, patternInfo) {
+        const reportID = this.GetValueInt(rawValue, {});
+        if (!Number.isInteger(reportID)) {
+            return undefined;
+        }
+        const eventTable = patternInfo.table ? this.GetCodeTable(patternInfo.table) : {};
+        const eventType = eventTable[reportID] || {};
+        const event = {
+            id: reportID,
+            event: typeof eventType.event === "string" ? eventType.event : `report_${reportID}`,
+            periodic: eventType.periodic === true,
+        };
+        return [
+            { name: patternInfo.name, dbtype: "event", value: event },
+            { name: `${patternInfo.name}_id`, dbtype: "int", value: event.id },
+            { name: `${patternInfo.name}_event`, dbtype: "string", value: event.event },
+        ];
+    }
+
+    /**
+     * Reads every code table the pattern entries refer to with table, also in bit tables.
+     * Unlike GetCodeTable a table that cannot be read is an error, so a broken table fails the pattern load.
+     *
+     * @return {Array<string>} The paths of the code tables, relative to src/.
+     * @throws {Error} If a code table cannot be read.
+     */
+    LoadCodeTables() {
+        const tablePaths = new Set();
+        const AddTable = entry => {
+            if (entry !== null && typeof entry === 'object' && typeof entry.table === 'string') {
+                tablePaths.add(entry.table);
+            }
+        };
+        Object.values(this.reportPattern).forEach(entry => {
+            AddTable(entry);
+            if (entry !== null && typeof entry === 'object' && entry.tables !== null && typeof entry.tables === 'object') {
+                Object.values(entry.tables).forEach(AddTable);
+            }
+        });
+        tablePaths.forEach(tablePath => {
+            try {
+                this.codeTables[tablePath] = JSON.parse(fs.readFileSync(path.join(__dirname, tablePath), 'utf8'));
+            } catch (err) {
+                throw new Error(`Cannot read code table ${tablePath}: ${err.message}`);
+            }
+        });
+        return Array.from(tablePaths);
+    }
+
+    /**
+     * Gets a code table, for example code => description. The table is read once per pattern, so a pattern reload reads it again.
+     * A table that cannot be read is logged and used as empty table.
+     *
+     * @param {string} tablePath - The path of the code table, relative to src/.
+     * @return {Object} The code table.
+     */
+    GetCodeTable(tablePath) {
+        if (this.codeTables[tablePath] === undefined) {
+            try {
+                this.codeTables[tablePath] = JSON.parse(fs.readFileSync(path.join(__dirname, tablePath), 'utf8'));
+            } catch (err) {
+                console.error(`[Pattern] ❌ Cannot read code table ${tablePath}: ${err.message}`);
+                this.codeTables[tablePath] = {};
+            }
+        }
+        return this.codeTables[tablePath];
+    }
+
     /**
      * Gets the value from the given rawValue according to the given patternInfo.
      * The rawValue is expected to be a string with length of 12.
@@ -0,0 +1,239 @@
+/**
+ * @fileoverview Pattern Profiles
+ * @description Picks the report pattern of a tracker session by device ID, model, firmware or report format type
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const Pattern = require('./pattern');
+const BinaryReport = require('./binaryReport');
+const ConfigWatcher = require('./configWatcher');
+
+module.exports = class PatternProfiles extends EventEmitter {
+    /**
+     * Constructor for PatternProfiles class.
+     *
+     * Without PATTERN_PROFILES_PATH every session uses REPORT_PATTERN_PATH.
+     * Otherwise the profiles file lists the profiles in match order:
+     * {
+     *   "default": "ak7v",
+     *   "profiles": {
+     *     "ak7v_can_v2": {
+     *       "extends": "ak7v",
+     *       "match": { "deviceIDs": ["358683066123456"], "model": "^AK7V$", "firmware": "^Rev\\.2", "reportFormatType": ["j1939"] },
+     *       "entries": { "ZO10": { "name": "fuel_level", "dbtype": "float", "decimals": 1, "multiplier": 4 } }
+     *     },
+     *     "ak7v": { "pattern": "pattern/atrack_report.json" }
+     *   }
+     * }
+     * - pattern: The pattern file, relative to src/ like REPORT_PATTERN_PATH.
+     * - extends: The profile to start from, instead of a pattern file.
+     * - entries: Tags added to or replaced in the pattern, null removes a tag.
+     * - match: All given conditions must match. model and firmware are case-insensitive regular expressions
+     *   tested against the AT$INFO answer. The first matching profile is used, else the default profile.
+     *
+     * The code tables of the patterns and the binary layout (REPORT_BINARY_LAYOUT_PATH) are loaded and reloaded with the profiles.
+     *
+     * Events:
+     * - reload: Emitted after the profiles are reloaded, so sessions pick their pattern again.
+     *
+     * @constructor
+     * @param {string} [PATTERN_PROFILES_PATH] - The profiles file, relative to src/.
+     * @param {string} [REPORT_PATTERN_PATH=pattern/atrack_report.json] - The pattern file used without profiles file.
+     * @param {string} [REPORT_BINARY_LAYOUT_PATH=pattern/atrack_binary.json] - The layout of binary reports, relative to src/.
+     * @throws {Error} If the profiles file, a pattern, a code table or the binary layout is invalid.
+     */
+    constructor() {
+        super();
+        this.PATTERN_PROFILES_PATH = process.env.PATTERN_PROFILES_PATH;
+        this.REPORT_PATTERN_PATH = process.env.REPORT_PATTERN_PATH || 'pattern/atrack_report.json';
+        this.REPORT_BINARY_LAYOUT_PATH = process.env.REPORT_BINARY_LAYOUT_PATH || 'pattern/atrack_binary.json';
+        // Every session listens for reloads
+        this.setMaxListeners(0);
+        this.watcher = new ConfigWatcher('Pattern profiles', () => this.Reload());
+        this.Load();
+    }
+
+    /**
+     * Reads the profiles file and builds the pattern of every profile, with its code tables, and reads the binary layout.
+     * The profiles are only replaced if everything is valid.
+     *
+     * @returns {void}
+     * @throws {Error} If the profiles file, a pattern, a code table or the binary layout is invalid.
+     */
+    Load() {
+        let config = { default: 'default', profiles: { default: { pattern: this.REPORT_PATTERN_PATH } } };
+        if (this.PATTERN_PROFILES_PATH) {
+            config = JSON.parse(fs.readFileSync(path.join(__dirname, this.PATTERN_PROFILES_PATH), 'utf8'));
+        }
+        if (config.profiles === null || typeof config.profiles !== 'object' || Object.keys(config.profiles).length === 0) {
+            throw new Error(`${this.PATTERN_PROFILES_PATH}: profiles must be an object with at least one profile`);
+        }
+
+        const defaultProfile = config.default || Object.keys(config.profiles)[0];
+        if (config.profiles[defaultProfile] === undefined) {
+            throw new Error(`Unknown default profile "${defaultProfile}"`);
+        }
+
+        const warnings = [];
+        const files = new Set(this.PATTERN_PROFILES_PATH ? [path.join(__dirname, this.PATTERN_PROFILES_PATH)] : []);
+        const profiles = Object.keys(config.profiles).map(name => {
+            const reportPattern = PatternProfiles.ResolvePattern(config.profiles, name, [], files);
+            const pattern = new Pattern(reportPattern);
+            const result = pattern.Validate();
+            if (result.errors.length > 0) {
+                const errors = result.errors.map(issue => `${issue.key}: ${issue.message}`).join('; ');
+                throw new Error(`Invalid pattern of profile "${name}": ${errors}`);
+            }
+            result.warnings.forEach(issue => warnings.push(`Profile ${name}: ${issue.key}: ${issue.message}`));
+            pattern.LoadCodeTables().forEach(tablePath => files.add(path.join(__dirname, tablePath)));
+
+            const match = config.profiles[name].match;
+            if (match !== undefined) {
+                ['model', 'firmware'].filter(key => match[key] !== undefined).forEach(key => {
+                    try {
+                        new RegExp(match[key], 'i');
+                    } catch (err) {
+                        throw new Error(`Invalid ${key} of profile "${name}": ${err.message}`);
+                    }
+                });
+            }
+            return { name: name, match: match, pattern: pattern };
+        });
+        const binaryReport = new BinaryReport(this.REPORT_BINARY_LAYOUT_PATH);
+        files.add(path.join(__dirname, this.REPORT_BINARY_LAYOUT_PATH));
+
+        this.defaultProfile = defaultProfile;
+        this.binaryReport = binaryReport;
+        this.profiles = profiles;
+        this.warnings = warnings;
+        this.files = Array.from(files);
+        this.loadedAt = Date.now();
+    }
+
+    /**
+     * Loads the profiles again and lets the sessions switch to the new patterns.
+     * If the new profiles are invalid, the loaded profiles are kept.
+     *
+     * @returns {Object} The result with fields name, reloaded and error.
+     */
+    Reload() {
+        try {
+            this.Load();
+        } catch (err) {
+            console.error(`[PatternProfiles] ❌ Reload failed, keeping the loaded patterns: ${err.message}`);
+            return { name: 'patternProfiles', reloaded: false, error: err.message };
+        }
+
+        this.warnings.forEach(warning => console.log(`[PatternProfiles] Warning ${warning}`));
+        console.log(`[PatternProfiles] ✅ Reloaded ${this.profiles.length} profiles`);
+        // Files may be added or removed by the new profiles
+        if (this.watcher.watchers.length > 0) {
+            this.watcher.Watch(this.files);
+        }
+        this.emit('reload');
+        return { name: 'patternProfiles', reloaded: true };
+    }
+
+    /**
+     * Reloads the profiles when the profiles file, a pattern file, a code table or the binary layout changes, see ConfigWatcher.
+     *
+     * @returns {void}
+     */
+    Watch() {
+        this.watcher.Watch(this.files);
+    }
+
+    /**
+     * Builds the pattern of a profile from its pattern file, the profile it extends and its entries.
+     *
+     * @param {Object} profiles - The profiles from the profiles file.
+     * @param {string} name - The profile to resolve.
+     * @param {Array<string>} chain - The profiles resolved so far, to detect inheritance loops.
+     * @param {Set<string>} files - Collects the absolute paths of the pattern files read.
+     * @returns {Object} The report pattern of the profile.
+     * @throws {Error} If the profile is unknown, has no pattern, has both pattern and extends or extends itself.
+     */
+    static ResolvePattern(profiles, name, chain, files) {
+        const profile = profiles[name];
+        if (profile === undefined) {
+            throw new Error(`Unknown profile "${name}" extended by "${chain[chain.length - 1]}"`);
+        }
+        if (chain.includes(name)) {
+            throw new Error(`Profile inheritance loop: ${chain.concat(name).join(' -> ')}`);
+        }
+
+        let reportPattern = undefined;
+        if (profile.pattern !== undefined && profile.extends !== undefined) {
+            throw new Error(`Profile "${name}" has both pattern and extends, use entries to change an extended pattern`);
+        } else if (profile.pattern !== undefined) {
+            const patternPath = path.join(__dirname, profile.pattern);
+            files.add(patternPath);
+            reportPattern = JSON.parse(fs.readFileSync(patternPath, 'utf8'));
+        } else if (profile.extends !== undefined) {
+            reportPattern = Object.assign({}, PatternProfiles.ResolvePattern(profiles, profile.extends, chain.concat(name), files));
+        } else {
+            throw new Error(`Profile "${name}" needs a pattern or extends another profile`);
+        }
+
+        for (const tag in profile.entries || {}) {
+            if (profile.entries[tag] === null) {
+                delete reportPattern[tag];
+            } else {
+                reportPattern[tag] = profile.entries[tag];
+            }
+        }
+        return reportPattern;
+    }
+
+    /**
+     * Checks if a profile matches on the model or firmware, so the tracker has to be asked with AT$INFO.
+     *
+     * @returns {boolean} True if the model or firmware is needed to pick a profile.
+     */
+    UsesDeviceInfo() {
+        return this.profiles.some(profile => profile.match && (profile.match.model !== undefined || profile.match.firmware !== undefined));
+    }
+
+    /**
+     * Picks the profile of a session.
+     * Conditions on values that are not known yet (undefined) do not match.
+     *
+     * @param {Object} session - The known session details.
+     * @param {string} [session.deviceID] - The device ID.
+     * @param {string} [session.model] - The model from AT$INFO.
+     * @param {string} [session.firmware] - The firmware version from AT$INFO.
+     * @param {string} [session.reportFormatType] - The detected report format type ('base', 'custom', 'j1708' or 'j1939').
+     * @returns {Object} The profile with fields name and pattern.
+     */
+    Select(session) {
+        const profile = this.profiles.find(profile => profile.match && this.IsMatch(profile.match, session));
+        return profile || this.profiles.find(profile => profile.name === this.defaultProfile);
+    }
+
+    /**
+     * Checks the match conditions of a profile.
+     *
+     * @param {Object} match - The match conditions.
+     * @param {Object} session - The known session details, see Select.
+     * @returns {boolean} True if every condition matches.
+     */
+    IsMatch(match, session) {
+        const ToList = (value) => (Array.isArray(value) ? value : [value]).map(item => String(item));
+        if (match.deviceIDs !== undefined && (session.deviceID === undefined || !ToList(match.deviceIDs).includes(String(session.deviceID)))) {
+            return false;
+        }
+        if (match.model !== undefined && (session.model === undefined || !new RegExp(match.model, 'i').test(session.model))) {
+            return false;
+        }
+        if (match.firmware !== undefined && (session.firmware === undefined || !new RegExp(match.firmware, 'i').test(session.firmware))) {
+            return false;
+        }
+        if (match.reportFormatType !== undefined &&
+            (session.reportFormatType === undefined || !ToList(match.reportFormatType).includes(session.reportFormatType))) {
+            return false;
+        }
+        return true;
+    }
+}
@@ -0,0 +1,336 @@
+/**
+ * @fileoverview Pattern schema
+ *
+ * @description
+ * Schema and validation of report pattern files (src/pattern/atrack_report.json).
+ * Used by the pattern lint CLI (scripts/lint_pattern.js) and by the server at startup.
+ *
+ * A pattern file is an object of report tags. Every tag is a field entry:
+ * {"name": "<column name>", "description": "<text>", "dbtype": "<dbtype>", ...dbtype keys}
+ */
+
+const Utilities = require('./utilities');
+
+// Keys allowed for every dbtype: key => value check
+const VALUE_KEYS = {
+    multiplier: 'number',
+    decimals: 'count',
+    offset: 'number',
+    transforms: 'transforms',
+};
+
+// The allowed and required keys of every dbtype besides name, description and dbtype
+const PATTERN_SCHEMA = {
+    int: { keys: VALUE_KEYS, required: [] },
+    float: { keys: VALUE_KEYS, required: [] },
+    boolean: { keys: VALUE_KEYS, required: [] },
+    string: { keys: Object.assign({ dict: 'dict' }, VALUE_KEYS), required: [] },
+    U8: { keys: { multiplier: 'number', tables: 'tables' }, required: ['tables'], bits: 8 },
+    U16: { keys: { multiplier: 'number', tables: 'tables' }, required: ['tables'], bits: 16 },
+    U32: { keys: { multiplier: 'number', tables: 'tables' }, required: ['tables'], bits: 32 },
+    g_force: { keys: VALUE_KEYS, required: [] },
+    tpms: {
+        keys: Object.assign({ pressure_slope: 'number', pressure_const: 'number', temp_slope: 'number', temp_const: 'number' }, VALUE_KEYS),
+        required: ['pressure_slope', 'pressure_const', 'temp_slope', 'temp_const'],
+    },
+    dtc: { keys: {}, required: [] },
+    obd_dtc: { keys: { table: 'string' }, required: [] },
+    event: { keys: { table: 'string' }, required: ['table'] },
+};
+
+const TRANSFORM_TYPES = ['scale', 'offset', 'clamp', 'lookup', 'convert'];
+
+/**
+ * Validates a report pattern.
+ *
+ * Errors make fields decode wrong or not at all, warnings are suspicious but decode.
+ * - Errors: entries that are not objects, missing name or dbtype, unknown dbtypes, wrong key types,
+ *   invalid transforms, invalid, out-of-range or overlapping U8/U16/U32 bit ranges and signed single bits.
+ * - Warnings: unknown keys (often typos), a field name used by more than one tag with the same dbtype
+ *   (the tags overwrite each other if a report contains both) and a field name used with different dbtypes
+ *   (InfluxDB rejects the writes that do not match the stored type). Changing a dbtype to fix the latter changes
+ *   the type of a stored field, so it is reported but left to a migration.
+ *
+ * @param {Object} pattern - The parsed pattern file.
+ * @returns {Object} The result with fields errors and warnings, each an Array<{key, message}>.
+ */
+function ValidatePattern(pattern) {
+    const result = { errors: [], warnings: [] };
+    if (pattern === null || typeof pattern !== 'object' || Array.isArray(pattern)) {
+        result.errors.push({ key: '', message: 'Pattern must be an object of report tags' });
+        return result;
+    }
+
+    // Field name => [{key, dbtype}]
+    const fieldNames = {};
+    for (const key in pattern) {
+        ValidateEntry(key, pattern[key], result, fieldNames, false);
+    }
+    CheckFieldNames(fieldNames, result);
+    return result;
+}
+
+/**
+ * Validates one field entry and collects the field names it writes.
+ *
+ * @param {string} key - The tag of the entry, for example 'MV' or 'JO5[0~7]'.
+ * @param {Object} entry - The field entry.
+ * @param {Object} result - The validation result to add errors and warnings to.
+ * @param {Object} fieldNames - The field names collected so far.
+ * @param {boolean} isTable - True if the entry is a bit table of a U8, U16 or U32 entry.
+ * @returns {void}
+ */
+function ValidateEntry(key, entry, result, fieldNames, isTable) {
+    const AddError = (message) => result.errors.push({ key, message });
+
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+        AddError('Entry must be an object');
+        return;
+    }
+    if (typeof entry.name !== 'string' || entry.name.trim() === '') {
+        AddError('Missing name');
+    }
+    if (entry.description !== undefined && typeof entry.description !== 'string') {
+        AddError('description must be a string');
+    }
+
+    const schema = PATTERN_SCHEMA[entry.dbtype];
+    if (schema === undefined) {
+        AddError(entry.dbtype === undefined ? 'Missing dbtype' : `Unknown dbtype "${entry.dbtype}", expected one of ${Object.keys(PATTERN_SCHEMA).join(', ')}`);
+        return;
+    }
+    if (isTable && schema.bits !== undefined) {
+        AddError(`dbtype ${entry.dbtype} is not allowed in a bit table`);
+        return;
+    }
+
+    schema.required.forEach(requiredKey => {
+        if (entry[requiredKey] === undefined) {
+            AddError(`dbtype ${entry.dbtype} requires ${requiredKey}`);
+        }
+    });
+
+    for (const entryKey in entry) {
+        if (['name', 'description', 'dbtype'].includes(entryKey)) {
+            continue;
+        }
+        // Bit tables may read their bit range as signed
+        const check = isTable && entryKey === 'signed' ? 'boolean' : schema.keys[entryKey];
+        if (check === undefined) {
+            result.warnings.push({ key, message: `Unknown key "${entryKey}" for dbtype ${entry.dbtype}` });
+            continue;
+        }
+        const message = CheckValue(check, entry[entryKey]);
+        if (message !== undefined) {
+            AddError(`${entryKey} ${message}`);
+        }
+    }
+
+    if (schema.bits !== undefined) {
+        if (entry.tables !== null && typeof entry.tables === 'object') {
+            CheckBitRanges(key, Object.keys(entry.tables), schema.bits, result);
+            for (const bitTarget in entry.tables) {
+                ValidateEntry(`${key}[${bitTarget}]`, entry.tables[bitTarget], result, fieldNames, true);
+                if (entry.tables[bitTarget] !== null && entry.tables[bitTarget].signed === true && !bitTarget.includes('~')) {
+                    result.errors.push({ key: `${key}[${bitTarget}]`, message: 'A single bit cannot be signed, use a range "N~M"' });
+                }
+            }
+        }
+        return;
+    }
+
+    if (typeof entry.name === 'string') {
+        GetFieldList(entry).forEach(field => {
+            (fieldNames[field.name] = fieldNames[field.name] || []).push({ key, dbtype: field.dbtype });
+        });
+    }
+}
+
+/**
+ * Checks the value of a schema key.
+ *
+ * @param {string} check - The value check from the schema.
+ * @param {any} value - The value in the entry.
+ * @returns {string | undefined} The error message, or undefined if the value is valid.
+ */
+function CheckValue(check, value) {
+    switch (check) {
+        case 'number':
+            return typeof value === 'number' && isFinite(value) ? undefined : 'must be a number';
+        case 'string':
+            return typeof value === 'string' && value.trim() !== '' ? undefined : 'must be a string';
+        case 'boolean':
+            return typeof value === 'boolean' ? undefined : 'must be true or false';
+        case 'count':
+            return Number.isInteger(value) && value >= 0 ? undefined : 'must be an integer >= 0';
+        case 'dict':
+            if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+                return 'must be an object of raw value => string';
+            }
+            return Object.values(value).every(item => typeof item === 'string') ? undefined : 'values must be strings';
+        case 'tables':
+            return value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0 ?
+                undefined : 'must be an object of bit range => field entry';
+        case 'transforms':
+            return CheckTransforms(value);
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * Checks a transform chain, see Pattern.TransformValue.
+ *
+ * @param {any} transforms - The transforms value in the entry.
+ * @returns {string | undefined} The error message, or undefined if the chain is valid.
+ */
+function CheckTransforms(transforms) {
+    if (!Array.isArray(transforms)) {
+        return 'must be an array';
+    }
+    for (let i = 0; i < transforms.length; i++) {
+        const transform = transforms[i] || {};
+        const message = CheckTransform(transform);
+        if (message !== undefined) {
+            return `[${i}] ${message}`;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Checks one transform of a chain.
+ *
+ * @param {Object} transform - The transform.
+ * @returns {string | undefined} The error message, or undefined if the transform is valid.
+ */
+function CheckTransform(transform) {
+    const IsNumber = (value) => typeof value === 'number' && isFinite(value);
+    switch (transform.type) {
+        case 'scale':
+            return IsNumber(transform.factor) ? undefined : 'scale: factor must be a number';
+        case 'offset':
+            return IsNumber(transform.value) ? undefined : 'offset: value must be a number';
+        case 'clamp':
+            if (transform.min === undefined && transform.max === undefined) {
+                return 'clamp: requires min or max';
+            }
+            if ((transform.min !== undefined && !IsNumber(transform.min)) || (transform.max !== undefined && !IsNumber(transform.max))) {
+                return 'clamp: min and max must be numbers';
+            }
+            return transform.min !== undefined && transform.max !== undefined && transform.min > transform.max ?
+                'clamp: min is above max' : undefined;
+        case 'lookup':
+            if (!Array.isArray(transform.points) || transform.points.length === 0 ||
+                !transform.points.every(point => Array.isArray(point) && point.length === 2 && IsNumber(point[0]) && IsNumber(point[1]))) {
+                return 'lookup: points must be a list of [input, output] numbers';
+            }
+            return transform.points.some((point, index) => index > 0 && point[0] < transform.points[index - 1][0]) ?
+                'lookup: points must be sorted by input' : undefined;
+        case 'convert':
+            return Utilities.ConvertUnit(0, transform.from, transform.to) === undefined ?
+                `convert: cannot convert "${transform.from}" to "${transform.to}"` : undefined;
+        default:
+            return `unknown transform type "${transform.type}", expected one of ${TRANSFORM_TYPES.join(', ')}`;
+    }
+}
+
+/**
+ * Checks the bit ranges of a U8, U16 or U32 entry: format "N" or "N~M" with N < M, inside the bit width and not overlapping.
+ *
+ * @param {string} key - The tag of the entry.
+ * @param {Array<string>} bitTargets - The bit ranges of the tables.
+ * @param {number} bits - The bit width of the dbtype.
+ * @param {Object} result - The validation result to add errors to.
+ * @returns {void}
+ */
+function CheckBitRanges(key, bitTargets, bits, result) {
+    const usedBits = {};
+    bitTargets.forEach(bitTarget => {
+        const match = /^(\d+)(?:~(\d+))?$/.exec(bitTarget);
+        if (match === null) {
+            result.errors.push({ key, message: `Invalid bit range "${bitTarget}", expected "N" or "N~M"` });
+            return;
+        }
+        const start = parseInt(match[1]);
+        const end = match[2] === undefined ? start : parseInt(match[2]);
+        if (match[2] !== undefined && start >= end) {
+            result.errors.push({ key, message: `Invalid bit range "${bitTarget}", the first bit must be lower than the last bit` });
+            return;
+        }
+        if (end >= bits) {
+            result.errors.push({ key, message: `Bit range "${bitTarget}" is outside of ${bits} bits` });
+            return;
+        }
+        for (let bit = start; bit <= end; bit++) {
+            if (usedBits[bit] !== undefined) {
+                result.errors.push({ key, message: `Bit range "${bitTarget}" overlaps "${usedBits[bit]}"` });
+                return;
+            }
+        }
+        for (let bit = start; bit <= end; bit++) {
+            usedBits[bit] = bitTarget;
+        }
+    });
+}
+
+/**
+ * Gets the fields an entry writes to InfluxDB, as decoded by Pattern.GetValue.
+ *
+ * @param {Object} entry - The field entry.
+ * @returns {Array<Object>} The fields with name and dbtype.
+ */
+function GetFieldList(entry) {
+    const hasTransforms = entry.offset !== undefined || entry.transforms !== undefined;
+    switch (entry.dbtype) {
+        case 'g_force':
+            return ['x', 'y', 'z'].map(axis => ({ name: `${entry.name}_${axis}`, dbtype: hasTransforms ? 'float' : 'int' }));
+        case 'tpms':
+            // The tire fields are numbered by the tire count of the report
+            return [
+                { name: 'tire_temp_*', dbtype: hasTransforms ? 'float' : 'int' },
+                { name: 'tire_pressure_*', dbtype: 'float' },
+            ];
+        case 'dtc':
+            return [
+                { name: `${entry.name}_count`, dbtype: 'int' },
+                { name: `${entry.name}_codes`, dbtype: 'string' },
+            ].concat(['mil', 'red_stop_lamp', 'amber_warning_lamp', 'protect_lamp'].map(lamp => ({ name: `${entry.name}_${lamp}`, dbtype: 'boolean' })));
+        case 'obd_dtc':
+            return [
+                { name: `${entry.name}_count`, dbtype: 'int' },
+                { name: `${entry.name}_codes`, dbtype: 'string' },
+            ];
+        case 'event':
+            return [
+                { name: `${entry.name}_id`, dbtype: 'int' },
+                { name: `${entry.name}_event`, dbtype: 'string' },
+            ];
+        default:
+            return [{ name: entry.name, dbtype: entry.dbtype }];
+    }
+}
+
+/**
+ * Reports the field names used by more than one tag.
+ *
+ * @param {Object} fieldNames - Field name => [{key, dbtype}].
+ * @param {Object} result - The validation result to add the warnings to.
+ * @returns {void}
+ */
+function CheckFieldNames(fieldNames, result) {
+    for (const name in fieldNames) {
+        const fields = fieldNames[name];
+        if (fields.length < 2) {
+            continue;
+        }
+        const usage = fields.map(field => `${field.key} (${field.dbtype})`).join(', ');
+        if (new Set(fields.map(field => field.dbtype)).size > 1) {
+            result.warnings.push({ key: fields[0].key, message: `Field "${name}" has conflicting dbtypes: ${usage}` });
+        } else {
+            result.warnings.push({ key: fields[0].key, message: `Field "${name}" is written by more than one tag: ${usage}` });
+        }
+    }
+}
+
+module.exports = { PATTERN_SCHEMA, ValidatePattern }
@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Replay
+ *
+ * @description
+ * Feeds a capture file recorded by SessionCapture back through ClientSocket with
+ * a fake socket and fake InfluxDB/Minio sinks, so parsing bugs seen in the field
+ * can be reproduced offline and kept as regression tests.
+ */
+
+const fs = require('fs');
+const EventEmitter = require('events');
+const ClientSocket = require('./atrackSocket');
+const { CreateAnalyzers } = require('./analyzers');
+
+/**
+ * Reads a capture file.
+ *
+ * @param {string} capturePath - The path of the capture file.
+ * @returns {Array<Object>} The capture records with fields time, direction and data (Buffer).
+ */
+function ReadCapture(capturePath) {
+  return fs.readFileSync(capturePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const record = JSON.parse(line);
+      return { time: record.time, direction: record.direction, data: Buffer.from(record.data, 'hex') };
+    });
+}
+
+/**
+ * Replays the inbound records of a capture through a ClientSocket.
+ *
+ * The fake socket collects every write, the fake InfluxDB client collects every WriteData call
+ * (reports and analyzer events, the analyzer state is not saved) and the fake Minio client collects every WriteToBucket call.
+ * The recorded outbound data is returned alongside, so the replayed responses can be compared with it.
+ *
+ * @param {Array<Object>} records - The capture records from ReadCapture.
+ * @returns {Object} The replay result with fields writes, sent, recordedSent, reports, pictures, uploads and atrackSocket.
+ */
+function ReplayCapture(records) {
+  const result = { writes: [], sent: [], recordedSent: [], reports: [], pictures: [], uploads: [] };
+
+  const fakeSocket = new EventEmitter();
+  fakeSocket.remoteAddress = 'replay';
+  fakeSocket.write = (buffer) => result.sent.push(Buffer.from(buffer));
+  fakeSocket.end = () => {};
+  fakeSocket.destroy = () => {};
+
+  const fakeTimeSeriesDB = {
+    WriteData: (deviceID, timestamp, dataList, measurement, tags) => {
+      result.writes.push({ deviceID, timestamp, dataList, measurement, tags });
+    },
+  };
+  const fakePictureDB = {
+    WriteToBucket: async (bucketName, objectName, data, metaData) => {
+      result.uploads.push({ bucketName, objectName });
+    },
+  };
+
+  const atrackSocket = new ClientSocket(fakeSocket, fakeTimeSeriesDB, fakePictureDB, { analyzers: CreateAnalyzers(fakeTimeSeriesDB, { saveState: false }) });
+  atrackSocket.on('report', report => result.reports.push(report));
+  atrackSocket.on('picture', picture => result.pictures.push(picture));
+
+  try {
+    records.forEach(record => {
+      if (record.direction === 'in') {
+        atrackSocket.RecievedData(record.data);
+      } else if (record.direction === 'out') {
+        result.recordedSent.push(record.data);
+      }
+    });
+  } finally {
+    atrackSocket.ClearSocket();
+  }
+
+  result.atrackSocket = atrackSocket;
+  return result;
+}
+
+module.exports = { ReadCapture, ReplayCapture }
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Session Capture
+ * @description Records the raw inbound and outbound bytes of one tracker connection to a capture file
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+module.exports = class SessionCapture {
+    /**
+     * Constructor for SessionCapture class.
+     *
+     * The capture file is named <CAPTURE_PATH>/<device id>_<connect time>.jsonl and holds one JSON record per line:
+     * {"time": <epoch ms>, "direction": "in" | "out", "data": "<hex>"}
+     * Records are kept in memory until the device id is known.
+     *
+     * @constructor
+     * @param {ClientSocket} atrackSocket - The connection to capture.
+     * @param {string} [CAPTURE_PATH=captures] - The folder the capture files are written to.
+     */
+    constructor(atrackSocket) {
+        this.CAPTURE_PATH = process.env.CAPTURE_PATH || 'captures';
+        this.atrackSocket = atrackSocket;
+        this.startTime = Date.now();
+        this.pendingRecords = [];
+        this.stream = undefined;
+
+        this.onReceived = (buffer) => this.Record('in', buffer);
+        this.onSent = (buffer) => this.Record('out', buffer);
+        atrackSocket.on('received', this.onReceived);
+        atrackSocket.on('sent', this.onSent);
+    }
+
+    /**
+     * Checks if capturing is turned on with the CAPTURE_ENABLED environment variable.
+     *
+     * @returns {boolean} True if sessions should be captured.
+     */
+    static IsEnabled() {
+        return String(process.env.CAPTURE_ENABLED).toLowerCase() === 'true';
+    }
+
+    /**
+     * Records one chunk of data.
+     *
+     * @param {string} direction - 'in' for data from the tracker, 'out' for data to the tracker.
+     * @param {Buffer} buffer - The raw data.
+     * @returns {void}
+     */
+    Record(direction, buffer) {
+        const record = JSON.stringify({ time: Date.now(), direction: direction, data: buffer.toString('hex') });
+        if (this.stream === undefined && !this.Open()) {
+            this.pendingRecords.push(record);
+            return;
+        }
+        this.stream.write(`${record}\n`);
+    }
+
+    /**
+     * Opens the capture file once the device id is known and writes the records kept so far.
+     *
+     * @returns {boolean} True if the capture file is open.
+     */
+    Open() {
+        if (this.atrackSocket.deviceID === undefined) {
+            return false;
+        }
+
+        const startTime = new Date(this.startTime).toISOString().replace(/[:.]/g, '-');
+        this.filePath = path.join(this.CAPTURE_PATH, `${this.atrackSocket.deviceID}_${startTime}.jsonl`);
+        fs.mkdirSync(this.CAPTURE_PATH, { recursive: true });
+        this.stream = fs.createWriteStream(this.filePath, { flags: 'a' });
+        this.stream.on('error', (err) => {
+            console.error(`[SessionCapture] ❌ Failed to write ${this.filePath}:`, err.message);
+        });
+        console.log(`[SessionCapture] Capturing ${this.atrackSocket.deviceID} to ${this.filePath}`);
+
+        this.pendingRecords.forEach(record => this.stream.write(`${record}\n`));
+        this.pendingRecords = [];
+        return true;
+    }
+
+    /**
+     * Stops capturing and closes the capture file.
+     *
+     * @returns {void}
+     */
+    Close() {
+        this.atrackSocket.off('received', this.onReceived);
+        this.atrackSocket.off('sent', this.onSent);
+        if (this.stream !== undefined) {
+            this.stream.end();
+        }
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Speed Rules
+ * @description Loads the speed limits (global, per vehicle group and per zone) and the overspeed settings
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ConfigWatcher = require('./configWatcher');
+
+// Speed source => the report field with the speed in km/h
+const SPEED_FIELDS = {
+    'gps': 'gps_speed',
+    'can': 'road_speed',
+};
+
+module.exports = class SpeedRules {
+    /**
+     * Constructor for SpeedRules class.
+     *
+     * The rules file sets the limits in km/h, all keys are optional:
+     * {
+     *   "speedSource": "gps",       // 'gps' (gps_speed) or 'can' (road_speed of J1708/J1939)
+     *   "defaultLimit": 90,         // for devices without group, no limit if not set
+     *   "minDuration": 10,          // seconds above the limit before it counts as overspeed
+     *   "hysteresis": 5,            // km/h below the limit to end the overspeed
+     *   "maxGap": 120,              // seconds without report that end the overspeed
+     *   "groups": { "trucks": { "limit": 80, "devices": ["1234"], "speedSource": "can" } },
+     *   "zones": { "School": 30 }   // zone names of the geofences
+     * }
+     * The limit of a device is its group limit (else defaultLimit), lowered by the limits of the zones it is in.
+     * Without rules file no speed is checked.
+     *
+     * @constructor
+     * @param {string} [SPEED_RULES_PATH=config/speed_rules.json] - The rules file, relative to src/.
+     * @throws {Error} If the rules file is invalid.
+     */
+    constructor() {
+        this.SPEED_RULES_PATH = process.env.SPEED_RULES_PATH || 'config/speed_rules.json';
+        this.watcher = new ConfigWatcher('Speed rules', () => this.Reload());
+        this.Load();
+    }
+
+    /**
+     * Reads the rules file. The rules are only replaced if the file is valid.
+     *
+     * @returns {void}
+     * @throws {Error} If the rules file is invalid.
+     */
+    Load() {
+        const rulesPath = path.join(__dirname, this.SPEED_RULES_PATH);
+        let rules = {};
+        if (fs.existsSync(rulesPath)) {
+            rules = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+        } else {
+            console.log(`[SpeedRules] ${this.SPEED_RULES_PATH} not found, no speed limits`);
+        }
+        const where = this.SPEED_RULES_PATH;
+        if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+            throw new Error(`${where}: rules must be an object`);
+        }
+        const IsLimit = value => typeof value === 'number' && value > 0;
+        const IsObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const CheckSource = (source, name) => {
+            if (source !== undefined && SPEED_FIELDS[source] === undefined) {
+                throw new Error(`${where}: ${name} must be one of ${Object.keys(SPEED_FIELDS).join(', ')}`);
+            }
+        };
+
+        CheckSource(rules.speedSource, 'speedSource');
+        if (rules.defaultLimit !== undefined && rules.defaultLimit !== null && !IsLimit(rules.defaultLimit)) {
+            throw new Error(`${where}: defaultLimit must be a speed above 0`);
+        }
+        ['minDuration', 'hysteresis', 'maxGap'].forEach(key => {
+            if (rules[key] !== undefined && !(typeof rules[key] === 'number' && rules[key] >= 0)) {
+                throw new Error(`${where}: ${key} must be a number of at least 0`);
+            }
+        });
+
+        const groups = rules.groups || {};
+        const zones = rules.zones || {};
+        if (!IsObject(groups) || !IsObject(zones)) {
+            throw new Error(`${where}: groups and zones must be objects`);
+        }
+        // Device ID => group name
+        const deviceGroups = {};
+        for (const name in groups) {
+            const group = groups[name];
+            if (!IsObject(group) || !IsLimit(group.limit) || !Array.isArray(group.devices)) {
+                throw new Error(`${where}: group ${name} needs a limit above 0 and a list of devices`);
+            }
+            CheckSource(group.speedSource, `speedSource of group ${name}`);
+            group.devices.forEach(deviceID => {
+                if (deviceGroups[String(deviceID)] !== undefined) {
+                    throw new Error(`${where}: device ${deviceID} is in groups ${deviceGroups[String(deviceID)]} and ${name}`);
+                }
+                deviceGroups[String(deviceID)] = name;
+            });
+        }
+        for (const name in zones) {
+            if (!IsLimit(zones[name])) {
+                throw new Error(`${where}: the limit of zone ${name} must be a speed above 0`);
+            }
+        }
+
+        this.rules = {
+            speedSource: rules.speedSource || 'gps',
+            defaultLimit: rules.defaultLimit || undefined,
+            minDuration: rules.minDuration !== undefined ? rules.minDuration : 10,
+            hysteresis: rules.hysteresis !== undefined ? rules.hysteresis : 5,
+            maxGap: rules.maxGap !== undefined ? rules.maxGap : 120,
+            groups: groups,
+            zones: zones,
+        };
+        this.deviceGroups = deviceGroups;
+        this.files = [rulesPath];
+    }
+
+    /**
+     * Loads the rules again. If the new rules are invalid, the loaded rules are kept.
+     *
+     * @returns {Object} The result with fields name, reloaded and error.
+     */
+    Reload() {
+        try {
+            this.Load();
+        } catch (err) {
+            console.error(`[SpeedRules] ❌ Reload failed, keeping the loaded rules: ${err.message}`);
+            return { name: 'speedRules', reloaded: false, error: err.message };
+        }
+        console.log(`[SpeedRules] ✅ Reloaded ${Object.keys(this.rules.groups).length} groups and ${Object.keys(this.rules.zones).length} zone limits`);
+        return { name: 'speedRules', reloaded: true };
+    }
+
+    /**
+     * Reloads the rules when the rules file changes, see ConfigWatcher.
+     *
+     * @returns {void}
+     */
+    Watch() {
+        this.watcher.Watch(this.files);
+    }
+
+    /**
+     * Gets the speed source of a device.
+     *
+     * @param {string} deviceID - The device ID.
+     * @returns {Object} The source with fields source ('gps' or 'can') and field, the report field with the speed.
+     */
+    GetSpeedSource(deviceID) {
+        const group = this.rules.groups[this.deviceGroups[deviceID]];
+        const source = group !== undefined && group.speedSource !== undefined ? group.speedSource : this.rules.speedSource;
+        return { source: source, field: SPEED_FIELDS[source] };
+    }
+
+    /**
+     * Gets the speed limit of a device at a position.
+     *
+     * @param {string} deviceID - The device ID.
+     * @param {Array<string>} zoneNames - The names of the zones the device is in.
+     * @returns {Object | undefined} The limit with fields limit and rule ('default', 'group:<name>' or 'zone:<name>'),
+     * or undefined if no limit applies.
+     */
+    GetLimit(deviceID, zoneNames) {
+        const groupName = this.deviceGroups[deviceID];
+        let limit = undefined;
+        if (groupName !== undefined) {
+            limit = { limit: this.rules.groups[groupName].limit, rule: `group:${groupName}` };
+        } else if (this.rules.defaultLimit !== undefined) {
+            limit = { limit: this.rules.defaultLimit, rule: 'default' };
+        }
+        zoneNames.filter(name => this.rules.zones[name] !== undefined).forEach(name => {
+            if (limit === undefined || this.rules.zones[name] < limit.limit) {
+                limit = { limit: this.rules.zones[name], rule: `zone:${name}` };
+            }
+        });
+        return limit;
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview State File
+ * @description Saves the in-memory state of an analyzer to a JSON file, so it survives restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+module.exports = class StateFile {
+    /**
+     * Constructor for StateFile class.
+     *
+     * The state is written under a temporary name first, so a crash while writing keeps the previous state.
+     *
+     * @constructor
+     * @param {string} name - The name used in log messages.
+     * @param {string} filePath - The state file, '' keeps the state in memory only.
+     * @param {number} saveDelay - The milliseconds changes are collected before ScheduleSave saves.
+     * @param {function(): Object} getState - Returns the state to save.
+     */
+    constructor(name, filePath, saveDelay, getState) {
+        this.name = name;
+        this.filePath = filePath;
+        this.saveDelay = saveDelay;
+        this.getState = getState;
+        this.saveTimeout = undefined;
+    }
+
+    /**
+     * Reads the saved state. A missing or broken file starts with an empty state.
+     *
+     * @returns {Object} The saved state.
+     */
+    Load() {
+        if (this.filePath === '' || !fs.existsSync(this.filePath)) {
+            return {};
+        }
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (err) {
+            console.error(`[${this.name}] ❌ Failed to read ${this.filePath}, starting without state:`, err.message);
+            return {};
+        }
+    }
+
+    /**
+     * Writes the state now.
+     *
+     * @returns {void}
+     */
+    Save() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = undefined;
+        if (this.filePath === '') {
+            return;
+        }
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(`${this.filePath}.tmp`, JSON.stringify(this.getState()));
+            fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+        } catch (err) {
+            console.error(`[${this.name}] ❌ Failed to save ${this.filePath}:`, err.message);
+        }
+    }
+
+    /**
+     * Saves the state after the save delay, unless a save is already scheduled.
+     * The timer does not keep the process running.
+     *
+     * @returns {void}
+     */
+    ScheduleSave() {
+        if (this.saveTimeout === undefined && this.filePath !== '') {
+            this.saveTimeout = setTimeout(() => this.Save(), this.saveDelay);
+            this.saveTimeout.unref();
+        }
+    }
+
+    /**
+     * Saves a scheduled change now and stops the timer.
+     *
+     * @returns {void}
+     */
+    Stop() {
+        if (this.saveTimeout !== undefined) {
+            this.Save();
+        }
+    }
+}
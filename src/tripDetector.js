@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Trip Detector
+ * @description Detects the trips of every device from ignition, speed and report events and writes one record per trip
+ */
+
+const StateFile = require('./stateFile');
+const Utilities = require('./utilities');
+
+module.exports = class TripDetector {
+    /**
+     * Constructor for TripDetector class.
+     *
+     * The ignition of a report is on or off by its report event ('ignition_on'/'ignition_off'), else by the
+     * TRIP_IGNITION_FIELD input, else by moving at TRIP_MIN_SPEED or faster.
+     * A trip starts at the first report with the ignition on and is confirmed after TRIP_START_DEBOUNCE seconds
+     * or when the vehicle moves, an ignition off before that drops it. The trip ends at the first report with the ignition
+     * off, once no report turned the ignition on again for TRIP_STOP_DEBOUNCE seconds, so short stops stay in the trip.
+     * A tracker that goes silent after the ignition off sends no report to end the trip, so a timer also ends the trips
+     * of devices that sent no report for TRIP_STOP_DEBOUNCE seconds.
+     * Every completed trip is written to INFLUXDB_MEASUREMENT_TRIP at its start time, tagged with the report tags
+     * at the start (driver, ...).
+     * The trip state of all devices is saved to TRIP_STATE_PATH, so trips continue over reconnects and restarts.
+     *
+     * @constructor
+     * @param {InfluxClient} timeSeriesDB - The InfluxDB client to write the trips to.
+     * @param {Object} [options] - Optional settings.
+     * @param {string} [options.statePath] - The state file, overrides TRIP_STATE_PATH. '' keeps the state in memory only.
+     * @param {string} [INFLUXDB_MEASUREMENT_TRIP=trip] - The name of the measurement for trips.
+     * @param {string} [TRIP_IGNITION_FIELD=input_status_1] - The input field wired to the ignition.
+     * @param {number} [TRIP_MIN_SPEED=5] - The speed in km/h from which the vehicle is moving, slower with the ignition on is idling.
+     * @param {number} [TRIP_START_DEBOUNCE=30] - The seconds the ignition must be on to start a trip.
+     * @param {number} [TRIP_STOP_DEBOUNCE=180] - The seconds the ignition must be off to end a trip.
+     * @param {string} [TRIP_STATE_PATH=data/trips_state.json] - The file the trip state is saved to.
+     * @param {number} [TRIP_STATE_SAVE_DELAY=5000] - The milliseconds changes of running trips are collected before saving.
+     */
+    constructor(timeSeriesDB, options = {}) {
+        this.INFLUXDB_MEASUREMENT_TRIP = process.env.INFLUXDB_MEASUREMENT_TRIP || 'trip';
+        this.TRIP_IGNITION_FIELD = process.env.TRIP_IGNITION_FIELD || 'input_status_1';
+        this.TRIP_MIN_SPEED = parseFloat(process.env.TRIP_MIN_SPEED || 5);
+        this.TRIP_START_DEBOUNCE = parseInt(process.env.TRIP_START_DEBOUNCE || 30);
+        this.TRIP_STOP_DEBOUNCE = parseInt(process.env.TRIP_STOP_DEBOUNCE || 180);
+        this.TRIP_STATE_PATH = options.statePath !== undefined ? options.statePath : (process.env.TRIP_STATE_PATH || 'data/trips_state.json');
+        this.TRIP_STATE_SAVE_DELAY = parseInt(process.env.TRIP_STATE_SAVE_DELAY || 5000);
+
+        this.timeSeriesDB = timeSeriesDB;
+        this.stateFile = new StateFile('TripDetector', this.TRIP_STATE_PATH, this.TRIP_STATE_SAVE_DELAY, () => this.states);
+        // Device ID => {trip, last, receivedAt}, the running trip, the last report point and when it was received
+        this.states = this.stateFile.Load();
+        const running = Object.values(this.states).filter(state => state.trip !== undefined).length;
+        if (running > 0) {
+            console.log(`[TripDetector] Loaded ${running} running trips from ${this.TRIP_STATE_PATH}`);
+        }
+
+        this.silentCheck = setInterval(() => this.EndSilentTrips(), Math.max(this.TRIP_STOP_DEBOUNCE * 1000, 1000));
+        this.silentCheck.unref();
+    }
+
+    /**
+     * Stops the timer for silent trackers and saves a scheduled change of the trip state now, see StateFile.
+     *
+     * @returns {void}
+     */
+    Stop() {
+        clearInterval(this.silentCheck);
+        this.stateFile.Stop();
+    }
+
+    /**
+     * Ends the stopping trips of devices that sent no report for TRIP_STOP_DEBOUNCE seconds.
+     * The time is measured from when the last report was received, not its report time, so buffered reports do not count as silence.
+     *
+     * @param {number} [now=Date.now()] - The current time in milliseconds.
+     * @returns {void}
+     */
+    EndSilentTrips(now = Date.now()) {
+        let changed = false;
+        for (const deviceID in this.states) {
+            const state = this.states[deviceID];
+            if (state.trip !== undefined && state.trip.stop !== undefined && now - (state.receivedAt || 0) >= this.TRIP_STOP_DEBOUNCE * 1000) {
+                this.EndTrip(deviceID, state.trip);
+                state.trip = undefined;
+                changed = true;
+            }
+        }
+        if (changed) {
+            this.stateFile.Save();
+        }
+    }
+
+    /**
+     * Gets the values of a report the trips are built from.
+     *
+     * @param {string} timestamp - The report time in nanoseconds.
+     * @param {Array<Object>} data - The decoded fields of the report.
+     * @returns {Object} The point with fields timestamp, time (seconds), ignition, speed, lat, lng, odometer and fuelUsed.
+     */
+    GetPoint(timestamp, data) {
+        const point = {
+            timestamp: timestamp,
+            time: Number(BigInt(timestamp) / 1000000000n),
+            speed: Utilities.GetDataValue(data, 'gps_speed'),
+            lat: Utilities.GetDataValue(data, 'lat'),
+            lng: Utilities.GetDataValue(data, 'lng'),
+            odometer: Utilities.GetDataValue(data, 'gps_odometer'),
+            fuelUsed: Utilities.GetDataValue(data, 'fuel_used'),
+        };
+        // Without GPS fix the tracker reports 0,0
+        if (point.lat === 0 && point.lng === 0) {
+            point.lat = undefined;
+            point.lng = undefined;
+        }
+
+        const event = Utilities.GetDataValue(data, 'report_event');
+        const ignitionInput = Utilities.GetDataValue(data, this.TRIP_IGNITION_FIELD);
+        if (event === 'ignition_on' || event === 'ignition_off') {
+            point.ignition = event === 'ignition_on';
+        } else if (typeof ignitionInput === 'boolean') {
+            point.ignition = ignitionInput;
+        } else {
+            point.ignition = typeof point.speed === 'number' && point.speed >= this.TRIP_MIN_SPEED;
+        }
+        return point;
+    }
+
+    /**
+     * Feeds a report to the trip state machine of the device.
+     * Reports not newer than the last report of the device (duplicates, late buffered reports) are ignored.
+     *
+     * @param {string} deviceID - The device ID of the report.
+     * @param {string} timestamp - The report time in nanoseconds.
+     * @param {Array<Object>} data - The decoded fields of the report.
+     * @param {Object} tags - The tags of the report point.
+     * @returns {void}
+     */
+    Analyze(deviceID, timestamp, data, tags) {
+        const point = this.GetPoint(timestamp, data);
+        const state = this.states[deviceID] = this.states[deviceID] || { trip: undefined, last: undefined };
+        if (state.last !== undefined && point.time <= state.last.time) {
+            return;
+        }
+
+        let changed = false;
+        if (state.trip !== undefined && state.trip.stop !== undefined && point.time - state.trip.stop.time >= this.TRIP_STOP_DEBOUNCE) {
+            this.EndTrip(deviceID, state.trip);
+            state.trip = undefined;
+            changed = true;
+        } else if (state.trip !== undefined) {
+            this.AddPoint(state.trip, state.last, point);
+        }
+
+        const trip = state.trip;
+        if (trip === undefined) {
+            if (point.ignition) {
+                state.trip = this.NewTrip(point, tags);
+            }
+        } else if (point.ignition) {
+            trip.stop = undefined;
+        } else if (trip.status === 'starting') {
+            // The ignition turned off before the trip was confirmed
+            state.trip = undefined;
+        } else if (trip.stop === undefined) {
+            trip.stop = point;
+            changed = true;
+        }
+
+        if (state.trip !== undefined && state.trip.status === 'starting' &&
+            (point.time - state.trip.start.time >= this.TRIP_START_DEBOUNCE || point.speed >= this.TRIP_MIN_SPEED)) {
+            state.trip.status = 'active';
+            console.log(`[TripDetector] ${deviceID}: Trip started at ${new Date(state.trip.start.time * 1000).toISOString()}`);
+            changed = true;
+        }
+
+        state.last = point;
+        state.receivedAt = Date.now();
+        if (changed) {
+            this.stateFile.Save();
+        } else {
+            this.stateFile.ScheduleSave();
+        }
+    }
+
+    /**
+     * Creates a trip that starts at a report.
+     *
+     * @param {Object} point - The first point of the trip, see GetPoint.
+     * @param {Object} tags - The tags of the report point, the trip is tagged with them.
+     * @returns {Object} The trip.
+     */
+    NewTrip(point, tags) {
+        return {
+            status: 'starting',
+            start: point,
+            stop: undefined,
+            tags: Object.assign({}, tags),
+            gpsDistance: 0,
+            maxSpeed: typeof point.speed === 'number' ? point.speed : 0,
+            speedTime: 0,
+            engineTime: 0,
+            idleTime: 0,
+            reportCount: 1,
+        };
+    }
+
+    /**
+     * Adds the time since the previous report and the new report to the totals of a trip.
+     * The time counts as engine time (and idle time when slower than TRIP_MIN_SPEED) if the ignition was on at the previous report.
+     * After the ignition turned off, the distance and the speed are no longer counted.
+     *
+     * @param {Object} trip - The running trip.
+     * @param {Object} last - The previous point of the device.
+     * @param {Object} point - The new point.
+     * @returns {void}
+     */
+    AddPoint(trip, last, point) {
+        trip.reportCount++;
+        const duration = point.time - last.time;
+        if (last.ignition) {
+            const speed = typeof last.speed === 'number' ? last.speed : 0;
+            trip.engineTime += duration;
+            trip.speedTime += speed * duration;
+            if (speed < this.TRIP_MIN_SPEED) {
+                trip.idleTime += duration;
+            }
+        }
+        if (trip.stop !== undefined) {
+            return;
+        }
+        if (typeof point.speed === 'number') {
+            trip.maxSpeed = Math.max(trip.maxSpeed, point.speed);
+        }
+        if (last.lat !== undefined && last.lng !== undefined && point.lat !== undefined && point.lng !== undefined) {
+            trip.gpsDistance += Utilities.HaversineDistance(last.lat, last.lng, point.lat, point.lng);
+        }
+    }
+
+    /**
+     * Writes a completed trip, from its start to the report that turned the ignition off.
+     * Distances are in km, speeds in km/h, times in seconds and the fuel used in L.
+     * The odometer distance and the fuel used are only written if the reports have the gps_odometer and fuel_used fields.
+     *
+     * @param {string} deviceID - The device ID of the trip.
+     * @param {Object} trip - The completed trip.
+     * @returns {void}
+     */
+    EndTrip(deviceID, trip) {
+        const start = trip.start;
+        const stop = trip.stop;
+        const Difference = (from, to) => typeof from === 'number' && typeof to === 'number' && to >= from ? to - from : undefined;
+        const fields = {
+            end_time: new Date(stop.time * 1000).toISOString(),
+            duration: stop.time - start.time,
+            start_lat: start.lat,
+            start_lng: start.lng,
+            end_lat: stop.lat,
+            end_lng: stop.lng,
+            distance_odometer: Difference(start.odometer, stop.odometer),
+            distance_gps: Number(trip.gpsDistance.toFixed(3)),
+            max_speed: trip.maxSpeed,
+            avg_speed: trip.engineTime > 0 ? Number((trip.speedTime / trip.engineTime).toFixed(1)) : 0,
+            idle_time: trip.idleTime,
+            fuel_used: Difference(start.fuelUsed, stop.fuelUsed),
+            report_count: trip.reportCount,
+        };
+        const DBTYPES = { end_time: 'string', duration: 'int', idle_time: 'int', report_count: 'int' };
+        const dataList = Object.keys(fields)
+            .filter(name => fields[name] !== undefined)
+            .map(name => ({ name: name, dbtype: DBTYPES[name] || 'float', value: fields[name] }));
+
+        console.log(`[TripDetector] ${deviceID}: Trip ended after ${fields.duration} s, ${fields.distance_gps} km`);
+        this.timeSeriesDB.WriteData(deviceID, start.timestamp, dataList, this.INFLUXDB_MEASUREMENT_TRIP, trip.tags);
+    }
+
+    /**
+     * Gets the running trip of a device, for the device details of the HTTP API.
+     *
+     * @param {string} deviceID - The device ID.
+     * @returns {Object} The status with field trip, the status ('starting', 'active' or 'stopping'), start time,
+     * GPS distance so far and idle time, or undefined without a running trip.
+     */
+    GetDeviceStatus(deviceID) {
+        const trip = this.states[deviceID] !== undefined ? this.states[deviceID].trip : undefined;
+        if (trip === undefined) {
+            return { trip: undefined };
+        }
+        return {
+            trip: {
+                status: trip.stop !== undefined ? 'stopping' : trip.status,
+                startTime: trip.start.timestamp,
+                distanceGps: Number(trip.gpsDistance.toFixed(3)),
+                idleTime: trip.idleTime,
+            },
+        };
+    }
+}
@@ -8,21 +8,47 @@
  * @author Atrack
  * @version 1.0.0
  */
+
+// Unit conversion factors to the base unit of each quantity, temperature is converted separately
+const UNIT_FACTORS = {
+    'm': { quantity: 'length', factor: 1 },
+    'km': { quantity: 'length', factor: 1000 },
+    'mi': { quantity: 'length', factor: 1609.344 },
+    'ft': { quantity: 'length', factor: 0.3048 },
+    'm/s': { quantity: 'speed', factor: 1 },
+    'km/h': { quantity: 'speed', factor: 1 / 3.6 },
+    'mph': { quantity: 'speed', factor: 0.44704 },
+    'knot': { quantity: 'speed', factor: 1852 / 3600 },
+    'l': { quantity: 'volume', factor: 1 },
+    'gal': { quantity: 'volume', factor: 3.785411784 },
+    'kpa': { quantity: 'pressure', factor: 1 },
+    'bar': { quantity: 'pressure', factor: 100 },
+    'psi': { quantity: 'pressure', factor: 6.894757293 },
+    'kg': { quantity: 'mass', factor: 1 },
+    'lb': { quantity: 'mass', factor: 0.45359237 },
+    's': { quantity: 'time', factor: 1 },
+    'min': { quantity: 'time', factor: 60 },
+    'h': { quantity: 'time', factor: 3600 },
+};
+const TEMPERATURE_UNITS = ['c', 'f', 'k'];
+
 module.exports = {
     /**
-     * Gets the value from the given inputBuffer according to the given startIndex and type.
+     * Gets the value from the given inputBuffer according to the given startIndex, length and type.
+     * Binary header fields have a fixed length and no delimiter.
      * The value is returned as an array of two elements, the first element is the value, the second element is the next index.
      * If the type is not specified, it is 'Int'.
      * If the type is 'BigUint64BE', the value is parsed as a big unsigned integer.
-     * If the type is 'Int', the value is parsed as an integer.
+     * If the type is 'Int', the value is parsed as an unsigned integer.
      *
      * @param {Buffer} inputBuffer - The input buffer to extract value from.
      * @param {number} startIndex - The starting index to extract value from.
+     * @param {number} length - The number of bytes to extract.
      * @param {string} [type='Int'] - The type of the value to extract.
      * @return {Array} The extracted value and the next index.
      */
-    GetHeaderValueBinary: function(inputBuffer, startIndex, type='Int') {
-        const endIndex = inputBuffer.indexOf(',', startIndex);
+    GetHeaderValueBinary: function(inputBuffer, startIndex, length, type='Int') {
+        const endIndex = startIndex + length;
         const dataArray = inputBuffer.subarray(startIndex, endIndex);
         let output = undefined;
         switch (type) {
@@ -33,11 +59,11 @@ module.exports = {
             output = parseInt(dataArray.toString('hex'), 16);
             break;
           default:
-            output = dataArray;  
+            output = dataArray;
         }
-        return [output, endIndex + 1];
+        return [output, endIndex];
     },
-      
+
     /**
      * Gets the value from the given inputBuffer according to the given startIndex and type.
      * The value is returned as an array of two elements, the first element is the value, the second element is the next index.
@@ -211,6 +237,52 @@ module.exports = {
     return output;
   },
 
+  /**
+   * Calculates the CRC-16 of the given buffer as used by Atrack GPS trackers.
+   * CRC-16/ARC: polynomial 0x8005 (reflected 0xA001), initial value 0x0000.
+   *
+   * @param {Buffer} buffer - The data to calculate the CRC of.
+   * @returns {number} The 16 bit CRC value.
+   */
+  CalculateCRC16: function(buffer) {
+    let crc = 0x0000;
+    for (let i = 0; i < buffer.length; i++) {
+      crc ^= buffer[i];
+      for (let bit = 0; bit < 8; bit++) {
+        if (crc & 0x0001) {
+          crc = (crc >>> 1) ^ 0xA001;
+        } else {
+          crc = crc >>> 1;
+        }
+      }
+    }
+    return crc;
+  },
+
+  /**
+   * Converts a value between two units of the same quantity.
+   *
+   * @param {number} value - The value in the from unit.
+   * @param {string} from - The unit of the value, for example 'km', 'km/h', 'l', 'kpa' or 'c'.
+   * @param {string} to - The unit to convert to.
+   * @return {number | undefined} The converted value, or undefined if the units are unknown or of different quantities.
+   */
+  ConvertUnit: function(value, from, to) {
+    from = String(from).toLowerCase();
+    to = String(to).toLowerCase();
+    if (TEMPERATURE_UNITS.includes(from) && TEMPERATURE_UNITS.includes(to)) {
+        // Convert through celsius
+        const celsius = from === 'f' ? (value - 32) * 5 / 9 : from === 'k' ? value - 273.15 : value;
+        return to === 'f' ? celsius * 9 / 5 + 32 : to === 'k' ? celsius + 273.15 : celsius;
+    }
+    const fromUnit = UNIT_FACTORS[from];
+    const toUnit = UNIT_FACTORS[to];
+    if (fromUnit === undefined || toUnit === undefined || fromUnit.quantity !== toUnit.quantity) {
+        return undefined;
+    }
+    return value * fromUnit.factor / toUnit.factor;
+  },
+
   /**
    * Concatenates subArray to mainArray. The mainArray is modified in-place.
    * @param {Array} mainArray - The array to be modified.
@@ -220,5 +292,46 @@ module.exports = {
     subArray.forEach(element => {
       mainArray.push(element);
     });
+  },
+
+  /**
+   * Gets the value of a field from a decoded report, as returned by Pattern.ExtractValue.
+   *
+   * @param {Array<Object>} dataList - The decoded fields with name, dbtype and value.
+   * @param {string} name - The field name, for example 'lat'.
+   * @return {any | undefined} The value of the first field with the name, or undefined if the report does not have it.
+   */
+  GetDataValue: function(dataList, name) {
+    const data = dataList.find(data => data.name === name);
+    return data === undefined ? undefined : data.value;
+  },
+
+  /**
+   * Gets the fields with the given names from a decoded report, for example the position to add to an event.
+   *
+   * @param {Array<Object>} dataList - The decoded fields with name, dbtype and value.
+   * @param {Array<string>} names - The field names, for example ['lat', 'lng'].
+   * @return {Array<Object>} The fields the report has, in the order of names.
+   */
+  GetDataFields: function(dataList, names) {
+    return names.map(name => dataList.find(data => data.name === name)).filter(data => data !== undefined);
+  },
+
+  /**
+   * Gets the great-circle distance between two positions with the haversine formula.
+   *
+   * @param {number} lat1 - The latitude of the first position in degrees.
+   * @param {number} lng1 - The longitude of the first position in degrees.
+   * @param {number} lat2 - The latitude of the second position in degrees.
+   * @param {number} lng2 - The longitude of the second position in degrees.
+   * @return {number} The distance in kilometers.
+   */
+  HaversineDistance: function(lat1, lng1, lat2, lng2) {
+    const EARTH_RADIUS_KM = 6371.0088;
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
   }
 };
\ No newline at end of file
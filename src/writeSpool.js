@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Write Spool
+ * @description Keeps line protocol batches that could not be written to InfluxDB on local disk and writes them again in order
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+module.exports = class WriteSpool {
+    /**
+     * Constructor for WriteSpool class.
+     *
+     * Every failed batch is stored as one file <WRITE_SPOOL_PATH>/<spool time>-<sequence>.lp.
+     * The files are written again oldest first every WRITE_SPOOL_DRAIN_INTERVAL, and a file
+     * is only deleted after the write succeeded. The first failure stops the drain, so the order is kept.
+     * A batch InfluxDB rejects (4xx below 429, e.g. a field type conflict) would fail again on every drain and block the
+     * batches after it, so it is moved to <WRITE_SPOOL_PATH>/rejected and the drain goes on.
+     *
+     * @constructor
+     * @param {function(Array<string>): Promise<void>} writeLines - Writes a batch of lines, rejects if the write failed.
+     * @param {string} [WRITE_SPOOL_PATH=data/spool] - The folder the spooled batches are stored in.
+     * @param {number} [WRITE_SPOOL_DRAIN_INTERVAL=30000] - The interval in milliseconds to retry the spooled batches.
+     * @param {number} [WRITE_SPOOL_MAX_SIZE=1073741824] - The maximum size in bytes of the spool, the oldest batches are dropped above it.
+     */
+    constructor(writeLines) {
+        this.WRITE_SPOOL_PATH = process.env.WRITE_SPOOL_PATH || 'data/spool';
+        this.WRITE_SPOOL_DRAIN_INTERVAL = parseInt(process.env.WRITE_SPOOL_DRAIN_INTERVAL || 30000);
+        this.WRITE_SPOOL_MAX_SIZE = parseInt(process.env.WRITE_SPOOL_MAX_SIZE || 1073741824);
+
+        this.writeLines = writeLines;
+        this.files = this.Load();
+        // Continue the sequence of the loaded files, so a batch spooled in the same millisecond sorts after them
+        this.nextSequence = this.files.length > 0 ? parseInt(this.files[this.files.length - 1].name.split('-')[1]) + 1 : 0;
+        this.draining = false;
+        this.droppedLines = 0;
+        this.rejectedLines = 0;
+        this.lastError = undefined;
+
+        if (this.files.length > 0) {
+            const status = this.GetStatus();
+            console.log(`[WriteSpool] Loaded ${status.lines} spooled lines in ${status.files} files from ${this.WRITE_SPOOL_PATH}`);
+        }
+
+        this.drainInterval = setInterval(() => this.Drain(), this.WRITE_SPOOL_DRAIN_INTERVAL);
+    }
+
+    /**
+     * Reads the list of spooled batches from the spool folder.
+     *
+     * @returns {Array<Object>} The spooled batches, oldest first, with fields name, size, lines and spooledAt.
+     */
+    Load() {
+        if (!fs.existsSync(this.WRITE_SPOOL_PATH)) {
+            return [];
+        }
+        try {
+            return fs.readdirSync(this.WRITE_SPOOL_PATH)
+                .filter(name => name.endsWith('.lp'))
+                .sort()
+                .map(name => {
+                    const content = fs.readFileSync(path.join(this.WRITE_SPOOL_PATH, name), 'utf8');
+                    return {
+                        name: name,
+                        size: Buffer.byteLength(content),
+                        lines: content.split('\n').filter(line => line !== '').length,
+                        spooledAt: parseInt(name.split('-')[0]),
+                    };
+                });
+        } catch (err) {
+            console.error(`[WriteSpool] ❌ Failed to read ${this.WRITE_SPOOL_PATH}:`, err.message);
+            return [];
+        }
+    }
+
+    /**
+     * Stores a batch of lines at the end of the spool.
+     * The file is written under a temporary name first, so a crash while writing does not leave a broken batch.
+     *
+     * @param {Array<string>} lines - The line protocol lines that could not be written.
+     * @returns {boolean} True if the batch is stored.
+     */
+    Append(lines) {
+        if (lines.length === 0) {
+            return true;
+        }
+
+        const spooledAt = Date.now();
+        // Time and sequence are padded, so the file names sort in spool order
+        const name = `${String(spooledAt).padStart(15, '0')}-${String(this.nextSequence++).padStart(6, '0')}.lp`;
+        const content = `${lines.join('\n')}\n`;
+        try {
+            fs.mkdirSync(this.WRITE_SPOOL_PATH, { recursive: true });
+            const filePath = path.join(this.WRITE_SPOOL_PATH, name);
+            fs.writeFileSync(`${filePath}.tmp`, content);
+            fs.renameSync(`${filePath}.tmp`, filePath);
+        } catch (err) {
+            console.error(`[WriteSpool] ❌ Failed to spool ${lines.length} lines:`, err.message);
+            return false;
+        }
+
+        this.files.push({ name: name, size: Buffer.byteLength(content), lines: lines.length, spooledAt: spooledAt });
+        this.DropOldest();
+
+        const status = this.GetStatus();
+        console.log(`[WriteSpool] Spooled ${lines.length} lines. Spool depth: ${status.lines} lines, oldest ${Math.round(status.oldestAge / 1000)} s`);
+        return true;
+    }
+
+    /**
+     * Deletes the oldest batches while the spool is larger than WRITE_SPOOL_MAX_SIZE.
+     *
+     * @returns {void}
+     */
+    DropOldest() {
+        let size = this.files.reduce((total, file) => total + file.size, 0);
+        while (size > this.WRITE_SPOOL_MAX_SIZE && this.files.length > 1) {
+            const file = this.files.shift();
+            this.RemoveFile(file);
+            size -= file.size;
+            this.droppedLines += file.lines;
+            console.error(`[WriteSpool] ❌ Spool is full. Dropped ${file.lines} lines spooled at ${new Date(file.spooledAt).toISOString()}`);
+        }
+    }
+
+    /**
+     * Writes the spooled batches again, oldest first.
+     * Stops at the first failed batch and keeps it for the next drain.
+     *
+     * @returns {Promise<number>} The number of lines written by this drain.
+     */
+    async Drain() {
+        if (this.draining || this.files.length === 0) {
+            return 0;
+        }
+
+        this.draining = true;
+        let writtenLines = 0;
+        try {
+            while (this.files.length > 0) {
+                const file = this.files[0];
+                const filePath = path.join(this.WRITE_SPOOL_PATH, file.name);
+                if (!fs.existsSync(filePath)) {
+                    // Deleted by hand
+                    this.files.shift();
+                    continue;
+                }
+                const content = fs.readFileSync(filePath, 'utf8');
+                try {
+                    await this.writeLines(content.split('\n').filter(line => line !== ''));
+                } catch (err) {
+                    if (err.statusCode === undefined || err.statusCode >= 429) {
+                        throw err;
+                    }
+                    if (this.files[0] === file) {
+                        this.files.shift();
+                        this.RejectFile(file, err);
+                    }
+                    continue;
+                }
+
+                // The file may be dropped while the write was running
+                if (this.files[0] === file) {
+                    this.files.shift();
+                    this.RemoveFile(file);
+                }
+                writtenLines += file.lines;
+            }
+            this.lastError = undefined;
+        } catch (err) {
+            this.lastError = err.message;
+            const status = this.GetStatus();
+            console.error(`[WriteSpool] ❌ Drain failed: ${err.message}. Spool depth: ${status.lines} lines, oldest ${Math.round(status.oldestAge / 1000)} s`);
+        } finally {
+            this.draining = false;
+        }
+
+        if (writtenLines > 0) {
+            console.log(`[WriteSpool] ✅ Wrote ${writtenLines} spooled lines. Spool depth: ${this.GetStatus().lines} lines`);
+        }
+        return writtenLines;
+    }
+
+    /**
+     * Moves a batch InfluxDB rejected to the rejected folder, where it can be checked and fixed by hand.
+     *
+     * @param {Object} file - The spooled batch.
+     * @param {Error} err - The error of the rejected write.
+     * @returns {void}
+     */
+    RejectFile(file, err) {
+        this.rejectedLines += file.lines;
+        console.error(`[WriteSpool] ❌ InfluxDB rejected ${file.lines} spooled lines (${err.statusCode}: ${err.message}). Moved to rejected/${file.name}`);
+        try {
+            fs.mkdirSync(path.join(this.WRITE_SPOOL_PATH, 'rejected'), { recursive: true });
+            fs.renameSync(path.join(this.WRITE_SPOOL_PATH, file.name), path.join(this.WRITE_SPOOL_PATH, 'rejected', file.name));
+        } catch (moveErr) {
+            console.error(`[WriteSpool] ❌ Failed to move ${file.name}:`, moveErr.message);
+        }
+    }
+
+    /**
+     * Deletes a spooled batch file.
+     *
+     * @param {Object} file - The spooled batch.
+     * @returns {void}
+     */
+    RemoveFile(file) {
+        try {
+            fs.unlinkSync(path.join(this.WRITE_SPOOL_PATH, file.name));
+        } catch (err) {
+            console.error(`[WriteSpool] ❌ Failed to delete ${file.name}:`, err.message);
+        }
+    }
+
+    /**
+     * Get the depth and age of the spool.
+     *
+     * @returns {Object} The spool status with fields files, lines, bytes, oldestSpooledAt, oldestAge (ms), droppedLines, rejectedLines and lastError.
+     */
+    GetStatus() {
+        const oldest = this.files[0];
+        return {
+            files: this.files.length,
+            lines: this.files.reduce((total, file) => total + file.lines, 0),
+            bytes: this.files.reduce((total, file) => total + file.size, 0),
+            oldestSpooledAt: oldest ? oldest.spooledAt : undefined,
+            oldestAge: oldest ? Date.now() - oldest.spooledAt : 0,
+            droppedLines: this.droppedLines,
+            rejectedLines: this.rejectedLines,
+            lastError: this.lastError,
+        };
+    }
+
+    /**
+     * Stops the drain interval.
+     *
+     * @returns {void}
+     */
+    Stop() {
+        clearInterval(this.drainInterval);
+    }
+}
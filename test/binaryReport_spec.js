@@ -0,0 +1,62 @@
+const BinaryReport = require('../src/binaryReport.js');
+const Expect = require('chai').expect;
+
+
+describe('BinaryReport', () => {
+  const binaryReport = new BinaryReport('pattern/atrack_binary.json');
+  const baseFormat = ["GPSTime","RTCTime","SendTime","LNG","LAT","Heading","ReportID","Odometer","HDOP","InputStatus",
+                      "Speed","OutputStatus","AnalogInputValue","DriverID","1stTemp","2ndTemp","TextMsg"];
+
+  function BuildBaseReport() {
+    const fixed = Buffer.alloc(35);
+    let index = 0;
+    index = fixed.writeUInt32BE(1712808280, index);
+    index = fixed.writeUInt32BE(1712867697, index);
+    index = fixed.writeUInt32BE(1713414999, index);
+    index = fixed.writeInt32BE(100598781, index);
+    index = fixed.writeInt32BE(-13786921, index);
+    index = fixed.writeUInt16BE(90, index);
+    index = fixed.writeUInt8(2, index);
+    index = fixed.writeUInt32BE(1234, index);
+    index = fixed.writeUInt16BE(7, index);
+    index = fixed.writeUInt8(5, index);
+    index = fixed.writeUInt16BE(60, index);
+    index = fixed.writeUInt8(0, index);
+    fixed.writeUInt16BE(0, index);
+    const temps = Buffer.alloc(4);
+    temps.writeInt16BE(2000, 0);
+    temps.writeInt16BE(-10, 2);
+    return Buffer.concat([fixed, Buffer.from('A1B2\0', 'ascii'), temps, Buffer.from('\0', 'ascii')]);
+  }
+
+  describe('DecodeReports', () => {
+
+    it('should decode base fields into ascii report values', () => {
+      const reports = binaryReport.DecodeReports(BuildBaseReport(), baseFormat);
+      Expect(reports).to.eql([[
+        '1712808280', '1712867697', '1713414999', '100598781', '-13786921', '90', '2', '1234', '7', '5',
+        '60', '0', '0', 'A1B2', '2000', '-10', ''
+      ]]);
+    });
+
+    it('should decode custom and J1939 tags and several reports in one frame', () => {
+      const custom = Buffer.from('007c' + '0a' + '00010002fffe' + '12' + '1f40', 'hex');
+      const report = Buffer.concat([BuildBaseReport(), custom]);
+      const format = baseFormat.concat(['MV', 'GQ', 'GV', 'JO4', 'JH2']);
+      const reports = binaryReport.DecodeReports(Buffer.concat([report, report]), format);
+      Expect(reports).to.have.lengthOf(2);
+      Expect(reports[1].slice(baseFormat.length)).to.eql(['124', '10', '00010002FFFE', '18', '8000']);
+    });
+
+    it('should fail the frame at a tag with unknown binary type', () => {
+      const reports = binaryReport.DecodeReports(BuildBaseReport(), baseFormat.concat(['XX']));
+      Expect(reports).to.be.undefined;
+    });
+
+    it('should fail the frame when a later report cannot be decoded', () => {
+      const report = BuildBaseReport();
+      const reports = binaryReport.DecodeReports(Buffer.concat([report, report.subarray(0, 10)]), baseFormat);
+      Expect(reports).to.be.undefined;
+    });
+  });
+});
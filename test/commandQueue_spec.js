@@ -0,0 +1,46 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CommandQueue = require('../src/commandQueue.js');
+const Expect = require('chai').expect;
+
+
+describe('CommandQueue', () => {
+  let tempPath;
+
+  beforeEach(() => {
+    tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'command-queue-'));
+    process.env.COMMAND_QUEUE_PATH = path.join(tempPath, 'command_queue.json');
+  });
+
+  afterEach(() => {
+    delete process.env.COMMAND_QUEUE_PATH;
+    fs.rmSync(tempPath, { recursive: true, force: true });
+  });
+
+  describe('Deliver', () => {
+
+    it('should send a command queued during a running delivery with that delivery', async () => {
+      const commandQueue = new CommandQueue();
+      const sent = [];
+      const atrackSocket = {
+        deviceID: 1,
+        SendCommand: (command, timeout) => new Promise(resolve => {
+          sent.push([command, timeout]);
+          setImmediate(() => resolve({ lines: [`${command}=1`] }));
+        }),
+      };
+
+      const first = commandQueue.Enqueue('1', 'AT$INFO=?');
+      const firstDelivery = commandQueue.Deliver(atrackSocket);
+      const second = commandQueue.Enqueue('1', 'AT$FORM?', undefined, 5000);
+      const secondDelivery = commandQueue.Deliver(atrackSocket);
+
+      Expect(secondDelivery).to.equal(firstDelivery);
+      Expect((await secondDelivery).map(command => command.id)).to.eql([first.id, second.id]);
+      Expect(sent).to.eql([['AT$INFO=?', undefined], ['AT$FORM?', 5000]]);
+      Expect(second).to.include({ status: 'ok', timeout: 5000 });
+      Expect(second.lines).to.eql(['AT$FORM?=1']);
+    });
+  });
+});
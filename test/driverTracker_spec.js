@@ -0,0 +1,60 @@
+const DriverTracker = require('../src/driverTracker.js');
+const { FakeTimeSeriesDB, DataList } = require('./helpers/analyzers.js');
+const Expect = require('chai').expect;
+
+
+describe('DriverTracker', () => {
+  describe('Analyze', () => {
+
+    it('should write login and logout and tag the reports of the driver', () => {
+      const timeSeriesDB = FakeTimeSeriesDB();
+      const writes = timeSeriesDB.writes;
+      const tracker = new DriverTracker(timeSeriesDB, {
+        GetDriver: driverID => driverID === '01A2B3C4D5E6' ? { name: 'Somchai Jaidee' } : undefined,
+      });
+      const Report = (driverID, odometer) => DataList({ lat: 13.786921, gps_odometer: odometer, driver_id: driverID });
+
+      const tags = [{}, {}, {}, {}];
+      tracker.Analyze('1', '1000000000000', Report('', 100), tags[0]);
+      tracker.Analyze('1', '1030000000000', Report('01a2b3c4d5e6', 100), tags[1]);
+      tracker.Analyze('1', '1090000000000', Report('01A2B3C4D5E6', 104.5), tags[2]);
+      tracker.Analyze('1', '1120000000000', Report('', 112), tags[3]);
+
+      Expect(tags).to.eql([{}, { driver_id: '01A2B3C4D5E6', driver_name: 'Somchai Jaidee' }, { driver_id: '01A2B3C4D5E6', driver_name: 'Somchai Jaidee' }, {}]);
+      Expect(writes.map(write => write.dataList[0].value)).to.eql(['login', 'logout']);
+      Expect(writes[1].measurement).to.equal('driver');
+      Expect(writes[1].tags).to.eql({ driver_id: '01A2B3C4D5E6', driver_name: 'Somchai Jaidee' });
+      Expect(writes[1].dataList.map(data => [data.name, data.value])).to.eql([['event', 'logout'], ['session_time', 90], ['distance', 12], ['lat', 13.786921]]);
+      Expect(tracker.GetDeviceStatus('1').driver).to.equal(undefined);
+    });
+
+    it('should log the previous driver out when another driver logs in', () => {
+      const timeSeriesDB = FakeTimeSeriesDB();
+      const writes = timeSeriesDB.writes;
+      const tracker = new DriverTracker(timeSeriesDB, { GetDriver: () => undefined });
+
+      tracker.Analyze('1', '1000000000000', DataList({ driver_id: 'A1' }), {});
+      const tags = {};
+      tracker.Analyze('1', '1030000000000', DataList({ driver_id: 'B2' }), tags);
+
+      Expect(writes.map(write => [write.dataList[0].value, write.tags.driver_id])).to.eql([['login', 'A1'], ['logout', 'A1'], ['login', 'B2']]);
+      Expect(tags).to.eql({ driver_id: 'B2' });
+      Expect(tracker.GetDeviceStatus('1').driver).to.eql({ id: 'B2', name: undefined, loginAt: '1030000000000' });
+    });
+
+    it('should ignore reports that are not newer than the last report', () => {
+      const timeSeriesDB = FakeTimeSeriesDB();
+      const writes = timeSeriesDB.writes;
+      const tracker = new DriverTracker(timeSeriesDB, { GetDriver: () => undefined });
+
+      tracker.Analyze('1', '1030000000000', DataList({ driver_id: 'B2' }), {});
+      const tags = {};
+      tracker.Analyze('1', '1000000000000', DataList({ driver_id: 'A1' }), tags);
+      tracker.Analyze('1', '1030000000000', DataList({ driver_id: '' }), {});
+
+      Expect(writes.map(write => [write.dataList[0].value, write.tags.driver_id])).to.eql([['login', 'B2']]);
+      Expect(tags).to.eql({});
+      Expect(tracker.GetDeviceStatus('1').driver).to.eql({ id: 'B2', name: undefined, loginAt: '1030000000000' });
+    });
+  });
+});
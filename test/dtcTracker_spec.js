@@ -0,0 +1,45 @@
+const DtcTracker = require('../src/dtcTracker.js');
+const { FakeTimeSeriesDB, DataList, Fields } = require('./helpers/analyzers.js');
+const Expect = require('chai').expect;
+
+
+describe('DtcTracker', () => {
+  let writes;
+  let tracker;
+
+  const Report = (codes) => DataList({
+    lat: 13.786921,
+    lng: 100.598781,
+    j1939_dtc: codes.map(code => ({ code: `${code}-0`, spn: code, fmi: 0, occurrence_count: 1 })),
+  });
+
+  beforeEach(() => {
+    const timeSeriesDB = FakeTimeSeriesDB();
+    writes = timeSeriesDB.writes;
+    tracker = new DtcTracker(timeSeriesDB);
+  });
+
+  describe('Analyze', () => {
+
+    it('should write appeared and cleared events with position', () => {
+      tracker.Analyze('1', '1000000000000', Report([110]));
+      tracker.Analyze('1', '1060000000000', Report([110, 190]));
+      tracker.Analyze('1', '1120000000000', Report([190]));
+
+      Expect(writes.map(write => `${write.tags.code} ${write.dataList[0].value}`)).to.eql(['110-0 appeared', '190-0 appeared', '110-0 cleared']);
+      Expect(writes[0].measurement).to.equal('fault');
+      Expect(writes[0].tags.source).to.equal('j1939_dtc');
+      Expect(Fields(writes[2])).to.include({ spn: 110, fmi: 0, active_time: 120, lat: 13.786921, lng: 100.598781 });
+      Expect(tracker.GetDeviceStatus('1').activeFaults.map(fault => fault.code)).to.eql(['190-0']);
+    });
+
+    it('should keep the active codes of reports without the dtc field and of other devices', () => {
+      tracker.Analyze('1', '1000000000000', Report([110]));
+      tracker.Analyze('1', '1060000000000', DataList({ lat: 13.786921 }));
+      tracker.Analyze('2', '1060000000000', Report([]));
+
+      Expect(writes.length).to.equal(1);
+      Expect(tracker.GetDeviceStatus('1').activeFaults.length).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+const EventRecorder = require('../src/eventRecorder.js');
+const { FakeTimeSeriesDB, DataList } = require('./helpers/analyzers.js');
+const Expect = require('chai').expect;
+
+
+describe('EventRecorder', () => {
+  describe('Analyze', () => {
+
+    it('should write only the reports of non periodic events with the full payload', () => {
+      const timeSeriesDB = FakeTimeSeriesDB();
+      const writes = timeSeriesDB.writes;
+      const recorder = new EventRecorder(timeSeriesDB);
+      const Report = (id, event, periodic) => DataList({
+        lat: 13.786921,
+        report: { id: id, event: event, periodic: periodic },
+        report_event: event,
+      });
+
+      recorder.Analyze('1', '1000000000000', Report(0, 'timed_report', true));
+      recorder.Analyze('1', '1030000000000', Report(105, 'harsh_braking', false));
+
+      Expect(writes.length).to.equal(1);
+      Expect(writes[0].measurement).to.equal('event');
+      Expect(writes[0].tags).to.eql({ event: 'harsh_braking' });
+      Expect(writes[0].dataList.map(data => data.name)).to.eql(['lat', 'report', 'report_event']);
+      Expect(recorder.GetDeviceStatus('1').lastEvent).to.eql({ event: 'harsh_braking', id: 105, timestamp: '1030000000000' });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const FrameParser = require('../src/frameParser.js');
+const Expect = require('chai').expect;
+
+
+describe('FrameParser', () => {
+  const keepAlive = Buffer.from('fe02000000e8e1d4a60a0012', 'hex');
+  const asciiBody = '18,1234,1712808280,1712867697,1713414999,100598781,13786921,0,2,0,7,0,0,0,0,,2000,2000,\r\n';
+  const asciiReport = Buffer.from(`@P,1AB2,${asciiBody.length},${asciiBody}`, 'ascii');
+  const picture = Buffer.concat([
+    Buffer.from('4052', 'hex'),
+    Buffer.from('abcd', 'hex'),
+    Buffer.from('0016', 'hex'),
+    Buffer.from('0013000000e8e1d4a60a', 'hex'),
+    Buffer.from('661a0b2c01020004aabbccdd', 'hex'),
+  ]);
+
+  describe('Push', () => {
+
+    it('should return a single keep alive frame', () => {
+      const parser = new FrameParser();
+      const frames = parser.Push(keepAlive);
+      Expect(frames).to.have.lengthOf(1);
+      Expect(frames[0].type).to.equal('keepalive');
+      Expect(frames[0].buffer.equals(keepAlive)).to.be.true;
+    });
+
+    it('should split coalesced keep alive and report frames', () => {
+      const parser = new FrameParser();
+      const frames = parser.Push(Buffer.concat([keepAlive, asciiReport, asciiReport]));
+      Expect(frames.map(frame => frame.type)).to.eql(['keepalive', 'report', 'report']);
+      Expect(frames[1].buffer.equals(asciiReport)).to.be.true;
+      Expect(frames[2].buffer.equals(asciiReport)).to.be.true;
+    });
+
+    it('should wait for the rest of a split report', () => {
+      const parser = new FrameParser();
+      Expect(parser.Push(asciiReport.subarray(0, 10))).to.eql([]);
+      Expect(parser.Push(asciiReport.subarray(10, 50))).to.eql([]);
+      const frames = parser.Push(asciiReport.subarray(50));
+      Expect(frames).to.have.lengthOf(1);
+      Expect(frames[0].buffer.equals(asciiReport)).to.be.true;
+    });
+
+    it('should reassemble a picture packet split in half', () => {
+      const parser = new FrameParser();
+      const half = Math.floor(picture.length / 2);
+      Expect(parser.Push(picture.subarray(0, half))).to.eql([]);
+      const frames = parser.Push(Buffer.concat([picture.subarray(half), keepAlive]));
+      Expect(frames.map(frame => frame.type)).to.eql(['picture', 'keepalive']);
+      Expect(frames[0].buffer.equals(picture)).to.be.true;
+    });
+
+    it('should keep command responses containing @P as one text frame', () => {
+      const parser = new FrameParser();
+      const response = Buffer.from('$FORM=0,@P,0,"%MV%BV"\r\nOK\r\n', 'ascii');
+      const frames = parser.Push(response);
+      Expect(frames.map(frame => frame.type)).to.eql(['other', 'other']);
+      Expect(frames[0].buffer.toString('ascii')).to.equal('$FORM=0,@P,0,"%MV%BV"\r\n');
+      Expect(frames[1].buffer.toString('ascii')).to.equal('OK\r\n');
+    });
+
+    it('should skip a broken report header up to the next known prefix', () => {
+      const parser = new FrameParser();
+      const frames = parser.Push(Buffer.concat([Buffer.from('@P,12,XY,', 'ascii'), keepAlive]));
+      Expect(frames.map(frame => frame.type)).to.eql(['other', 'keepalive']);
+    });
+
+    it('should parse a binary report whose CRC starts with a comma as binary', () => {
+      const parser = new FrameParser();
+      const binaryReport = Buffer.concat([
+        Buffer.from('4050', 'hex'),
+        Buffer.from('2c31', 'hex'),
+        Buffer.from('000c', 'hex'),
+        Buffer.from('0013000000e8e1d4a60a', 'hex'),
+        Buffer.from('0102', 'hex'),
+      ]);
+      Expect(parser.Push(binaryReport.subarray(0, 4))).to.eql([]);
+      const frames = parser.Push(Buffer.concat([binaryReport.subarray(4), keepAlive]));
+      Expect(frames.map(frame => frame.type)).to.eql(['report', 'keepalive']);
+      Expect(frames[0].buffer.equals(binaryReport)).to.be.true;
+    });
+  });
+
+  describe('IsAsciiReport', () => {
+
+    it('should tell ascii reports from binary reports whose CRC starts with a comma', () => {
+      Expect(FrameParser.IsAsciiReport(asciiReport)).to.be.true;
+      Expect(FrameParser.IsAsciiReport(Buffer.from('40502c31000c0013', 'hex'))).to.be.false;
+    });
+  });
+});
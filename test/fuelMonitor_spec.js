@@ -0,0 +1,60 @@
+const FuelMonitor = require('../src/fuelMonitor.js');
+const { FakeTimeSeriesDB, DataList, Fields } = require('./helpers/analyzers.js');
+const Expect = require('chai').expect;
+
+
+describe('FuelMonitor', () => {
+  describe('Analyze', () => {
+    let writes;
+    let monitor;
+    const Report = (level, speed, fuelUsed) => DataList({ lat: 13.5, lng: 100.5, gps_speed: speed, fuel_level: level, fuel_used: fuelUsed });
+
+    beforeEach(() => {
+      const timeSeriesDB = FakeTimeSeriesDB();
+      writes = timeSeriesDB.writes;
+      monitor = new FuelMonitor(timeSeriesDB, {
+        rules: { smoothingWindow: 3, refuelThreshold: 10, dropThreshold: 8, parkedSpeed: 2, settleTime: 120 },
+        GetTankSize: deviceID => deviceID === '1' ? 200 : undefined,
+      }, { statePath: '' });
+    });
+
+    it('should add the smoothed level in liters and write a refuel and a fuel drop while parked', () => {
+      const reports = [
+        [1000, 50, 40, 1000], [1060, 49, 0, 1000],
+        // A single spike is smoothed away, the refuel is detected when the level stays up
+        [1120, 80, 0, 1000], [1180, 80, 0, 1000], [1240, 81, 0, 1000.2], [1320, 81, 0, 1000.5], [1500, 81, 30, 1000.5],
+        // The level drops while parked, the drop ends when the vehicle drives away
+        [1600, 81, 0, 1000.5], [1700, 70, 0, 1000.5], [1800, 70, 0, 1000.5], [1900, 70, 20, 1000.6],
+      ].map(([time, level, speed, fuelUsed]) => {
+        const data = Report(level, speed, fuelUsed);
+        monitor.Analyze('1', `${time}000000000`, data, { driver_id: 'A1' });
+        return data;
+      });
+
+      Expect(reports[2].slice(-2)).to.eql([
+        { name: 'fuel_level_smoothed', dbtype: 'float', value: 50 },
+        { name: 'fuel_volume', dbtype: 'float', value: 100 },
+      ]);
+      Expect(writes.length).to.equal(2);
+      Expect(writes[0]).to.include({ timestamp: '1180000000000', measurement: 'fuel' });
+      Expect(writes[0].tags).to.eql({ driver_id: 'A1', event: 'refuel' });
+      Expect(Fields(writes[0])).to.eql({ amount: 62.5, level_before: 100, level_after: 162, engine_used: 0.5, tank_size: 200, lat: 13.5, lng: 100.5 });
+      Expect(writes[1]).to.include({ timestamp: '1800000000000' });
+      Expect(writes[1].tags).to.eql({ driver_id: 'A1', event: 'drop' });
+      Expect(Fields(writes[1])).to.include({ amount: 22, level_before: 162, level_after: 140, engine_used: 0 });
+      Expect(monitor.GetDeviceStatus('1').fuel).to.eql({ baselineVolume: 140, event: undefined });
+    });
+
+    it('should not write a drop the engine used and skip devices without tank size', () => {
+      [[1000, 50, 40, 0], [1060, 50, 0, 0], [1120, 45, 0, 5], [1180, 45, 0, 9], [1240, 45, 0, 9.5], [1400, 45, 30, 9.5]].forEach(([time, level, speed, fuelUsed]) => {
+        monitor.Analyze('1', `${time}000000000`, Report(level, speed, fuelUsed), {});
+      });
+      const data = Report(50, 0, 0);
+      monitor.Analyze('2', '1000000000000', data, {});
+
+      Expect(writes).to.eql([]);
+      Expect(data.length).to.equal(5);
+      Expect(monitor.GetDeviceStatus('2').fuel).to.equal(undefined);
+    });
+  });
+});
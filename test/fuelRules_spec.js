@@ -0,0 +1,37 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FuelRules = require('../src/fuelRules.js');
+const Expect = require('chai').expect;
+
+
+describe('FuelRules', () => {
+  let tempPath;
+  let rulesPath;
+
+  beforeEach(() => {
+    tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'fuel-rules-'));
+    rulesPath = path.join(tempPath, 'fuel_rules.json');
+    // Rules paths are relative to src/ like REPORT_PATTERN_PATH
+    process.env.FUEL_RULES_PATH = path.relative(path.join(__dirname, '../src'), rulesPath);
+  });
+
+  afterEach(() => {
+    delete process.env.FUEL_RULES_PATH;
+    fs.rmSync(tempPath, { recursive: true, force: true });
+  });
+
+  describe('Reload', () => {
+
+    it('should use the tank size of the device else the default and keep the rules if the new rules are invalid', () => {
+      fs.writeFileSync(rulesPath, JSON.stringify({ defaultTankSize: 100, tankSizes: { '2': 400 }, refuelThreshold: 20 }));
+      const fuelRules = new FuelRules();
+      Expect([fuelRules.GetTankSize('1'), fuelRules.GetTankSize('2')]).to.eql([100, 400]);
+      Expect(fuelRules.rules).to.include({ refuelThreshold: 20, dropThreshold: 8, smoothingWindow: 5 });
+
+      fs.writeFileSync(rulesPath, JSON.stringify({ tankSizes: { '2': 0 } }));
+      Expect(fuelRules.Reload()).to.eql({ name: 'fuelRules', reloaded: false, error: `${process.env.FUEL_RULES_PATH}: the tank size of device 2 must be liters above 0` });
+      Expect(fuelRules.GetTankSize('2')).to.equal(400);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const GeofenceTracker = require('../src/geofenceTracker.js');
+const { FakeTimeSeriesDB, DataList } = require('./helpers/analyzers.js');
+const Expect = require('chai').expect;
+
+
+describe('GeofenceTracker', () => {
+  describe('Analyze', () => {
+    const Report = lat => DataList({ lat: lat, lng: 100 });
+
+    it('should write enter and exit with the dwell time and tag the reports with the zones', () => {
+      const timeSeriesDB = FakeTimeSeriesDB();
+      const writes = timeSeriesDB.writes;
+      const tracker = new GeofenceTracker(timeSeriesDB, {
+        GetZones: lat => lat === 13 ? [{ name: 'Depot', type: 'depot' }] : [],
+      });
+
+      const tags = [{}, { driver_id: 'A1' }, {}, {}];
+      tracker.Analyze('1', '1000000000000', Report(13), tags[0]);
+      tracker.Analyze('1', '1060000000000', [], tags[1]);
+      tracker.Analyze('1', '1090000000000', Report(14), tags[2]);
+      tracker.Analyze('1', '1120000000000', Report(14), tags[3]);
+
+      Expect(tags).to.eql([{ zone: 'Depot' }, { driver_id: 'A1', zone: 'Depot' }, {}, {}]);
+      Expect(writes.length).to.equal(2);
+      Expect(writes[0]).to.include({ timestamp: '1000000000000', measurement: 'geofence' });
+      Expect(writes[0].tags).to.eql({ zone: 'Depot', zone_type: 'depot' });
+      Expect(writes[1].dataList.map(data => [data.name, data.value])).to.eql([['event', 'exit'], ['dwell_time', 90], ['lat', 14], ['lng', 100]]);
+      Expect(tracker.GetDeviceStatus('1').zones).to.eql([]);
+    });
+
+    it('should ignore late reports that are not newer than the last report', () => {
+      const timeSeriesDB = FakeTimeSeriesDB();
+      const writes = timeSeriesDB.writes;
+      const tracker = new GeofenceTracker(timeSeriesDB, {
+        GetZones: lat => lat === 13 ? [{ name: 'Depot', type: 'depot' }] : [],
+      });
+
+      tracker.Analyze('1', '1000000000000', Report(13), {});
+      tracker.Analyze('1', '1060000000000', Report(13), {});
+      // Buffered report from before the zone was entered
+      const lateTags = {};
+      tracker.Analyze('1', '990000000000', Report(14), lateTags);
+      tracker.Analyze('1', '1060000000000', Report(14), {});
+      tracker.Analyze('1', '1090000000000', Report(14), {});
+
+      Expect(lateTags).to.eql({});
+      Expect(writes.map(write => [write.timestamp, write.dataList[0].value])).to.eql([['1000000000000', 'enter'], ['1090000000000', 'exit']]);
+      Expect(writes[1].dataList.find(data => data.name === 'dwell_time').value).to.equal(90);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Geofences = require('../src/geofences.js');
+const Expect = require('chai').expect;
+
+
+describe('Geofences', () => {
+  let tempPath;
+  let zonesPath;
+  const WriteZones = features => fs.writeFileSync(zonesPath, JSON.stringify({ type: 'FeatureCollection', features: features }));
+  const DEPOT = {
+    type: 'Feature',
+    properties: { name: 'Depot', type: 'depot' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [
+        [[100.0, 13.0], [100.1, 13.0], [100.1, 13.1], [100.0, 13.1], [100.0, 13.0]],
+        [[100.04, 13.04], [100.06, 13.04], [100.06, 13.06], [100.04, 13.06], [100.04, 13.04]],
+      ],
+    },
+  };
+  const CUSTOMER = {
+    type: 'Feature',
+    properties: { name: 'Customer A', type: 'customer', radius: 500 },
+    geometry: { type: 'Point', coordinates: [100.09, 13.09] },
+  };
+
+  beforeEach(() => {
+    tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'geofences-'));
+    zonesPath = path.join(tempPath, 'zones.geojson');
+    // Zones paths are relative to src/ like REPORT_PATTERN_PATH
+    process.env.GEOFENCE_PATH = path.relative(path.join(__dirname, '../src'), zonesPath);
+  });
+
+  afterEach(() => {
+    delete process.env.GEOFENCE_PATH;
+    fs.rmSync(tempPath, { recursive: true, force: true });
+  });
+
+  describe('GetZones', () => {
+
+    it('should find the polygons outside their holes and the circles of a position', () => {
+      WriteZones([DEPOT, CUSTOMER]);
+      const geofences = new Geofences();
+
+      Expect(geofences.GetZones(13.02, 100.02).map(zone => zone.name)).to.eql(['Depot']);
+      Expect(geofences.GetZones(13.05, 100.05).map(zone => zone.name)).to.eql([]);
+      Expect(geofences.GetZones(13.092, 100.09).map(zone => zone.name)).to.eql(['Depot', 'Customer A']);
+      Expect(geofences.GetZones(13.2, 100.2).map(zone => zone.name)).to.eql([]);
+    });
+  });
+
+  describe('Reload', () => {
+
+    it('should keep the loaded zones if the new zones file is invalid', () => {
+      WriteZones([DEPOT]);
+      const geofences = new Geofences();
+
+      WriteZones([DEPOT, { type: 'Feature', properties: { name: 'Site' }, geometry: { type: 'Point', coordinates: [100, 13] } }]);
+      Expect(geofences.Reload()).to.eql({ name: 'geofences', reloaded: false, error: `${process.env.GEOFENCE_PATH}: feature 1 (Site): Point needs a radius in meters` });
+      Expect(geofences.zones.map(zone => zone.name)).to.eql(['Depot']);
+
+      WriteZones([DEPOT, CUSTOMER]);
+      Expect(geofences.Reload()).to.eql({ name: 'geofences', reloaded: true });
+      Expect(geofences.zones.map(zone => zone.name)).to.eql(['Depot', 'Customer A']);
+    });
+  });
+});
@@ -0,0 +1,30 @@
+// Shared by the analyzer specs: a fake InfluxDB client that records the writes, and report data lists
+
+// Field name => dbtype, other fields get the dbtype of their value (number => float)
+const DBTYPES = {
+  gps_speed: 'int',
+  j1939_dtc: 'dtc',
+  obd_dtc: 'dtc',
+  report: 'event',
+};
+
+// InfluxClient stub, WriteData calls are kept in writes
+const FakeTimeSeriesDB = () => {
+  const writes = [];
+  return {
+    writes: writes,
+    WriteData: (deviceID, timestamp, dataList, measurement, tags) => writes.push({ deviceID, timestamp, dataList, measurement, tags }),
+  };
+};
+
+// Decoded report fields (the ExtractValue output) from field name => value, in the given order
+const DataList = values => Object.keys(values).map(name => ({
+  name: name,
+  dbtype: DBTYPES[name] || (['boolean', 'string'].includes(typeof values[name]) ? typeof values[name] : 'float'),
+  value: values[name],
+}));
+
+// Field name => value of a write
+const Fields = write => Object.fromEntries(write.dataList.map(data => [data.name, data.value]));
+
+module.exports = { FakeTimeSeriesDB, DataList, Fields };
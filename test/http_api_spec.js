@@ -0,0 +1,90 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const CommandQueue = require('../src/commandQueue.js');
+const { StartHttpApi } = require('../src/http_api.js');
+const Expect = require('chai').expect;
+
+
+/**
+ * Sends a JSON request to the test server.
+ */
+function Request(server, method, requestPath, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port: server.address().port, method: method, path: requestPath }, res => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+describe('HttpApi', () => {
+  let tempPath;
+  let server;
+  let commandQueue;
+  let sent;
+
+  beforeEach(done => {
+    tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'http-api-'));
+    process.env.COMMAND_QUEUE_PATH = path.join(tempPath, 'command_queue.json');
+    process.env.HTTP_API_PORT = 0;
+    commandQueue = new CommandQueue();
+    sent = [];
+    const connectedSocket = {
+      '1': {
+        deviceID: 1,
+        SendCommand: async (command, timeout) => {
+          sent.push([command, timeout]);
+          return { lines: ['$INFO=AK7V'] };
+        },
+      },
+    };
+    server = StartHttpApi(connectedSocket, commandQueue, {}, () => []);
+    server.on('listening', done);
+  });
+
+  afterEach(done => {
+    delete process.env.COMMAND_QUEUE_PATH;
+    delete process.env.HTTP_API_PORT;
+    fs.rmSync(tempPath, { recursive: true, force: true });
+    server.close(done);
+  });
+
+  it('should listen on 127.0.0.1 only without HTTP_API_TOKEN', () => {
+    Expect(server.address().address).to.equal('127.0.0.1');
+  });
+
+  describe('POST /devices/{id}/commands', () => {
+
+    it('should send the command to a connected device through the command queue', async () => {
+      const response = await Request(server, 'POST', '/devices/1/commands', { command: 'AT$INFO=?', timeout: 5000 });
+
+      Expect(response.statusCode).to.equal(200);
+      Expect(response.body).to.include({ deviceID: '1', command: 'AT$INFO=?', status: 'ok', timeout: 5000 });
+      Expect(response.body.lines).to.eql(['$INFO=AK7V']);
+      Expect(sent).to.eql([['AT$INFO=?', 5000]]);
+      Expect(commandQueue.List('1').map(command => command.status)).to.eql(['ok']);
+    });
+
+    it('should reject a ttl that is not a positive integer', async () => {
+      const response = await Request(server, 'POST', '/devices/2/commands', { command: 'AT$INFO=?', ttl: '60000' });
+
+      Expect(response.statusCode).to.equal(400);
+      Expect(response.body.error).to.equal('Expected ttl as a positive integer in milliseconds');
+      Expect(commandQueue.List('2')).to.eql([]);
+    });
+
+    it('should reject a timeout that is not a positive integer', async () => {
+      for (const timeout of ['5000', -1, 2.5]) {
+        const response = await Request(server, 'POST', '/devices/1/commands', { command: 'AT$INFO=?', timeout: timeout });
+        Expect(response.statusCode).to.equal(400);
+        Expect(response.body.error).to.equal('Expected timeout as a positive integer in milliseconds');
+      }
+      Expect(sent).to.eql([]);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IdleDetector = require('../src/idleDetector.js');
+const { FakeTimeSeriesDB, DataList, Fields } = require('./helpers/analyzers.js');
+const Expect = require('chai').expect;
+
+
+describe('IdleDetector', () => {
+  let statePath;
+  let timeSeriesDB;
+  let writes;
+  const Report = (engineSpeed, speed, fuelRate) => DataList({ lat: 13.5, lng: 100.5, engine_speed: engineSpeed, gps_speed: speed, fuel_rate: fuelRate });
+
+  beforeEach(() => {
+    statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'idle-state-')), 'idle_state.json');
+    process.env.IDLE_STATE_PATH = statePath;
+    timeSeriesDB = FakeTimeSeriesDB();
+    writes = timeSeriesDB.writes;
+  });
+
+  afterEach(() => {
+    delete process.env.IDLE_STATE_PATH;
+    fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+  });
+
+  describe('Analyze', () => {
+
+    it('should write idling episodes with the idle fuel and the running daily total', () => {
+      const detector = new IdleDetector(timeSeriesDB);
+      detector.Analyze('1', '1000000000000', Report(700, 0, 1.8), { driver_id: 'A1' });
+      detector.Analyze('1', '1600000000000', Report(720, 1, 2.4), {});
+      detector.Analyze('1', '1900000000000', Report(1500, 40, 12), {});
+      // Shorter than IDLE_MIN_DURATION, not written
+      detector.Analyze('1', '2000000000000', Report(700, 0, 1.8), {});
+      detector.Analyze('1', '2060000000000', Report(0, 0, 0), {});
+      // Engine running again after a restart
+      detector.Stop();
+      const restarted = new IdleDetector(timeSeriesDB);
+      restarted.Analyze('1', '3000000000000', Report(700, 0), {});
+      Expect(restarted.GetDeviceStatus('1').idling).to.eql({ startTime: '3000000000000', fuel: 0 });
+      restarted.Analyze('1', '3400000000000', Report(1200, 30), {});
+      restarted.Stop();
+
+      Expect(writes.length).to.equal(2);
+      Expect(writes[0]).to.include({ timestamp: '1000000000000', measurement: 'idle' });
+      Expect(writes[0].tags).to.eql({ driver_id: 'A1' });
+      Expect(Fields(writes[0])).to.eql({ duration: 900, idle_fuel: 0.5, lat: 13.5, lng: 100.5, daily_idle_time: 900, daily_idle_fuel: 0.5, daily_episodes: 1 });
+      Expect(Fields(writes[1])).to.eql({ duration: 400, lat: 13.5, lng: 100.5, daily_idle_time: 1300, daily_idle_fuel: 0.5, daily_episodes: 2 });
+      Expect(restarted.GetDeviceStatus('1')).to.eql({ idling: undefined, dailyIdle: { day: '1970-01-01', idleTime: 1300, idleFuel: 0.5, episodes: 2 } });
+    });
+
+    it('should use the ignition without engine speed and start a new daily total every day', () => {
+      process.env.IDLE_DAY_UTC_OFFSET = '7';
+      const detector = new IdleDetector(timeSeriesDB);
+      delete process.env.IDLE_DAY_UTC_OFFSET;
+      const Ignition = (on, speed) => DataList({ input_status_1: on, gps_speed: speed });
+
+      // 1970-01-01 16:00 UTC is 23:00 at UTC+7, the next episode starts at 01:00 on 1970-01-02
+      detector.Analyze('1', '57600000000000', Ignition(true, 0), {});
+      detector.Analyze('1', '58200000000000', Ignition(false, 0), {});
+      detector.Analyze('1', '64800000000000', Ignition(true, 0), {});
+      detector.Analyze('1', '65400000000000', Ignition(true, 20), {});
+      detector.Stop();
+
+      Expect(writes.map(write => [Fields(write).duration, Fields(write).daily_idle_time])).to.eql([[600, 600], [600, 600]]);
+      Expect(detector.GetDeviceStatus('1').dailyIdle.day).to.equal('1970-01-02');
+    });
+
+    it('should end an episode at the last report before a reporting gap', () => {
+      const detector = new IdleDetector(timeSeriesDB);
+      detector.Analyze('1', '1000000000000', Report(700, 0, 1.8), {});
+      detector.Analyze('1', '1600000000000', Report(700, 0, 1.8), {});
+      // No report for 2 hours, the gap is neither idle time nor idle fuel
+      detector.Analyze('1', '8800000000000', Report(700, 0, 1.8), {});
+      Expect(detector.GetDeviceStatus('1').idling).to.eql({ startTime: '8800000000000', fuel: 0 });
+      detector.Analyze('1', '9400000000000', Report(1500, 40, 12), {});
+      detector.Stop();
+
+      Expect(writes.map(write => [write.timestamp, Fields(write).duration, Fields(write).idle_fuel])).to.eql([['1000000000000', 600, 0.3], ['8800000000000', 600, 0.3]]);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const DtcTracker = require('../src/dtcTracker.js');
+const MilTracker = require('../src/milTracker.js');
+const { FakeTimeSeriesDB, DataList, Fields } = require('./helpers/analyzers.js');
+const Expect = require('chai').expect;
+
+
+describe('MilTracker', () => {
+  let writes;
+  let dtcTracker;
+  let milTracker;
+
+  const Report = (milOn, codes) => DataList({
+    lat: 13.786921,
+    lng: 100.598781,
+    malfunction_lamp: milOn,
+    obd_dtc: codes.map(code => ({ code: code, description: `${code} description` })),
+  });
+
+  // Same order as CreateAnalyzers
+  const Analyze = (deviceID, timestamp, data) => {
+    dtcTracker.Analyze(deviceID, timestamp, data);
+    milTracker.Analyze(deviceID, timestamp, data);
+  };
+
+  beforeEach(() => {
+    const timeSeriesDB = FakeTimeSeriesDB();
+    writes = timeSeriesDB.writes;
+    dtcTracker = new DtcTracker(timeSeriesDB);
+    milTracker = new MilTracker(timeSeriesDB, dtcTracker);
+  });
+
+  describe('Analyze', () => {
+
+    it('should write MIL on and off events with the codes active at that moment', () => {
+      Analyze('1', '1000000000000', Report(false, []));
+      Analyze('1', '1060000000000', Report(true, ['P0301', 'P0420']));
+      Analyze('1', '1120000000000', Report(true, ['P0301']));
+      Analyze('1', '1180000000000', Report(false, []));
+
+      const milWrites = writes.filter(write => write.measurement === 'mil');
+      Expect(milWrites.map(write => write.timestamp)).to.eql(['1060000000000', '1180000000000']);
+      const milOn = Fields(milWrites[0]);
+      Expect(milOn).to.include({ event: 'mil_on', code_count: 2, codes: 'P0301,P0420', lat: 13.786921, lng: 100.598781 });
+      Expect(milOn.descriptions).to.equal('P0301: P0301 description; P0420: P0420 description');
+      Expect(milWrites[0].tags).to.eql({ source: 'malfunction_lamp' });
+      Expect(milWrites[1].dataList[0].value).to.equal('mil_off');
+      Expect(milTracker.GetDeviceStatus('1')).to.eql({ mil: { malfunction_lamp: false } });
+    });
+  });
+});
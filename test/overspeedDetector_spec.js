@@ -0,0 +1,77 @@
+const OverspeedDetector = require('../src/overspeedDetector.js');
+const { FakeTimeSeriesDB, DataList } = require('./helpers/analyzers.js');
+const Expect = require('chai').expect;
+
+
+describe('OverspeedDetector', () => {
+  describe('Analyze', () => {
+    let writes;
+    let detector;
+    const Report = (speed, lat) => DataList({ lat: lat, lng: 100, gps_speed: speed });
+
+    beforeEach(() => {
+      const timeSeriesDB = FakeTimeSeriesDB();
+      writes = timeSeriesDB.writes;
+      detector = new OverspeedDetector(timeSeriesDB, {
+        rules: { minDuration: 10, hysteresis: 5, maxGap: 60 },
+        GetSpeedSource: () => ({ source: 'gps', field: 'gps_speed' }),
+        GetLimit: (deviceID, zoneNames) => zoneNames.includes('School') ? { limit: 30, rule: 'zone:School' } : { limit: 90, rule: 'default' },
+      }, {
+        GetZones: lat => lat === 14 ? [{ name: 'School' }] : [],
+      });
+    });
+
+    it('should write one event per episode with the peak speed and the start and end position', () => {
+      detector.Analyze('1', '1000000000000', Report(80, 13.0), {});
+      detector.Analyze('1', '1010000000000', Report(95, 13.1), { driver_id: 'A1' });
+      // Below the limit but within the hysteresis, the episode goes on
+      detector.Analyze('1', '1020000000000', Report(88, 13.2), {});
+      detector.Analyze('1', '1030000000000', Report(102, 13.3), {});
+      Expect(detector.GetDeviceStatus('1').overspeed).to.eql({ startTime: '1010000000000', peakSpeed: 102, limit: 90, rule: 'default' });
+      detector.Analyze('1', '1040000000000', Report(84, 13.4), {});
+
+      Expect(writes.length).to.equal(1);
+      Expect(writes[0]).to.include({ timestamp: '1010000000000', measurement: 'overspeed' });
+      Expect(writes[0].tags).to.eql({ driver_id: 'A1', rule: 'default', speed_source: 'gps' });
+      Expect(writes[0].dataList.map(data => [data.name, data.value])).to.eql([
+        ['peak_speed', 102], ['speed_limit', 90], ['excess', 12], ['duration', 20],
+        ['start_lat', 13.1], ['start_lng', 100], ['end_lat', 13.3], ['end_lng', 100],
+      ]);
+      Expect(detector.GetDeviceStatus('1').overspeed).to.equal(undefined);
+    });
+
+    it('should use the zone limit and drop episodes shorter than the minimum duration', () => {
+      detector.Analyze('1', '1000000000000', Report(95, 13), {});
+      detector.Analyze('1', '1005000000000', Report(70, 13), {});
+      Expect(writes).to.eql([]);
+
+      detector.Analyze('1', '1010000000000', Report(50, 14), {});
+      detector.Analyze('1', '1020000000000', Report(45, 14), {});
+      detector.Analyze('1', '1030000000000', Report(20, 14), {});
+      Expect(writes.length).to.equal(1);
+      Expect(writes[0].tags).to.include({ rule: 'zone:School' });
+      Expect(writes[0].dataList.find(data => data.name === 'excess').value).to.equal(20);
+    });
+
+    it('should drop a single speed spike even with a long reporting interval', () => {
+      detector.Analyze('1', '1000000000000', Report(120, 13), {});
+      detector.Analyze('1', '1030000000000', Report(60, 13), {});
+      Expect(writes).to.eql([]);
+      Expect(detector.GetDeviceStatus('1').overspeed).to.equal(undefined);
+    });
+
+    it('should end the episode at the last report above the limit after a reporting gap', () => {
+      detector.Analyze('1', '1000000000000', Report(95, 13.0), {});
+      detector.Analyze('1', '1020000000000', Report(100, 13.1), {});
+      // Hours later, still above the limit
+      detector.Analyze('1', '8200000000000', Report(96, 13.5), {});
+      Expect(writes.length).to.equal(1);
+      Expect(writes[0].timestamp).to.equal('1000000000000');
+      Expect(writes[0].dataList.map(data => [data.name, data.value])).to.include.deep.members([
+        ['duration', 20], ['end_lat', 13.1], ['peak_speed', 100],
+      ]);
+      // The report after the gap starts a new episode
+      Expect(detector.GetDeviceStatus('1').overspeed).to.include({ startTime: '8200000000000', peakSpeed: 96 });
+    });
+  });
+});
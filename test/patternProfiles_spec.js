@@ -0,0 +1,148 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PatternProfiles = require('../src/patternProfiles.js');
+const Expect = require('chai').expect;
+
+
+describe('PatternProfiles', () => {
+  let tempPath;
+
+  // Profiles paths are relative to src/ like REPORT_PATTERN_PATH
+  const WriteProfiles = (profiles) => {
+    const profilesPath = path.join(tempPath, 'profiles.json');
+    fs.writeFileSync(profilesPath, JSON.stringify(profiles));
+    process.env.PATTERN_PROFILES_PATH = path.relative(path.join(__dirname, '../src'), profilesPath);
+  };
+
+  beforeEach(() => {
+    tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'pattern-profiles-'));
+  });
+
+  afterEach(() => {
+    delete process.env.PATTERN_PROFILES_PATH;
+    fs.rmSync(tempPath, { recursive: true, force: true });
+  });
+
+  describe('Select', () => {
+
+    it('should use REPORT_PATTERN_PATH without profiles file', () => {
+      const profiles = new PatternProfiles();
+      const profile = profiles.Select({ deviceID: 358683066123456n });
+      Expect(profile.name).to.equal('default');
+      Expect(profile.pattern.reportPattern).to.have.property('MV');
+      Expect(profiles.UsesDeviceInfo()).to.be.false;
+    });
+
+    it('should pick the first matching profile and fall back to the default profile', () => {
+      WriteProfiles({
+        "default": "base",
+        "profiles": {
+          "fleet_a": { "extends": "base", "match": { "deviceIDs": ["111", "222"] } },
+          "rev2_j1939": { "extends": "base", "match": { "model": "^ak7v$", "firmware": "^Rev\\.2", "reportFormatType": "j1939" } },
+          "base": { "pattern": "pattern/atrack_report.json" }
+        }
+      });
+      const profiles = new PatternProfiles();
+      Expect(profiles.UsesDeviceInfo()).to.be.true;
+      Expect(profiles.Select({ deviceID: 222n }).name).to.equal('fleet_a');
+      Expect(profiles.Select({ deviceID: 333n, model: 'AK7V', firmware: 'Rev.2.10', reportFormatType: 'j1939' }).name).to.equal('rev2_j1939');
+      // Conditions on values that are not known yet do not match
+      Expect(profiles.Select({ deviceID: 333n, reportFormatType: 'j1939' }).name).to.equal('base');
+    });
+
+    it('should apply the entries of extended profiles in order', () => {
+      WriteProfiles({
+        "profiles": {
+          "base": { "pattern": "pattern/atrack_report.json" },
+          "adapter": { "extends": "base", "entries": { "FL": { "name": "fuel_level", "dbtype": "float", "transforms": [{ "type": "scale", "factor": 0.5 }] }, "GQ": null } },
+          "adapter_v2": { "extends": "adapter", "match": { "deviceIDs": ["1"] }, "entries": { "MV": { "name": "battery_main_voltage", "dbtype": "float", "decimals": 2 } } }
+        }
+      });
+      const pattern = new PatternProfiles().Select({ deviceID: 1n }).pattern;
+      Expect(pattern.GetValue('100', pattern.reportPattern.FL)).to.equal(50);
+      Expect(pattern.reportPattern.MV.decimals).to.equal(2);
+      Expect(pattern.reportPattern).to.not.have.property('GQ');
+      Expect(pattern.reportPattern).to.have.property('BV');
+    });
+  });
+
+  describe('Load', () => {
+
+    it('should refuse profiles with an invalid pattern', () => {
+      WriteProfiles({
+        "profiles": {
+          "base": { "pattern": "pattern/atrack_report.json" },
+          "broken": { "extends": "base", "entries": { "FL": { "name": "fuel_level", "dbtype": "flaot" } } }
+        }
+      });
+      Expect(() => new PatternProfiles()).to.throw('Invalid pattern of profile "broken"');
+    });
+
+    it('should refuse inheritance loops', () => {
+      WriteProfiles({ "profiles": { "a": { "extends": "b" }, "b": { "extends": "a" } } });
+      Expect(() => new PatternProfiles()).to.throw('Profile inheritance loop: a -> b -> a');
+    });
+  });
+
+  describe('Reload', () => {
+
+    it('should switch to the changed profiles and emit reload', () => {
+      const base = { "base": { "pattern": "pattern/atrack_report.json" } };
+      WriteProfiles({ "profiles": base });
+      const profiles = new PatternProfiles();
+      let reloads = 0;
+      profiles.on('reload', () => reloads++);
+
+      WriteProfiles({ "profiles": Object.assign({ "fleet_a": { "extends": "base", "match": { "deviceIDs": ["1"] } } }, base) });
+      Expect(profiles.Reload()).to.deep.equal({ name: 'patternProfiles', reloaded: true });
+      Expect(profiles.Select({ deviceID: 1n }).name).to.equal('fleet_a');
+      Expect(reloads).to.equal(1);
+    });
+
+    it('should keep the loaded profiles if the changed file is invalid', () => {
+      WriteProfiles({ "profiles": { "base": { "pattern": "pattern/atrack_report.json" } } });
+      const profiles = new PatternProfiles();
+      const pattern = profiles.Select({ deviceID: 1n }).pattern;
+      let reloads = 0;
+      profiles.on('reload', () => reloads++);
+
+      fs.writeFileSync(path.join(tempPath, 'profiles.json'), '{"profiles": {');
+      const result = profiles.Reload();
+      Expect(result.reloaded).to.be.false;
+      Expect(result.error).to.be.a('string');
+      Expect(profiles.Select({ deviceID: 1n }).pattern).to.equal(pattern);
+      Expect(reloads).to.equal(0);
+    });
+
+    it('should reload the code tables and the binary layout and watch their files', () => {
+      const tablePath = path.join(tempPath, 'obd_dtc.json');
+      const layoutPath = path.join(tempPath, 'binary.json');
+      const Relative = filePath => path.relative(path.join(__dirname, '../src'), filePath);
+      fs.writeFileSync(tablePath, JSON.stringify({ "P0301": "Cylinder 1 misfire" }));
+      fs.writeFileSync(layoutPath, JSON.stringify({ "base": { "GPSTime": "U32" } }));
+      process.env.REPORT_BINARY_LAYOUT_PATH = Relative(layoutPath);
+      WriteProfiles({ "profiles": { "base": { "pattern": "pattern/atrack_report.json", "entries": {
+        "DT": { "name": "obd_dtc", "dbtype": "obd_dtc", "table": Relative(tablePath) },
+      } } } });
+      try {
+        const profiles = new PatternProfiles();
+        Expect(profiles.files).to.include.members([tablePath, layoutPath]);
+
+        fs.writeFileSync(tablePath, JSON.stringify({ "P0301": "Cylinder 1 misfire detected" }));
+        fs.writeFileSync(layoutPath, JSON.stringify({ "base": { "GPSTime": "U16" } }));
+        Expect(profiles.Reload().reloaded).to.be.true;
+        Expect(profiles.Select({}).pattern.GetCodeTable(Relative(tablePath))).to.eql({ "P0301": "Cylinder 1 misfire detected" });
+        Expect(profiles.binaryReport.GetFieldType('GPSTime', 0)).to.equal('U16');
+
+        // A broken code table keeps the loaded patterns
+        fs.writeFileSync(tablePath, '{"P0301": ');
+        const result = profiles.Reload();
+        Expect(result.reloaded).to.be.false;
+        Expect(result.error).to.include('Cannot read code table');
+      } finally {
+        delete process.env.REPORT_BINARY_LAYOUT_PATH;
+      }
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const { ValidatePattern } = require('../src/patternSchema.js');
+const Pattern = require('../src/pattern.js');
+const Expect = require('chai').expect;
+
+
+describe('PatternSchema', () => {
+  describe('ValidatePattern', () => {
+
+    it('should accept the shipped report pattern without errors', () => {
+      const result = new Pattern('pattern/atrack_report.json').Validate();
+      Expect(result.errors).to.eql([]);
+    });
+
+    it('should report unknown dbtypes and missing names', () => {
+      const result = ValidatePattern({
+        "MV": { "name": "battery_main_voltage", "dbtype": "flaot" },
+        "BV": { "dbtype": "float" }
+      });
+      Expect(result.errors.map(issue => issue.key)).to.eql(['MV', 'BV']);
+      Expect(result.errors[0].message).to.include('Unknown dbtype "flaot"');
+    });
+
+    it('should report wrong key types and warn about unknown keys', () => {
+      const result = ValidatePattern({
+        "MV": { "name": "battery_main_voltage", "dbtype": "float", "decimals": "1", "multipler": 5 }
+      });
+      Expect(result.errors).to.eql([{ key: 'MV', message: 'decimals must be an integer >= 0' }]);
+      Expect(result.warnings).to.eql([{ key: 'MV', message: 'Unknown key "multipler" for dbtype float' }]);
+    });
+
+    it('should report invalid, out-of-range and overlapping bit ranges', () => {
+      const result = ValidatePattern({
+        "JO1": { "name": "JO1", "dbtype": "U8", "tables": {
+          "7~3": { "name": "a", "dbtype": "int" },
+          "6~8": { "name": "b", "dbtype": "int" },
+          "0~2": { "name": "c", "dbtype": "int" },
+          "2": { "name": "d", "dbtype": "boolean" }
+        } }
+      });
+      Expect(result.errors.map(issue => issue.message)).to.eql([
+        'Invalid bit range "7~3", the first bit must be lower than the last bit',
+        'Bit range "6~8" is outside of 8 bits',
+        'Bit range "0~2" overlaps "2"',
+      ]);
+    });
+
+    it('should check U16 bit widths and signed bit ranges', () => {
+      const result = ValidatePattern({
+        "JH5": { "name": "JH5", "dbtype": "U16", "tables": {
+          "0~11": { "name": "a", "dbtype": "int", "signed": true },
+          "12": { "name": "b", "dbtype": "int", "signed": true },
+          "13~16": { "name": "c", "dbtype": "int" },
+          "14": { "name": "d", "dbtype": "U8", "tables": { "0": { "name": "e", "dbtype": "boolean" } } }
+        } }
+      });
+      Expect(result.errors.map(issue => `${issue.key} ${issue.message}`)).to.eql([
+        'JH5 Bit range "13~16" is outside of 16 bits',
+        'JH5[12] A single bit cannot be signed, use a range "N~M"',
+        'JH5[14] dbtype U8 is not allowed in a bit table',
+      ]);
+    });
+
+    it('should report invalid transforms', () => {
+      const result = ValidatePattern({
+        "JH10": { "name": "ambient_air_temp", "dbtype": "float", "transforms": [{ "type": "scale", "factor": 0.03125 }, { "type": "convert", "from": "c", "to": "km" }] }
+      });
+      Expect(result.errors).to.eql([{ key: 'JH10', message: 'transforms [1] convert: cannot convert "c" to "km"' }]);
+    });
+
+    it('should report field names with conflicting dbtypes and shared names as warnings', () => {
+      const result = ValidatePattern({
+        "FL": { "name": "fuel_level", "dbtype": "int" },
+        "ZO10": { "name": "fuel_level", "dbtype": "float" },
+        "FC": { "name": "fuel_used", "dbtype": "float" },
+        "JO5": { "name": "JO5", "dbtype": "U8", "tables": { "0~7": { "name": "fuel_used", "dbtype": "float" } } }
+      });
+      Expect(result.errors).to.eql([]);
+      Expect(result.warnings).to.eql([
+        { key: 'FL', message: 'Field "fuel_level" has conflicting dbtypes: FL (int), ZO10 (float)' },
+        { key: 'FC', message: 'Field "fuel_used" is written by more than one tag: FC (float), JO5[0~7] (float)' },
+      ]);
+    });
+  });
+});
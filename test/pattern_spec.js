@@ -49,6 +49,32 @@ describe('Pattern', () => {
     
   });
 
+  describe('GetValueBits', () => {
+    const pattern = new Pattern({});
+
+    it('should decode U16 and U32 tables with signed bit ranges', () => {
+      const patternInfo = { "name": "JH5", "dbtype": "U16", "tables": {
+        "0~11": { "name": "torque", "dbtype": "int", "signed": true },
+        "12~15": { "name": "mode", "dbtype": "int" }
+      } };
+      // 0x3FFE: mode 3, torque 0xFFE = -2
+      Expect(pattern.GetValue('16382', patternInfo)).to.eql([
+        { name: 'torque', dbtype: 'int', value: -2 },
+        { name: 'mode', dbtype: 'int', value: 3 },
+      ]);
+      const wideInfo = { "name": "JL5", "dbtype": "U32", "tables": { "31": { "name": "flag", "dbtype": "boolean" } } };
+      Expect(pattern.GetValue('2147483648', wideInfo)).to.eql([{ name: 'flag', dbtype: 'boolean', value: true }]);
+    });
+
+    it('should reject values outside of the bit width', () => {
+      const patternInfo = { "name": "OutputStatus", "dbtype": "U16", "tables": { "0": { "name": "output_status_1", "dbtype": "boolean" } } };
+      Expect(pattern.GetValue('65535', patternInfo)).to.have.lengthOf(1);
+      Expect(pattern.GetValue('65536', patternInfo)).to.be.undefined;
+      Expect(pattern.GetValue('-1', patternInfo)).to.be.undefined;
+      Expect(pattern.GetValue('', patternInfo)).to.be.undefined;
+    });
+  });
+
   describe('GetValueTPMS', () => {
     const patternInfo = {
         "name": "tpms",
@@ -98,4 +124,158 @@ describe('Pattern', () => {
         ]);
     });
   });
-});
\ No newline at end of file
+
+  describe('GetValue transforms', () => {
+    const pattern = new Pattern({});
+
+    it('should apply the legacy offset after multiplier and decimals', () => {
+      const serviceDistance = { "name": "service_distance", "dbtype": "int", "multiplier": 5, "offset": -160635 };
+      const ambientAirTemp = { "name": "ambient_air_temp", "dbtype": "float", "decimals": 5, "multiplier": 3125, "offset": -273 };
+      Expect(pattern.GetValue('32227', serviceDistance)).to.equal(500);
+      Expect(pattern.GetValue('9376', ambientAirTemp)).to.equal(20);
+    });
+
+    it('should apply the legacy offset in bitfield tables', () => {
+      const patternInfo = { "name": "JO11", "dbtype": "U8", "tables": { "0~7": { "name": "engine_coolant_temp", "dbtype": "int", "offset": -40 } } };
+      Expect(pattern.GetValue('130', patternInfo)).to.eql([{ name: 'engine_coolant_temp', dbtype: 'int', value: 90 }]);
+    });
+
+    it('should apply scale, offset and clamp in order', () => {
+      const patternInfo = { "name": "oil_temp", "dbtype": "float", "transforms": [
+        { "type": "scale", "factor": 0.5 },
+        { "type": "offset", "value": -40 },
+        { "type": "clamp", "min": -40, "max": 120 }
+      ] };
+      Expect(pattern.GetValue('200', patternInfo)).to.equal(60);
+      Expect(pattern.GetValue('400', patternInfo)).to.equal(120);
+    });
+
+    it('should interpolate lookup tables and keep the end values outside the table', () => {
+      const patternInfo = { "name": "fuel_tank", "dbtype": "float", "transforms": [
+        { "type": "lookup", "points": [[0, 0], [100, 20], [200, 60]] }
+      ] };
+      Expect(pattern.GetValue('50', patternInfo)).to.equal(10);
+      Expect(pattern.GetValue('150', patternInfo)).to.equal(40);
+      Expect(pattern.GetValue('250', patternInfo)).to.equal(60);
+    });
+
+    it('should convert units and round int values', () => {
+      const distance = { "name": "distance", "dbtype": "int", "transforms": [{ "type": "convert", "from": "km", "to": "mi" }] };
+      const temperature = { "name": "temp", "dbtype": "float", "transforms": [{ "type": "convert", "from": "c", "to": "f" }] };
+      Expect(pattern.GetValue('100', distance)).to.equal(62);
+      Expect(pattern.GetValue('100', temperature)).to.equal(212);
+    });
+
+    it('should transform raw values before the dict lookup', () => {
+      const patternInfo = { "name": "gear", "dbtype": "string", "transforms": [{ "type": "offset", "value": -125 }], "dict": { "-1": "reverse", "0": "neutral" } };
+      Expect(pattern.GetValue('124', patternInfo)).to.equal('reverse');
+    });
+
+    it('should return undefined for unknown transforms', () => {
+      const patternInfo = { "name": "speed", "dbtype": "float", "transforms": [{ "type": "convert", "from": "km/h", "to": "psi" }] };
+      Expect(pattern.GetValue('100', patternInfo)).to.be.undefined;
+    });
+  });
+
+  describe('Unmapped tags', () => {
+    const reportPattern = {
+      "LNG": { "name": "lng", "dbtype": "float", "decimals": 6 },
+      "MV": { "name": "battery_main_voltage", "dbtype": "float", "decimals": 1 }
+    };
+    const format = ["GPSTime", "LNG", "ReportID", "MV", "TextMsg"];
+    const input = ["1792400615", "100501762", "2", "124", ""];
+
+    afterEach(() => {
+      delete process.env.PATTERN_RAW_PASSTHROUGH;
+    });
+
+    it('should list the tags that are not in the pattern', () => {
+      const pattern = new Pattern(reportPattern);
+      Expect(pattern.GetUnmappedTags(format.concat(["ReportID"]))).to.eql(["GPSTime", "ReportID", "TextMsg"]);
+    });
+
+    it('should skip unmapped tags by default', () => {
+      const pattern = new Pattern(reportPattern);
+      Expect(pattern.ExtractValue(input, format).map(data => data.name)).to.eql(["lng", "battery_main_voltage"]);
+    });
+
+    it('should store non-empty unmapped tags as raw strings if passthrough is enabled', () => {
+      process.env.PATTERN_RAW_PASSTHROUGH = 'true';
+      const pattern = new Pattern(reportPattern);
+      Expect(pattern.ExtractValue(input, format)).to.eql([
+        { name: 'raw_GPSTime', dbtype: 'string', value: '1792400615' },
+        { name: 'lng', dbtype: 'float', value: 100.501762 },
+        { name: 'raw_ReportID', dbtype: 'string', value: '2' },
+        { name: 'battery_main_voltage', dbtype: 'float', value: 12.4 },
+      ]);
+    });
+  });
+
+  describe('GetValueDTC', () => {
+    const patternInfo = { "name": "j1939_dtc", "dbtype": "dtc" };
+
+    it('should decode the lamps and the SPN, FMI and occurrence count of every DTC', () => {
+      const pattern = new Pattern({});
+      // MIL on, red stop lamp off, amber warning lamp on, protect lamp not available
+      Expect(pattern.GetValue('47FF6E00000300F0FF01', patternInfo)).to.eql([
+        { name: 'j1939_dtc', dbtype: 'dtc', value: [
+          { code: '110-0', spn: 110, fmi: 0, occurrence_count: 3 },
+          { code: '520192-31', spn: 520192, fmi: 31, occurrence_count: 1 },
+        ] },
+        { name: 'j1939_dtc_count', dbtype: 'int', value: 2 },
+        { name: 'j1939_dtc_codes', dbtype: 'string', value: '110-0,520192-31' },
+        { name: 'j1939_dtc_amber_warning_lamp', dbtype: 'boolean', value: true },
+        { name: 'j1939_dtc_red_stop_lamp', dbtype: 'boolean', value: false },
+        { name: 'j1939_dtc_mil', dbtype: 'boolean', value: true },
+      ]);
+    });
+
+    it('should return no codes for an all zero DTC and undefined for invalid input', () => {
+      const pattern = new Pattern({});
+      Expect(pattern.GetValue('00FF00000000', patternInfo)[0].value).to.eql([]);
+      Expect(pattern.GetValue('', patternInfo)).to.be.undefined;
+      Expect(pattern.GetValue('47FF6E00', patternInfo)).to.be.undefined;
+    });
+  });
+
+  describe('GetValueOBDDTC', () => {
+    const patternInfo = { "name": "obd_dtc", "dbtype": "obd_dtc", "table": "pattern/obd_dtc.json" };
+
+    it('should decode code lists and hex codes with descriptions from the code table', () => {
+      const pattern = new Pattern({});
+      const expected = [
+        { code: 'P0301', description: 'Cylinder 1 misfire detected' },
+        { code: 'C0123' },
+        { code: 'U0100', description: 'Lost communication with ECM/PCM A' },
+      ];
+      Expect(pattern.GetValue('P0301|c0123 U0100', patternInfo)[0].value).to.eql(expected);
+      Expect(pattern.GetValue('030141230000C100', patternInfo)).to.eql([
+        { name: 'obd_dtc', dbtype: 'dtc', value: expected },
+        { name: 'obd_dtc_count', dbtype: 'int', value: 3 },
+        { name: 'obd_dtc_codes', dbtype: 'string', value: 'P0301,C0123,U0100' },
+      ]);
+    });
+
+    it('should return no codes for an empty value and undefined for invalid input', () => {
+      const pattern = new Pattern({});
+      Expect(pattern.GetValue('', patternInfo)[1].value).to.equal(0);
+      Expect(pattern.GetValue('P0301|XYZ', patternInfo)).to.be.undefined;
+    });
+  });
+
+  describe('GetValueEvent', () => {
+    const patternInfo = { "name": "report", "dbtype": "event", "table": "pattern/report_events.json" };
+
+    it('should name report IDs from the event table and keep unknown IDs as non periodic events', () => {
+      const pattern = new Pattern({});
+      Expect(pattern.GetValue('101', patternInfo)).to.eql([
+        { name: 'report', dbtype: 'event', value: { id: 101, event: 'ignition_on', periodic: false } },
+        { name: 'report_id', dbtype: 'int', value: 101 },
+        { name: 'report_event', dbtype: 'string', value: 'ignition_on' },
+      ]);
+      Expect(pattern.GetValue('0', patternInfo)[0].value.periodic).to.be.true;
+      Expect(pattern.GetValue('250', patternInfo)[0].value).to.eql({ id: 250, event: 'report_250', periodic: false });
+      Expect(pattern.GetValue('', patternInfo)).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const path = require('path');
+const { ReadCapture, ReplayCapture } = require('../src/replay.js');
+const ClientSocket = require('../src/atrackSocket.js');
+const Expect = require('chai').expect;
+
+
+describe('Replay', () => {
+  describe('ReplayCapture', () => {
+    // AK7V session: reports before the $FORM answer, a report split across two reads and a frame with a bad CRC
+    const records = ReadCapture(path.join(__dirname, 'captures/ak7v_ascii_coalesced.jsonl'));
+    let result;
+
+    before(() => {
+      ClientSocket.ResetFrameCounters();
+      result = ReplayCapture(records);
+    });
+
+    it('should write the reports received after the report format is known', () => {
+      Expect(result.writes.map(write => write.timestamp)).to.eql(['1792400615000000000', '1792400618000000000']);
+      Expect(result.atrackSocket.reportFormatType).to.equal('custom');
+    });
+
+    it('should decode the custom tags', () => {
+      const values = {};
+      result.writes[1].dataList.forEach(data => values[data.name] = data.value);
+      Expect(values).to.include({ battery_main_voltage: 12.4, max_rpm: 750, fuel_level: 60 });
+    });
+
+    it('should reject the frame with a bad CRC', () => {
+      const counters = result.atrackSocket.GetFrameCounters();
+      Expect(counters.rejectedFrames.crc).to.equal(1);
+      Expect(counters.acceptedFrames).to.equal(4);
+    });
+
+    it('should send the same ACKs as recorded', () => {
+      // The AT$FORM=? queries are sent from a timer, so only the ACKs are replayed
+      const ToAckList = (buffers) => buffers
+        .filter(buffer => buffer[0] === 0xFE && buffer[1] === 0x02)
+        .map(buffer => buffer.toString('hex'));
+      Expect(ToAckList(result.sent)).to.eql(ToAckList(result.recordedSent));
+      Expect(result.sent).to.have.lengthOf(5);
+    });
+
+    it('should keep the frame counters of the device over reconnects', () => {
+      const counters = JSON.parse(JSON.stringify(result.atrackSocket.GetFrameCounters()));
+      const reconnected = ReplayCapture(records);
+      Expect(reconnected.atrackSocket.GetFrameCounters()).to.eql({
+        acceptedFrames: counters.acceptedFrames + 4,
+        rejectedFrames: { crc: counters.rejectedFrames.crc + 1, length: 0, deviceID: 0 },
+      });
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SpeedRules = require('../src/speedRules.js');
+const Expect = require('chai').expect;
+
+
+describe('SpeedRules', () => {
+  let tempPath;
+  let rulesPath;
+
+  beforeEach(() => {
+    tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'speed-rules-'));
+    rulesPath = path.join(tempPath, 'speed_rules.json');
+    // Rules paths are relative to src/ like REPORT_PATTERN_PATH
+    process.env.SPEED_RULES_PATH = path.relative(path.join(__dirname, '../src'), rulesPath);
+  });
+
+  afterEach(() => {
+    delete process.env.SPEED_RULES_PATH;
+    fs.rmSync(tempPath, { recursive: true, force: true });
+  });
+
+  describe('GetLimit', () => {
+
+    it('should use the group limit else the default limit, lowered by the zone limits', () => {
+      fs.writeFileSync(rulesPath, JSON.stringify({
+        defaultLimit: 90,
+        groups: { cars: { limit: 110, devices: ['2'], speedSource: 'can' } },
+        zones: { School: 30, Highway: 120 },
+      }));
+      const speedRules = new SpeedRules();
+
+      Expect(speedRules.GetLimit('1', [])).to.eql({ limit: 90, rule: 'default' });
+      Expect(speedRules.GetLimit('2', ['Highway'])).to.eql({ limit: 110, rule: 'group:cars' });
+      Expect(speedRules.GetLimit('2', ['Highway', 'School'])).to.eql({ limit: 30, rule: 'zone:School' });
+      Expect(speedRules.GetSpeedSource('1')).to.eql({ source: 'gps', field: 'gps_speed' });
+      Expect(speedRules.GetSpeedSource('2')).to.eql({ source: 'can', field: 'road_speed' });
+    });
+  });
+
+  describe('Load', () => {
+
+    it('should reject a device in two groups', () => {
+      fs.writeFileSync(rulesPath, JSON.stringify({
+        groups: { cars: { limit: 110, devices: ['2'] }, trucks: { limit: 80, devices: ['2'] } },
+      }));
+      Expect(() => new SpeedRules()).to.throw('device 2 is in groups cars and trucks');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TripDetector = require('../src/tripDetector.js');
+const { FakeTimeSeriesDB, DataList, Fields } = require('./helpers/analyzers.js');
+const Expect = require('chai').expect;
+
+
+describe('TripDetector', () => {
+  let statePath;
+  let timeSeriesDB;
+  let writes;
+  const Report = (ignition, speed, lat, odometer, fuelUsed) => DataList({
+    lat: lat,
+    lng: 100,
+    gps_odometer: odometer,
+    input_status_1: ignition,
+    gps_speed: speed,
+    fuel_used: fuelUsed,
+  });
+
+  beforeEach(() => {
+    statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'trip-state-')), 'trips_state.json');
+    process.env.TRIP_STATE_PATH = statePath;
+    timeSeriesDB = FakeTimeSeriesDB();
+    writes = timeSeriesDB.writes;
+  });
+
+  afterEach(() => {
+    delete process.env.TRIP_STATE_PATH;
+    fs.rmSync(path.dirname(statePath), { recursive: true, force: true });
+  });
+
+  describe('Analyze', () => {
+
+    it('should write a completed trip with distance, speed, idle time and fuel used', () => {
+      const detector = new TripDetector(timeSeriesDB);
+      detector.Analyze('1', '1000000000000', Report(true, 0, 13.00, 100, 50), { driver_id: 'A1' });
+      detector.Analyze('1', '1060000000000', Report(true, 60, 13.00, 100, 50), {});
+      detector.Analyze('1', '1120000000000', Report(true, 40, 13.01, 101, 50.2), {});
+      // A short stop with the ignition off stays in the trip
+      detector.Analyze('1', '1180000000000', Report(false, 0, 13.02, 102, 50.3), {});
+      detector.Analyze('1', '1240000000000', Report(true, 30, 13.02, 102, 50.3), {});
+      detector.Analyze('1', '1300000000000', Report(false, 0, 13.03, 103.2, 50.5), {});
+      Expect(writes).to.eql([]);
+      Expect(detector.GetDeviceStatus('1').trip.status).to.equal('stopping');
+
+      detector.Analyze('1', '1600000000000', Report(false, 0, 13.03, 103.2, 50.5), {});
+      detector.Stop();
+
+      Expect(writes.length).to.equal(1);
+      Expect(writes[0]).to.include({ deviceID: '1', timestamp: '1000000000000', measurement: 'trip' });
+      Expect(writes[0].tags).to.eql({ driver_id: 'A1' });
+      const fields = Fields(writes[0]);
+      Expect(fields).to.include({ end_time: '1970-01-01T00:21:40.000Z', duration: 300, start_lat: 13, end_lat: 13.03, max_speed: 60, idle_time: 60, report_count: 6 });
+      Expect(fields.distance_odometer).to.be.closeTo(3.2, 0.001);
+      Expect(fields.distance_gps).to.be.closeTo(3.336, 0.001);
+      Expect(fields.avg_speed).to.equal(32.5);
+      Expect(fields.fuel_used).to.be.closeTo(0.5, 0.001);
+      Expect(detector.GetDeviceStatus('1').trip).to.equal(undefined);
+    });
+
+    it('should drop a trip the ignition turned off before the start debounce', () => {
+      const detector = new TripDetector(timeSeriesDB);
+      detector.Analyze('1', '1000000000000', Report(true, 0, 13, 100), {});
+      detector.Analyze('1', '1010000000000', Report(false, 0, 13, 100), {});
+      detector.Analyze('1', '2000000000000', Report(false, 0, 13, 100), {});
+      detector.Stop();
+
+      Expect(writes).to.eql([]);
+      Expect(detector.GetDeviceStatus('1').trip).to.equal(undefined);
+    });
+
+    it('should continue a running trip after a restart', () => {
+      const before = new TripDetector(timeSeriesDB);
+      before.Analyze('1', '1000000000000', Report(true, 50, 13.00, 100), {});
+      before.Analyze('1', '1060000000000', Report(true, 50, 13.01, 101), {});
+      before.Stop();
+
+      const after = new TripDetector(timeSeriesDB);
+      Expect(after.GetDeviceStatus('1').trip).to.include({ status: 'active', startTime: '1000000000000' });
+      after.Analyze('1', '1120000000000', Report(false, 0, 13.02, 102), {});
+      after.Analyze('1', '1400000000000', Report(false, 0, 13.02, 102), {});
+      after.Stop();
+
+      Expect(writes.length).to.equal(1);
+      Expect(Fields(writes[0])).to.include({ duration: 120, distance_odometer: 2, report_count: 3 });
+    });
+  });
+
+  describe('EndSilentTrips', () => {
+
+    it('should end a stopping trip once the tracker sent no report for the stop debounce', () => {
+      const detector = new TripDetector(timeSeriesDB);
+      detector.Analyze('1', '1000000000000', Report(true, 50, 13.00, 100), {});
+      detector.Analyze('1', '1060000000000', Report(false, 0, 13.01, 101), {});
+      detector.Analyze('2', '1000000000000', Report(true, 50, 13.00, 100), {});
+      detector.Analyze('2', '1060000000000', Report(true, 50, 13.01, 101), {});
+
+      detector.EndSilentTrips(Date.now() + 60000);
+      Expect(writes).to.eql([]);
+      detector.EndSilentTrips(Date.now() + 180000);
+      detector.Stop();
+
+      // Only the stopping trip ends, the active trip of the silent tracker 2 goes on
+      Expect(writes.length).to.equal(1);
+      Expect(writes[0].deviceID).to.equal('1');
+      Expect(Fields(writes[0])).to.include({ duration: 60, end_lat: 13.01 });
+      Expect(detector.GetDeviceStatus('1').trip).to.equal(undefined);
+      Expect(detector.GetDeviceStatus('2').trip).to.include({ status: 'active' });
+      const restarted = new TripDetector(timeSeriesDB);
+      Expect(restarted.GetDeviceStatus('1').trip).to.equal(undefined);
+      restarted.Stop();
+    });
+  });
+});
@@ -0,0 +1,41 @@
+const Utilities = require('../src/utilities.js');
+const Expect = require('chai').expect;
+
+
+describe('Utilities', () => {
+  describe('CalculateCRC16', () => {
+
+    it('should return the CRC-16/ARC check value', () => {
+      const output = Utilities.CalculateCRC16(Buffer.from('123456789', 'ascii'));
+      Expect(output).to.equal(0xBB3D);
+    });
+
+    it('should return 0 for empty input', () => {
+      const output = Utilities.CalculateCRC16(Buffer.alloc(0));
+      Expect(output).to.equal(0);
+    });
+  });
+
+  describe('GetHeaderValueBinary', () => {
+
+    it('should read fixed length header values', () => {
+      const buffer = Buffer.from('4050abcd0016001300000000e8e1d4a6', 'hex');
+      let index = 2;
+      let crc, length, seqNum, deviceID;
+      [crc, index] = Utilities.GetHeaderValueBinary(buffer, index, 2);
+      [length, index] = Utilities.GetHeaderValueBinary(buffer, index, 2);
+      [seqNum, index] = Utilities.GetHeaderValueBinary(buffer, index, 2);
+      [deviceID, index] = Utilities.GetHeaderValueBinary(buffer, index, 8, 'BigUint64BE');
+      Expect([crc, length, seqNum, deviceID, index]).to.eql([0xABCD, 0x16, 0x13, 0xE8E1D4A6n, 16]);
+    });
+  });
+
+  describe('HaversineDistance', () => {
+
+    it('should return the great-circle distance in kilometers', () => {
+      Expect(Utilities.HaversineDistance(13.7563, 100.5018, 13.7563, 100.5018)).to.equal(0);
+      // One degree of latitude
+      Expect(Utilities.HaversineDistance(13, 100, 14, 100)).to.be.closeTo(111.195, 0.001);
+    });
+  });
+});
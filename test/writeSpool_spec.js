@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WriteSpool = require('../src/writeSpool.js');
+const Expect = require('chai').expect;
+
+
+describe('WriteSpool', () => {
+  let spoolPath;
+  let spool;
+  let written;
+  let failWrites;
+
+  beforeEach(() => {
+    spoolPath = fs.mkdtempSync(path.join(os.tmpdir(), 'write-spool-'));
+    process.env.WRITE_SPOOL_PATH = spoolPath;
+    written = [];
+    failWrites = false;
+    spool = new WriteSpool(async (lines) => {
+      if (failWrites) {
+        throw new Error('connect ECONNREFUSED');
+      }
+      written.push(lines);
+    });
+  });
+
+  afterEach(() => {
+    spool.Stop();
+    delete process.env.WRITE_SPOOL_PATH;
+    delete process.env.WRITE_SPOOL_MAX_SIZE;
+    fs.rmSync(spoolPath, { recursive: true, force: true });
+  });
+
+  describe('Drain', () => {
+
+    it('should write the spooled batches in order and delete them', async () => {
+      spool.Append(['report,id=1 a=1i 1', 'report,id=1 a=2i 2']);
+      spool.Append(['report,id=1 a=3i 3']);
+      Expect(spool.GetStatus()).to.include({ files: 2, lines: 3 });
+
+      const writtenLines = await spool.Drain();
+      Expect(writtenLines).to.equal(3);
+      Expect(written).to.eql([['report,id=1 a=1i 1', 'report,id=1 a=2i 2'], ['report,id=1 a=3i 3']]);
+      Expect(spool.GetStatus()).to.include({ files: 0, lines: 0, oldestAge: 0 });
+      Expect(fs.readdirSync(spoolPath)).to.eql([]);
+    });
+
+    it('should keep the batches if the write fails', async () => {
+      spool.Append(['report,id=1 a=1i 1']);
+      failWrites = true;
+
+      const writtenLines = await spool.Drain();
+      Expect(writtenLines).to.equal(0);
+      Expect(spool.GetStatus()).to.include({ files: 1, lines: 1, lastError: 'connect ECONNREFUSED' });
+    });
+
+    it('should move a batch InfluxDB rejects out of the way and write the batches after it', async () => {
+      spool.Stop();
+      spool = new WriteSpool(async (lines) => {
+        if (lines[0].includes('a="x"')) {
+          throw Object.assign(new Error('field type conflict'), { statusCode: 400 });
+        }
+        written.push(lines);
+      });
+      spool.Append(['report,id=1 a="x" 1']);
+      spool.Append(['report,id=1 a=2i 2']);
+      spool.Append(['report,id=1 a=3i 3']);
+
+      const writtenLines = await spool.Drain();
+      Expect(writtenLines).to.equal(2);
+      Expect(written).to.eql([['report,id=1 a=2i 2'], ['report,id=1 a=3i 3']]);
+      Expect(spool.GetStatus()).to.include({ files: 0, rejectedLines: 1, lastError: undefined });
+      Expect(fs.readdirSync(path.join(spoolPath, 'rejected'))).to.have.lengthOf(1);
+    });
+  });
+
+  describe('Load', () => {
+
+    it('should load the batches spooled before a restart', async () => {
+      spool.Append(['report,id=1 a=1i 1']);
+      spool.Append(['report,id=1 a=2i 2']);
+      spool.Stop();
+
+      spool = new WriteSpool(async (lines) => written.push(lines));
+      Expect(spool.GetStatus()).to.include({ files: 2, lines: 2 });
+      await spool.Drain();
+      Expect(written).to.eql([['report,id=1 a=1i 1'], ['report,id=1 a=2i 2']]);
+    });
+  });
+
+  describe('Append', () => {
+
+    it('should drop the oldest batches above the maximum size', () => {
+      spool.Stop();
+      process.env.WRITE_SPOOL_MAX_SIZE = 40;
+      spool = new WriteSpool(async () => {});
+      spool.Append(['report,id=1 a=1i 1']);
+      spool.Append(['report,id=1 a=2i 2']);
+      spool.Append(['report,id=1 a=3i 3']);
+      Expect(spool.GetStatus()).to.include({ files: 2, lines: 2, droppedLines: 1 });
+    });
+  });
+});